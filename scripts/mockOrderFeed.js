@@ -0,0 +1,144 @@
+/**
+ * @file mockOrderFeed.js
+ * @description Dependency-free mock of the live order feed routes used by
+ * src/api/orderFeed.js, for local development and tests:
+ *
+ *   POST /api/orders/stream/ticket   { ticket } (single use, short-lived)
+ *   GET  /api/orders/stream          server-sent "order" events (?ticket=&since=)
+ *   GET  /api/orders                 polling fallback (?since=, ETag / If-None-Match)
+ *   POST /mock/orders                adds an order (optional JSON fields) and broadcasts it
+ *
+ * Run `npm run mock:orders` and point VITE_API_BASE_URL at it, or import
+ * createMockOrderServer() in a test and drive it with `addOrder`.
+ */
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, If-None-Match",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Expose-Headers": "ETag",
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json", ...headers });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+const isAfter = (order, since) => !since || new Date(order.updatedAt || order.createdAt) > new Date(since);
+
+/**
+ * Creates the mock server (not yet listening).
+ * @param {object} [options]
+ * @param {number} [options.ticketTtlMs=30000] - How long a stream ticket stays valid.
+ * @returns {{ server: http.Server, addOrder: Function, orders: Array<object> }}
+ */
+export function createMockOrderServer({ ticketTtlMs = 30000 } = {}) {
+  const orders = [];
+  const tickets = new Map(); // ticket -> expiry timestamp
+  const streams = new Set();
+  let version = 0;
+
+  /**
+   * Stores an order and pushes it to every open stream.
+   * @param {object} [fields] - Overrides for the generated order.
+   * @returns {object} The stored order.
+   */
+  const addOrder = (fields = {}) => {
+    const now = new Date().toISOString();
+    const order = {
+      _id: randomUUID(),
+      firstName: "Test",
+      lastName: `Customer ${orders.length + 1}`,
+      email: `customer${orders.length + 1}@example.com`,
+      items: [{ name: "Margherita Pizza", price: 12, quantity: 1 }],
+      totalPrice: 12,
+      status: "placed",
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+    };
+    orders.push(order);
+    version += 1;
+    streams.forEach((res) => res.write(`event: order\ndata: ${JSON.stringify(order)}\n\n`));
+    return order;
+  };
+
+  const openStream = (req, res, url) => {
+    const ticket = url.searchParams.get("ticket");
+    const expiry = tickets.get(ticket);
+    tickets.delete(ticket);
+    if (!expiry || expiry < Date.now()) return sendJson(res, 401, { message: "Invalid or expired stream ticket" });
+
+    res.writeHead(200, {
+      ...CORS_HEADERS,
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const since = url.searchParams.get("since");
+    orders
+      .filter((o) => isAfter(o, since))
+      .forEach((o) => res.write(`event: order\ndata: ${JSON.stringify(o)}\n\n`));
+    streams.add(res);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      streams.delete(res);
+    });
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/orders/stream/ticket") {
+      const ticket = randomUUID();
+      tickets.set(ticket, Date.now() + ticketTtlMs);
+      return sendJson(res, 200, { ticket });
+    }
+    if (req.method === "GET" && url.pathname === "/api/orders/stream") return openStream(req, res, url);
+    if (req.method === "GET" && url.pathname === "/api/orders") {
+      const etag = `"${version}"`;
+      if (req.headers["if-none-match"] === etag) return sendJson(res, 304, undefined, { ETag: etag });
+      const since = url.searchParams.get("since");
+      return sendJson(res, 200, orders.filter((o) => isAfter(o, since)), { ETag: etag });
+    }
+    if (req.method === "POST" && url.pathname === "/mock/orders") return sendJson(res, 201, addOrder(await readBody(req)));
+
+    sendJson(res, 404, { message: "Not found" });
+  });
+
+  // Open streams would otherwise keep close() waiting
+  server.on("close", () => streams.forEach((res) => res.end()));
+
+  return { server, addOrder, orders };
+}
+
+// `node scripts/mockOrderFeed.js [port]`; MOCK_ORDER_INTERVAL_MS adds an order periodically (0 = never)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2] || process.env.MOCK_PORT) || 5000;
+  const interval = Number(process.env.MOCK_ORDER_INTERVAL_MS ?? 20000);
+  const { server, addOrder } = createMockOrderServer();
+  server.listen(port, () => console.log(`Mock order feed on http://localhost:${port}`));
+  if (interval > 0) setInterval(() => console.log("New order", addOrder()._id), interval);
+}
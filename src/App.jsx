@@ -5,20 +5,54 @@ import AdminNavbar from "./components/adminNav/AdminNavbar";
 import AddItemPage from "./pages/addItem/AddItem";
 import ListItemsPage from "./pages/List-items/ListItems";
 import OrdersPage from "./pages/orderPage/OrderPage";
-import LoginModal from "./components/adminNav/login/Login";
+import ContactPage from "./pages/contactPage/ContactPage";
+import DashboardPage from "./pages/dashboard/Dashboard";
+import MenuImportPage from "./pages/menuImport/MenuImport";
+import AuthProvider from "./context/auth/AuthProvider";
+import CategoriesProvider from "./context/categories/CategoriesProvider";
+import ContactsProvider from "./context/contacts/ContactsProvider";
+import ToastProvider from "./context/toast/ToastProvider";
+import CategoriesPage from "./pages/categories/Categories";
+import UsersPage from "./pages/users/Users";
+import AuditLogPage from "./pages/audit/AuditLog";
+import TrashPage from "./pages/trash/Trash";
+import ProtectedRoute from "./components/protectedRoute/ProtectedRoute";
+import { useAuth } from "./context/auth/useAuth";
+import { getHomePath } from "./context/auth/permissions";
+
+// Sends "/" to the first page the signed-in role may open
+function HomeRedirect() {
+  const { role } = useAuth();
+  return <Navigate to={getHomePath(role)} replace />;
+}
 
 export default function App() {
   return (
     <Router>
-      <AdminNavbar />
-        <Routes>
-          <Route path="/" element={<Navigate to="/orders" />} />
-          <Route path="/additem" element={<AddItemPage />} />
-          <Route path="/listitem" element={<ListItemsPage />} />
-          <Route path="/orders" element={<OrdersPage/>}/>
-          
-        </Routes>
-    
+      <AuthProvider>
+        <CategoriesProvider>
+          <ContactsProvider>
+            <ToastProvider>
+              <AdminNavbar />
+              <Routes>
+                <Route path="/" element={<HomeRedirect />} />
+                <Route path="/dashboard" element={<ProtectedRoute permission="dashboard.view"><DashboardPage /></ProtectedRoute>} />
+                {/* Distinct keys so "Add Item" never reuses the form of an item being edited */}
+                <Route path="/additem" element={<ProtectedRoute permission="menu.edit"><AddItemPage key="new" /></ProtectedRoute>} />
+                <Route path="/listitem" element={<ProtectedRoute permission="menu.view"><ListItemsPage /></ProtectedRoute>} />
+                <Route path="/listitem/import" element={<ProtectedRoute permission="menu.edit"><MenuImportPage /></ProtectedRoute>} />
+                <Route path="/listitem/:id/edit" element={<ProtectedRoute permission="menu.edit"><AddItemPage key="edit" /></ProtectedRoute>} />
+                <Route path="/categories" element={<ProtectedRoute permission="menu.edit"><CategoriesPage /></ProtectedRoute>} />
+                <Route path="/orders/:id?" element={<ProtectedRoute permission="orders.view"><OrdersPage /></ProtectedRoute>} />
+                <Route path="/contacts/:id?" element={<ProtectedRoute permission="contacts.view"><ContactPage /></ProtectedRoute>} />
+                <Route path="/users" element={<ProtectedRoute permission="users.manage"><UsersPage /></ProtectedRoute>} />
+                <Route path="/trash" element={<ProtectedRoute permission="trash.view"><TrashPage /></ProtectedRoute>} />
+                <Route path="/audit" element={<ProtectedRoute permission="audit.view"><AuditLogPage /></ProtectedRoute>} />
+              </Routes>
+            </ToastProvider>
+          </ContactsProvider>
+        </CategoriesProvider>
+      </AuthProvider>
     </Router>
   );
 }
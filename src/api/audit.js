@@ -0,0 +1,22 @@
+/**
+ * @file audit.js
+ * @description Audit log endpoints (`/api/audit`).
+ */
+
+import { api, toList } from "./client";
+
+const AUDIT = "/api/audit";
+
+/**
+ * Fetches audit events, newest first.
+ * @param {{ actor?: string, entityType?: string, from?: string, to?: string }} [query] -
+ *   Optional server-side filters; dates are `YYYY-MM-DD`.
+ */
+export const fetchAuditLog = async (query) => toList(await api.get(AUDIT, { query }));
+
+/**
+ * Stores a batch of audit events. Sent in the background, so a 401 is not
+ * handed to the login modal; the events simply stay queued.
+ * @param {Array<object>} events - Events built by utils/auditLog.
+ */
+export const sendAuditEvents = (events) => api.post(AUDIT, { events }, { retryUnauthorized: false });
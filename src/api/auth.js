@@ -0,0 +1,22 @@
+/**
+ * @file auth.js
+ * @description Authentication endpoints.
+ */
+
+import { api } from "./client";
+
+/**
+ * Logs a user in.
+ * @param {{ email: string, password: string }} credentials
+ * @returns {Promise<object>} User record including `token` and `role`.
+ */
+export const login = async (credentials) =>
+  (await api.post("/auth/login", credentials, { auth: false })).data;
+
+/**
+ * Registers a new user.
+ * @param {{ name: string, email: string, password: string }} details
+ * @returns {Promise<object>} User record including `token`.
+ */
+export const register = async (details) =>
+  (await api.post("/api/auth/register", details, { auth: false })).data;
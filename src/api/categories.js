@@ -0,0 +1,32 @@
+/**
+ * @file categories.js
+ * @description Menu category endpoints (`/api/categories`).
+ * A category is `{ _id, name, icon, description, order, hidden }`; menu items
+ * reference their category by name.
+ */
+
+import { api, toList } from "./client";
+
+const CATEGORIES = "/api/categories";
+
+/** Fetches every category. */
+export const fetchCategories = async () => toList(await api.get(CATEGORIES));
+
+/**
+ * Creates a category.
+ * @param {{ name: string, icon?: string, description?: string, order?: number, hidden?: boolean }} category
+ */
+export const createCategory = async (category) => (await api.post(CATEGORIES, category))?.data;
+
+/**
+ * Updates a category.
+ * @param {string} id - Category id.
+ * @param {object} changes - Changed fields.
+ */
+export const updateCategory = async (id, changes) => (await api.put(`${CATEGORIES}/${id}`, changes))?.data;
+
+/**
+ * Deletes a category.
+ * @param {string} id - Category id.
+ */
+export const deleteCategory = (id) => api.delete(`${CATEGORIES}/${id}`);
@@ -0,0 +1,211 @@
+/**
+ * @file client.js
+ * @description Shared HTTP client for every admin page. Resolves the backend
+ * base URL from `VITE_API_BASE_URL`, attaches the admin Bearer token, parses
+ * JSON safely and turns failed requests into typed errors.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+// Backend base URL (override with VITE_API_BASE_URL for staging or a local mock)
+export const BASE_URL = (
+  import.meta.env.VITE_API_BASE_URL ||
+  "https://1e20a7ed-cc85-497b-b510-b41debc2f036-00-1p28dt788ywz9.pike.replit.dev"
+).replace(/\/+$/, "");
+
+/**
+ * Base error for every failed API call.
+ * @property {number} status - HTTP status code (0 when no response was received).
+ * @property {*} data - Parsed response body, if any.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, data = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/** Thrown on 401 responses (missing, invalid or expired token). */
+export class UnauthorizedError extends ApiError {
+  constructor(message = "Your session has expired. Please log in again.", options) {
+    super(message, { status: 401, ...options });
+    this.name = "UnauthorizedError";
+  }
+}
+
+/** Thrown when the server could not be reached at all. */
+export class NetworkError extends ApiError {
+  constructor(message = "Unable to reach the server.") {
+    super(message);
+    this.name = "NetworkError";
+  }
+}
+
+/** Thrown when the server answers with something that is not JSON. */
+export class InvalidResponseError extends ApiError {
+  constructor(status) {
+    super("Invalid server response (not JSON).", { status });
+    this.name = "InvalidResponseError";
+  }
+}
+
+// Returns the current auth token; replaced by the auth session via setTokenGetter
+let getToken = () => localStorage.getItem("token");
+
+/**
+ * Registers the function the client uses to read the current auth token.
+ * @param {Function} getter - Returns a token string or a falsy value.
+ */
+export function setTokenGetter(getter) {
+  getToken = getter;
+}
+
+// Called on 401 responses; resolves with the retried request or rejects
+let onUnauthorized = null;
+
+/**
+ * Registers the central 401 handler.
+ * It receives the error and a `retry` function that replays the original
+ * request, and must return a promise that settles the original call.
+ *
+ * @param {Function|null} handler - `(error, retry) => Promise<*>`.
+ */
+export function setUnauthorizedHandler(handler) {
+  onUnauthorized = handler;
+}
+
+/**
+ * Reads a response body and parses it as JSON.
+ * Empty bodies (e.g. 204) resolve to null.
+ *
+ * @param {Response} response - Fetch response.
+ * @returns {Promise<*>} Parsed body.
+ * @throws {InvalidResponseError} When the body is not valid JSON.
+ */
+export async function parseJsonSafely(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new InvalidResponseError(response.status);
+  }
+}
+
+/**
+ * Builds an absolute API URL from a path and optional query parameters.
+ * Empty query values are skipped.
+ *
+ * @param {string} path - Path relative to BASE_URL (e.g. "/api/menu").
+ * @param {object} [query] - Query string parameters.
+ * @returns {string}
+ */
+export function buildUrl(path, query) {
+  const url = `${BASE_URL}${path.startsWith("/") ? path : `/${path}`}`;
+  if (!query) return url;
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") params.append(key, value);
+  });
+  const qs = params.toString();
+  return qs ? `${url}?${qs}` : url;
+}
+
+/**
+ * Performs an API request and returns the body together with response metadata.
+ * - Plain objects are sent as JSON; FormData is sent as multipart.
+ * - The Bearer token is attached unless `auth` is false.
+ * - 304 Not Modified resolves with `data: null` (used with `If-None-Match`).
+ * - Responses with a non-2xx status or `success: false` are thrown as ApiError.
+ * - 401 responses go to the unauthorized handler, which may replay the
+ *   request once after the admin logs back in.
+ *
+ * @async
+ * @param {string} path - Path relative to BASE_URL.
+ * @param {object} [options]
+ * @param {string} [options.method="GET"] - HTTP method.
+ * @param {object|FormData} [options.body] - Request payload.
+ * @param {object} [options.query] - Query string parameters.
+ * @param {object} [options.headers] - Extra headers.
+ * @param {boolean} [options.auth=true] - Attach the auth token.
+ * @param {AbortSignal} [options.signal] - Abort signal.
+ * @param {boolean} [options.retryUnauthorized=true] - Hand 401s to the unauthorized handler.
+ * @returns {Promise<{ data: *, status: number, headers: Headers }>}
+ */
+export async function requestWithMeta(path, options = {}) {
+  const { method = "GET", body, query, headers = {}, auth = true, signal, retryUnauthorized = true } = options;
+  const finalHeaders = { ...headers };
+  let payload = body;
+
+  if (body !== undefined && !(body instanceof FormData)) {
+    finalHeaders["Content-Type"] = "application/json";
+    payload = JSON.stringify(body);
+  }
+
+  const token = auth ? getToken() : null;
+  if (token) finalHeaders.Authorization = `Bearer ${token}`;
+
+  let response;
+  try {
+    response = await fetch(buildUrl(path, query), { method, headers: finalHeaders, body: payload, signal });
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    throw new NetworkError();
+  }
+
+  if (response.status === 304) {
+    return { data: null, status: 304, headers: response.headers };
+  }
+
+  const data = await parseJsonSafely(response);
+
+  if (response.status === 401) {
+    const error = new UnauthorizedError(undefined, { data });
+    if (auth && retryUnauthorized && onUnauthorized) {
+      return onUnauthorized(error, () => requestWithMeta(path, { ...options, retryUnauthorized: false }));
+    }
+    throw error;
+  }
+  if (!response.ok || data?.success === false) {
+    throw new ApiError(data?.message || `Request failed with status ${response.status}`, {
+      status: response.status,
+      data,
+    });
+  }
+
+  return { data, status: response.status, headers: response.headers };
+}
+
+/**
+ * Performs an API request and resolves with the parsed body.
+ * Takes the same options as requestWithMeta.
+ *
+ * @async
+ * @param {string} path - Path relative to BASE_URL.
+ * @param {object} [options] - See requestWithMeta.
+ * @returns {Promise<*>} Parsed response body.
+ */
+export async function request(path, options) {
+  return (await requestWithMeta(path, options)).data;
+}
+
+// Method shorthands
+export const api = {
+  get: (path, options) => request(path, { ...options, method: "GET" }),
+  post: (path, body, options) => request(path, { ...options, method: "POST", body }),
+  put: (path, body, options) => request(path, { ...options, method: "PUT", body }),
+  patch: (path, body, options) => request(path, { ...options, method: "PATCH", body }),
+  delete: (path, options) => request(path, { ...options, method: "DELETE" }),
+};
+
+/**
+ * Extracts the list from either a bare array or a `{ data: [...] }` envelope.
+ * @param {*} payload - Parsed response body.
+ * @returns {Array}
+ */
+export const toList = (payload) => (Array.isArray(payload) ? payload : payload?.data || []);
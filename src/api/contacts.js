@@ -0,0 +1,49 @@
+/**
+ * @file contacts.js
+ * @description Contact message endpoints (`/api/contact`).
+ */
+
+import { api, toList } from "./client";
+
+const CONTACT = "/api/contact";
+
+/** Fetches every contact message. */
+export const fetchContacts = async () => toList(await api.get(CONTACT));
+
+/**
+ * Moves a contact message to the trash (the backend sets `deletedAt`).
+ * @param {string} id - Contact message id.
+ */
+export const deleteContact = (id) => api.delete(`${CONTACT}/${id}`);
+
+/** Fetches the contact messages in the trash. */
+export const fetchDeletedContacts = async () => toList(await api.get(CONTACT, { query: { deleted: true } }));
+
+/**
+ * Brings a contact message back from the trash.
+ * @param {string} id - Contact message id.
+ */
+export const restoreContact = (id) => api.post(`${CONTACT}/${id}/restore`);
+
+/**
+ * Permanently deletes a contact message from the trash.
+ * @param {string} id - Contact message id.
+ */
+export const purgeContact = (id) => api.delete(`${CONTACT}/${id}`, { query: { permanent: true } });
+
+/**
+ * Updates the inbox fields of a contact message.
+ * @param {string} id - Contact message id.
+ * @param {object} changes - e.g. `{ status, assignee, notes }`.
+ * @returns {Promise<object>} The updated message.
+ */
+export const updateContact = async (id, changes) => (await api.put(`${CONTACT}/${id}`, changes))?.data;
+
+/**
+ * Emails a reply to the sender of a contact message. The backend sends it
+ * to the message's `emailAddress` and records it in `replies`.
+ * @param {string} id - Contact message id.
+ * @param {{ subject: string, body: string }} reply
+ * @returns {Promise<object>} The recorded reply.
+ */
+export const replyToContact = async (id, reply) => (await api.post(`${CONTACT}/${id}/reply`, reply))?.data;
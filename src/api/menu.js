@@ -0,0 +1,93 @@
+/**
+ * @file menu.js
+ * @description Menu item endpoints (`/api/menu`).
+ */
+
+import { api, toList } from "./client";
+
+const MENU = "/api/menu";
+
+// Editable menu item fields sent as multipart form data
+export const MENU_ITEM_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "price",
+  "rating",
+  "popularity",
+  "available",
+  "stock",
+  "availabilityWindows",
+  "variantGroups",
+  "modifierGroups",
+];
+
+/**
+ * Serializes menu item fields for a multipart request. Objects and arrays
+ * (e.g. `availabilityWindows`, `variantGroups`) are sent as JSON; `null` is sent as an empty
+ * string (e.g. an untracked `stock`); missing fields are left out.
+ * @param {object} values - Item fields.
+ * @returns {FormData}
+ */
+export const toMenuFormData = (values) => {
+  const data = new FormData();
+  MENU_ITEM_FIELDS.forEach((field) => {
+    const value = values[field];
+    if (value === undefined) return;
+    data.append(field, value !== null && typeof value === "object" ? JSON.stringify(value) : value ?? "");
+  });
+  return data;
+};
+
+/** Fetches every menu item. */
+export const fetchMenuItems = async () => toList(await api.get(MENU));
+
+/**
+ * Fetches a single menu item.
+ * @param {string} id - Menu item id.
+ */
+export const fetchMenuItem = async (id) => (await api.get(`${MENU}/${id}`))?.data;
+
+/**
+ * Creates a menu item.
+ * @param {FormData} formData - Item fields plus optional `image` file.
+ */
+export const createMenuItem = (formData) => api.post(MENU, formData);
+
+/**
+ * Updates a menu item. The stored image is kept unless `image` is present.
+ * @param {string} id - Menu item id.
+ * @param {FormData} formData - Changed fields plus optional `image` file.
+ */
+export const updateMenuItem = (id, formData) => api.put(`${MENU}/${id}`, formData);
+
+/**
+ * Updates some fields of a menu item. Only the changed fields are sent, so
+ * values the backend maintains (e.g. `stock` after orders) are not
+ * overwritten with what the page loaded.
+ * @param {string} id - Menu item id.
+ * @param {object} changes - Changed fields, e.g. `{ category: "Pizza" }`.
+ */
+export const updateMenuItemFields = (id, changes) => api.patch(`${MENU}/${id}`, changes);
+
+/**
+ * Moves a menu item to the trash (the backend sets `deletedAt` and hides it
+ * from the menu).
+ * @param {string} id - Menu item id.
+ */
+export const deleteMenuItem = (id) => api.delete(`${MENU}/${id}`);
+
+/** Fetches the menu items in the trash. */
+export const fetchDeletedMenuItems = async () => toList(await api.get(MENU, { query: { deleted: true } }));
+
+/**
+ * Brings a menu item back from the trash.
+ * @param {string} id - Menu item id.
+ */
+export const restoreMenuItem = (id) => api.post(`${MENU}/${id}/restore`);
+
+/**
+ * Permanently deletes a menu item from the trash.
+ * @param {string} id - Menu item id.
+ */
+export const purgeMenuItem = (id) => api.delete(`${MENU}/${id}`, { query: { permanent: true } });
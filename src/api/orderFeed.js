@@ -0,0 +1,168 @@
+/**
+ * @file orderFeed.js
+ * @description Live order updates. Subscribes to the server-sent events
+ * stream at `/api/orders/stream` and falls back to conditional polling of
+ * `/api/orders` (ETag + `since` cursor) when the stream is unavailable.
+ *
+ * The stream is opened with a short-lived ticket from
+ * `POST /api/orders/stream/ticket`, never with the session token, because
+ * URLs end up in server logs and browser history.
+ *
+ * Every dependency (base URL, ticket, EventSource, timers) can be overridden
+ * through options so the feed can be pointed at a local mock server
+ * (see scripts/mockOrderFeed.js).
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import { buildUrl } from "./client";
+import { fetchOrderChanges, requestStreamTicket, ORDER_STREAM_PATH } from "./orders";
+
+export const DEFAULT_POLL_INTERVAL_MS = 15000;
+
+// Failed stream connections tolerated before giving up on SSE for this subscription
+const MAX_STREAM_ERRORS = 3;
+
+// First reconnect delay; doubles after each failure
+export const DEFAULT_STREAM_RETRY_MS = 1000;
+
+// A stream counts as healthy once it stays open this long (or delivers a message)
+const STREAM_STABLE_MS = 30000;
+
+/**
+ * Parses an SSE payload into a list of orders.
+ * Accepts a single order, an array, or a `{ data }` envelope.
+ * @param {string} raw - Event data.
+ * @returns {Array<object>}
+ */
+const parseStreamPayload = (raw) => {
+  try {
+    const payload = JSON.parse(raw);
+    const list = Array.isArray(payload) ? payload : payload?.data ?? payload;
+    return (Array.isArray(list) ? list : [list]).filter((o) => o && o._id);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Subscribes to live order changes.
+ *
+ * @param {object} options
+ * @param {Function} options.onOrders - Called with an array of new or changed orders.
+ * @param {Function} [options.onModeChange] - Called with "connecting" | "stream" | "polling" | "offline".
+ * @param {Function} [options.getCursor] - Returns the ISO timestamp of the newest known order.
+ * @param {Function} [options.getStreamTicket] - Resolves a stream ticket (sent as `?ticket=`).
+ * @param {number} [options.pollInterval] - Polling interval in milliseconds.
+ * @param {number} [options.streamRetryDelay] - First stream reconnect delay in milliseconds.
+ * @param {Function|null} [options.EventSourceImpl] - EventSource constructor; null forces polling.
+ * @param {Function} [options.fetchChanges] - Replacement for fetchOrderChanges.
+ * @returns {Function} Unsubscribe function.
+ */
+export function subscribeToOrders({
+  onOrders,
+  onModeChange = () => {},
+  getCursor = () => undefined,
+  getStreamTicket = requestStreamTicket,
+  pollInterval = DEFAULT_POLL_INTERVAL_MS,
+  streamRetryDelay = DEFAULT_STREAM_RETRY_MS,
+  EventSourceImpl = typeof window !== "undefined" ? window.EventSource : null,
+  fetchChanges = fetchOrderChanges,
+}) {
+  let stopped = false;
+  let source = null;
+  let timer = null;
+  let etag = null;
+  let controller = null;
+  let streamErrors = 0;
+  let retryTimer = null;
+  let stableTimer = null;
+
+  /** Polls once, then schedules the next poll. */
+  const poll = async () => {
+    if (stopped) return;
+    controller = new AbortController();
+    try {
+      const result = await fetchChanges({ since: getCursor(), etag, signal: controller.signal });
+      etag = result.etag;
+      if (!stopped) onModeChange("polling");
+      if (result.orders?.length && !stopped) onOrders(result.orders);
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      if (!stopped) onModeChange("offline");
+    }
+    if (!stopped) timer = setTimeout(poll, pollInterval);
+  };
+
+  /** Switches from the stream to polling. */
+  const fallBackToPolling = () => {
+    if (source) {
+      source.close();
+      source = null;
+    }
+    if (!stopped && !timer) poll();
+  };
+
+  /** Opens the SSE stream with a fresh ticket. */
+  const connectStream = async () => {
+    let ticket;
+    try {
+      ticket = await getStreamTicket();
+    } catch {
+      ticket = null;
+    }
+    if (stopped) return;
+    if (!ticket) {
+      fallBackToPolling();
+      return;
+    }
+    source = new EventSourceImpl(
+      buildUrl(ORDER_STREAM_PATH, { ticket, since: getCursor() })
+    );
+
+    // Servers that accept and then drop the connection must not reset the
+    // error count, so it is only cleared once the stream proves healthy
+    source.onopen = () => {
+      onModeChange("stream");
+      clearTimeout(stableTimer);
+      stableTimer = setTimeout(() => (streamErrors = 0), STREAM_STABLE_MS);
+    };
+
+    const handleEvent = (e) => {
+      streamErrors = 0;
+      const orders = parseStreamPayload(e.data);
+      if (orders.length) onOrders(orders);
+    };
+    source.onmessage = handleEvent;
+    source.addEventListener("order", handleEvent);
+
+    // EventSource would reconnect with the same, now used ticket, so close
+    // it and reconnect with a new one after a growing delay; give up after
+    // repeated failures
+    source.onerror = () => {
+      source.close();
+      source = null;
+      clearTimeout(stableTimer);
+      streamErrors += 1;
+      if (stopped) return;
+      if (streamErrors >= MAX_STREAM_ERRORS) fallBackToPolling();
+      else retryTimer = setTimeout(connectStream, streamRetryDelay * 2 ** (streamErrors - 1));
+    };
+  };
+
+  onModeChange("connecting");
+  if (EventSourceImpl) connectStream();
+  else poll();
+
+  return () => {
+    stopped = true;
+    if (source) source.close();
+    if (timer) clearTimeout(timer);
+    clearTimeout(retryTimer);
+    clearTimeout(stableTimer);
+    if (controller) controller.abort();
+  };
+}
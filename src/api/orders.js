@@ -0,0 +1,73 @@
+/**
+ * @file orders.js
+ * @description Order endpoints (`/api/orders`).
+ */
+
+import { api, toList, requestWithMeta } from "./client";
+
+const ORDERS = "/api/orders";
+
+// Server-sent events stream of new and changed orders
+export const ORDER_STREAM_PATH = `${ORDERS}/stream`;
+
+/**
+ * Requests a short-lived, single-use ticket for opening the order stream.
+ * EventSource cannot send headers, so the stream is authorised with this
+ * ticket instead of putting the session token in the URL.
+ * @returns {Promise<string|undefined>} Ticket.
+ */
+export const requestStreamTicket = async () => (await api.post(`${ORDER_STREAM_PATH}/ticket`))?.ticket;
+
+/** Fetches every order. */
+export const fetchOrders = async () => toList(await api.get(ORDERS));
+
+/**
+ * Conditionally fetches orders created or changed since a cursor.
+ * Backends that ignore `since` return the full list, which callers merge.
+ *
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO timestamp of the newest order already known.
+ * @param {string} [options.etag] - ETag from the previous poll.
+ * @param {AbortSignal} [options.signal] - Abort signal.
+ * @returns {Promise<{ orders: Array|null, etag: string|null }>} `orders` is null when nothing changed (304).
+ */
+export async function fetchOrderChanges({ since, etag, signal } = {}) {
+  const { data, status, headers } = await requestWithMeta(ORDERS, {
+    query: { since },
+    headers: etag ? { "If-None-Match": etag } : {},
+    signal,
+  });
+  return {
+    orders: status === 304 ? null : toList(data),
+    etag: headers.get("ETag") || etag || null,
+  };
+}
+
+/**
+ * Updates the status of an order.
+ * @param {string} id - Order id.
+ * @param {string} status - New status value.
+ */
+export const updateOrderStatus = (id, status) => api.put(`${ORDERS}/${id}`, { status });
+
+/**
+ * Moves an order to the trash. The backend sets `deletedAt` and leaves it
+ * out of the order list until it is restored or purged.
+ * @param {string} id - Order id.
+ */
+export const deleteOrder = (id) => api.delete(`${ORDERS}/${id}`);
+
+/** Fetches the orders in the trash. */
+export const fetchDeletedOrders = async () => toList(await api.get(ORDERS, { query: { deleted: true } }));
+
+/**
+ * Brings an order back from the trash.
+ * @param {string} id - Order id.
+ */
+export const restoreOrder = (id) => api.post(`${ORDERS}/${id}/restore`);
+
+/**
+ * Permanently deletes an order from the trash.
+ * @param {string} id - Order id.
+ */
+export const purgeOrder = (id) => api.delete(`${ORDERS}/${id}`, { query: { permanent: true } });
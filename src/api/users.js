@@ -0,0 +1,27 @@
+/**
+ * @file users.js
+ * @description Staff account endpoints (`/api/users`).
+ */
+
+import { api, toList } from "./client";
+
+const USERS = "/api/users";
+
+/** Fetches every staff account, including pending invitations. */
+export const fetchUsers = async () => toList(await api.get(USERS));
+
+/**
+ * Invites a staff member. The backend emails a sign-up link and lists the
+ * account as invited until it is accepted.
+ * @param {{ name: string, email: string, role: string }} invite
+ * @returns {Promise<object>} The invited account.
+ */
+export const inviteUser = async (invite) => (await api.post(`${USERS}/invite`, invite))?.data;
+
+/**
+ * Updates a staff account.
+ * @param {string} id - User id.
+ * @param {object} changes - e.g. `{ role }` or `{ disabled }`.
+ * @returns {Promise<object>} The updated account.
+ */
+export const updateUser = async (id, changes) => (await api.patch(`${USERS}/${id}`, changes))?.data;
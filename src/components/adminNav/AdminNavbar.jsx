@@ -7,53 +7,71 @@
  * 
  * Key Features:
  * - Responsive design (hamburger toggle for mobile)
- * - Auth-based button switching (Login/Logout)
+ * - Auth-based button switching (Login/Logout) via the shared AuthProvider session
  * - Smooth hover animations with Tailwind gradients
  * - Maintains active link highlighting
+ * - Unread contact message badge
+ * - Links filtered by the signed-in staff role
  * 
  * Author: Muzamil Ahmad
  * Environment: React + Tailwind CSS
  * Last Updated: October 2025
  */
 
-import React, { useState, useEffect } from "react";
-import { NavLink, useLocation, useNavigate } from "react-router-dom";
+import React, { useState } from "react";
+import { NavLink, useNavigate } from "react-router-dom";
 import { FiMenu, FiX, FiClipboard } from "react-icons/fi";
-import { FaBoxOpen, FaSignOutAlt, FaSignInAlt } from "react-icons/fa";
+import { FaBoxOpen, FaSignOutAlt, FaSignInAlt, FaUsers, FaTrashRestore } from "react-icons/fa";
 import { GiChefToque, GiForkKnifeSpoon } from "react-icons/gi";
-import { MdListAlt } from "react-icons/md";
-import LoginModal from "../../components/adminNav/login/Login.jsx";
+import { MdListAlt, MdDashboard, MdCategory, MdMail, MdHistory } from "react-icons/md";
+import { useAuth } from "../../context/auth/useAuth";
+import { useContacts } from "../../context/contacts/useContacts";
 
-// Navigation link configuration
+// Navigation link configuration; `permission` is needed to see the link and
+// `badge` names a count shown next to it
 const navLinks = [
-  { name: "Add Item", path: "/additem", icon: <FaBoxOpen /> },
-  { name: "List Items", path: "/listitem", icon: <FiClipboard /> },
-  { name: "Orders", path: "/orders", icon: <MdListAlt /> },
+  { name: "Dashboard", path: "/dashboard", icon: <MdDashboard />, permission: "dashboard.view" },
+  { name: "Add Item", path: "/additem", icon: <FaBoxOpen />, permission: "menu.edit" },
+  { name: "List Items", path: "/listitem", icon: <FiClipboard />, permission: "menu.view" },
+  { name: "Categories", path: "/categories", icon: <MdCategory />, permission: "menu.edit" },
+  { name: "Orders", path: "/orders", icon: <MdListAlt />, permission: "orders.view" },
+  { name: "Contacts", path: "/contacts", icon: <MdMail />, permission: "contacts.view", badge: "unreadContacts" },
+  { name: "Trash", path: "/trash", icon: <FaTrashRestore />, permission: "trash.view" },
+  { name: "Staff", path: "/users", icon: <FaUsers />, permission: "users.manage" },
+  { name: "Audit", path: "/audit", icon: <MdHistory />, permission: "audit.view" },
 ];
 
 const AdminNavbar = () => {
-  const location = useLocation();
   const navigate = useNavigate();
+  const { isAdmin: isLoggedIn, can, logout, openLogin } = useAuth(); // Auth state
+
+  // Signed-out visitors see every link; clicking one asks them to log in
+  const visibleLinks = isLoggedIn ? navLinks.filter((link) => can(link.permission)) : navLinks;
+
+  const { unreadCount } = useContacts();
+  const badges = { unreadContacts: unreadCount };
 
   const [isOpen, setIsOpen] = useState(false); // Mobile menu toggle
-  const [isLoginOpen, setIsLoginOpen] = useState(false); // Login modal visibility
-  const [isLoggedIn, setIsLoggedIn] = useState(false); // Auth state
 
   /**
-   * Check user authentication state on mount.
+   * Count badge for a link, hidden when zero.
+   * @param {object} link - Entry from navLinks.
    */
-  useEffect(() => {
-    const token = localStorage.getItem("token");
-    setIsLoggedIn(!!token);
-  }, []);
+  const renderBadge = (link) =>
+    link.badge && badges[link.badge] > 0 ? (
+      <span
+        className="ml-1 min-w-5 px-1.5 rounded-full bg-red-600 text-white text-xs font-bold text-center"
+        title={`${badges[link.badge]} unread messages`}
+      >
+        {badges[link.badge] > 99 ? "99+" : badges[link.badge]}
+      </span>
+    ) : null;
 
   /**
    * Handles user logout and redirects to home.
    */
   const handleLogout = () => {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    setIsLoggedIn(false);
+    logout();
     navigate("/");
   };
 
@@ -101,7 +119,7 @@ const AdminNavbar = () => {
 
             {/* Desktop Navigation Links */}
             <div className="hidden lg:flex items-center space-x-4 ml-auto">
-              {navLinks.map((link) => (
+              {visibleLinks.map((link) => (
                 <NavLink
                   key={link.path}
                   to={link.path}
@@ -114,6 +132,7 @@ const AdminNavbar = () => {
                   }
                 >
                   {link.icon} {link.name}
+                  {renderBadge(link)}
                 </NavLink>
               ))}
 
@@ -123,7 +142,7 @@ const AdminNavbar = () => {
                   <FaSignInAlt /> Logout
                 </button>
               ) : (
-                <button onClick={() => setIsLoginOpen(true)} className={buttonClass}>
+                <button onClick={() => openLogin()} className={buttonClass}>
                   <FaSignOutAlt /> Login
                 </button>
               )}
@@ -144,7 +163,7 @@ const AdminNavbar = () => {
         {/* Mobile Navigation Menu */}
         {isOpen && (
           <div className="lg:hidden bg-[#2D1B0E] border-t border-amber-900/50 px-4 py-3 space-y-2">
-            {navLinks.map((link) => (
+            {visibleLinks.map((link) => (
               <NavLink
                 key={link.path}
                 to={link.path}
@@ -158,12 +177,13 @@ const AdminNavbar = () => {
                 }
               >
                 {link.icon} {link.name}
+                {renderBadge(link)}
               </NavLink>
             ))}
 
             {/* Mobile Login/Logout Button */}
             <button
-              onClick={isLoggedIn ? handleLogout : () => setIsLoginOpen(true)}
+              onClick={isLoggedIn ? handleLogout : () => openLogin()}
               className={`${buttonClass} w-full mt-2`}
             >
               {isLoggedIn ? <FaSignInAlt /> : <FaSignOutAlt />}{" "}
@@ -172,9 +192,6 @@ const AdminNavbar = () => {
           </div>
         )}
       </nav>
-
-      {/* Login Modal */}
-      <LoginModal isOpen={isLoginOpen} onClose={() => setIsLoginOpen(false)} />
     </>
   );
 };
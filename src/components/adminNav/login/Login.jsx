@@ -15,6 +15,11 @@ import { motion, AnimatePresence } from "framer-motion";
 import { GiChefToque } from "react-icons/gi";
 import { FaTimes } from "react-icons/fa";
 import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../../context/auth/useAuth";
+import { loginSchema } from "../../../context/auth/authSchemas";
+import { getStaffRole, getHomePath } from "../../../context/auth/permissions";
+import useFormValidation from "../../../hooks/useFormValidation";
+import FieldError from "../../fieldError/FieldError";
 
 /**
  * AdminLoginModal Component
@@ -35,21 +40,35 @@ export default function AdminLoginModal({ isOpen, onClose }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const navigate = useNavigate();
+  const { login, returnTo, loginMessage } = useAuth();
+  const { errors, handleBlur, revalidate, validateAll, applyServerErrors, reset } = useFormValidation(
+    loginSchema,
+    formData
+  );
 
   /**
    * Updates the form input values in state dynamically.
    * @param {object} e - Input change event.
    */
   const handleChange = (e) => {
-    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+    const next = { ...formData, [e.target.name]: e.target.value };
+    setFormData(next);
+    revalidate(e.target.name, next);
   };
 
+  // Input classes with the border marking invalid fields
+  const inputClass = (field) =>
+    `px-4 py-2 rounded-xl border ${
+      errors[field] ? "border-red-500" : "border-amber-700"
+    } bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition`;
+
   /**
    * Handles login submission, validation, and navigation.
-   * - Performs basic field validation.
+   * - Validates the fields against loginSchema.
    * - Sends credentials to backend API for authentication.
-   * - Checks for admin role before granting access.
-   * - Persists the token securely in localStorage.
+   * - Starts the admin session through AuthProvider (active staff roles only).
+   * - Returns to the protected route that asked for login, if any, or the
+   *   first page the user's role may open.
    *
    * @param {object} e - Form submission event.
    */
@@ -57,46 +76,24 @@ export default function AdminLoginModal({ isOpen, onClose }) {
     e.preventDefault();
     setError("");
 
-    // Basic client-side validation
-    if (!formData.email || !formData.password) {
-      setError("All fields are required.");
-      return;
-    }
+    if (!validateAll()) return;
 
     try {
       setLoading(true);
 
       // Backend API request
-      const res = await fetch("https://1e20a7ed-cc85-497b-b510-b41debc2f036-00-1p28dt788ywz9.pike.replit.dev/auth/login", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(formData),
-      });
-
-      const data = await res.json();
-
-      if (!res.ok) {
-        setError(data.message || "Login failed");
-        return;
-      }
+      const user = await login(formData);
 
-      // Ensure the user has admin privileges
-      if (data.data.role !== "admin") {
-        setError("Access denied. Admin only.");
-        return;
-      }
-
-      // Save admin session securely
-      localStorage.setItem("adminToken", data.data.token);
-      localStorage.setItem("adminUser", JSON.stringify(data.data));
-
-      // Redirect to admin dashboard
+      // Redirect to the requested page or the role's landing page
+      const target = returnTo || getHomePath(getStaffRole(user));
+      setFormData({ email: "", password: "" });
+      reset();
       onClose();
-      navigate("/orders", {
+      navigate(target, {
         state: { message: "Admin login successful" },
       });
     } catch (err) {
-      setError(err.message || "Server error");
+      if (!applyServerErrors(err)) setError(err.message || "Login failed");
     } finally {
       setLoading(false);
     }
@@ -146,6 +143,13 @@ export default function AdminLoginModal({ isOpen, onClose }) {
               </h2>
             </div>
 
+            {/* Notice (e.g. session expired) */}
+            {loginMessage && !error && (
+              <p className="text-amber-300 text-center mb-3 text-sm">
+                {loginMessage}
+              </p>
+            )}
+
             {/* Error message */}
             {error && (
               <p className="text-red-400 text-center mb-3 text-sm" role="alert">
@@ -154,26 +158,38 @@ export default function AdminLoginModal({ isOpen, onClose }) {
             )}
 
             {/* Login form */}
-            <form onSubmit={handleSubmit} className="flex flex-col gap-4">
-              <input
-                type="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                placeholder="Admin Email"
-                autoComplete="email"
-                className="px-4 py-2 rounded-xl border border-amber-700 bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition"
-              />
-
-              <input
-                type="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                placeholder="Password"
-                autoComplete="current-password"
-                className="px-4 py-2 rounded-xl border border-amber-700 bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition"
-              />
+            <form onSubmit={handleSubmit} noValidate className="flex flex-col gap-4">
+              <div>
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  onBlur={() => handleBlur("email")}
+                  placeholder="Admin Email"
+                  autoComplete="email"
+                  aria-invalid={Boolean(errors.email)}
+                  aria-describedby="login-email-error"
+                  className={`w-full ${inputClass("email")}`}
+                />
+                <FieldError id="login-email-error" message={errors.email} />
+              </div>
+
+              <div>
+                <input
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  onBlur={() => handleBlur("password")}
+                  placeholder="Password"
+                  autoComplete="current-password"
+                  aria-invalid={Boolean(errors.password)}
+                  aria-describedby="login-password-error"
+                  className={`w-full ${inputClass("password")}`}
+                />
+                <FieldError id="login-password-error" message={errors.password} />
+              </div>
 
               <motion.button
                 type="submit"
@@ -0,0 +1,66 @@
+/**
+ * @file BarChart.jsx
+ * @description Lightweight vertical bar chart built with plain elements, with
+ * an optional ghost bar per slot for comparing against another series.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React from "react";
+
+/**
+ * BarChart Component
+ *
+ * @component
+ * @param {Array<{ label: string, value: number, compare?: number }>} data - Bars in display order.
+ * @param {Function} [format] - Formats values for tooltips.
+ * @param {number} [height] - Plot height in pixels.
+ * @param {number} [labelEvery] - Show every n-th axis label (avoids overlap on long series).
+ * @param {string} [compareLabel] - Tooltip prefix for the comparison value.
+ */
+export default function BarChart({ data, format = String, height = 180, labelEvery = 1, compareLabel = "Previous" }) {
+  const max = Math.max(1, ...data.map((d) => Math.max(d.value, d.compare || 0)));
+  const hasCompare = data.some((d) => d.compare !== undefined);
+
+  if (!data.length) {
+    return <p className="text-center text-gray-400 text-sm py-12">No data for this period.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-end gap-1" style={{ height }}>
+        {data.map((d, idx) => (
+          <div
+            key={`${d.label}-${idx}`}
+            className="group relative flex-1 h-full flex items-end justify-center gap-px"
+            title={
+              `${d.label}: ${format(d.value)}` +
+              (hasCompare ? ` · ${compareLabel}: ${format(d.compare || 0)}` : "")
+            }
+          >
+            {hasCompare && (
+              <div
+                className="w-1/3 rounded-t bg-gray-500/50"
+                style={{ height: `${((d.compare || 0) / max) * 100}%` }}
+              />
+            )}
+            <div
+              className={`${hasCompare ? "w-1/2" : "w-3/4"} rounded-t bg-gradient-to-t from-amber-600 to-amber-400 group-hover:from-amber-500 group-hover:to-amber-300 transition`}
+              style={{ height: `${(d.value / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-2 text-[10px] text-gray-400">
+        {data.map((d, idx) => (
+          <span key={`${d.label}-${idx}`} className="flex-1 text-center truncate">
+            {idx % labelEvery === 0 ? d.label : ""}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+/**
+ * @file ExportMenu.jsx
+ * @description Export button with a format dropdown (Excel, CSV, JSON),
+ * shared by the orders, contacts and menu pages.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { Download, ChevronDown } from "lucide-react";
+import { EXPORT_FORMATS } from "../../utils/exporter";
+
+/**
+ * ExportMenu Component
+ *
+ * @component
+ * @param {Function} onExport - Called with the chosen format key.
+ * @param {boolean} [disabled] - Disables the button (e.g. nothing to export).
+ * @param {string} [label] - Button label.
+ * @param {string} [className] - Button colour classes.
+ */
+export default function ExportMenu({
+  onExport,
+  disabled = false,
+  label = "Export",
+  className = "bg-green-700 hover:bg-green-600 text-white",
+}) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  /**
+   * Runs the export; errors are reported instead of failing silently.
+   */
+  const handleExport = (format) => {
+    setOpen(false);
+    try {
+      onExport(format);
+    } catch (err) {
+      console.error("Export error:", err);
+      alert("Export failed: " + err.message);
+    }
+  };
+
+  return (
+    <div className="relative" ref={ref}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        disabled={disabled}
+        className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+      >
+        <Download className="w-4 h-4" /> {label}
+        <ChevronDown className="w-3 h-3" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-40 z-30 rounded-lg border border-amber-800/60 bg-amber-950 shadow-xl py-1 text-xs text-amber-100">
+          {Object.entries(EXPORT_FORMATS).map(([format, formatLabel]) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              className="block w-full text-left px-3 py-1.5 hover:bg-amber-800/50"
+            >
+              {formatLabel}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * @file FieldError.jsx
+ * @description Inline validation message shown under a form field.
+ */
+
+import React from "react";
+
+/**
+ * FieldError Component
+ *
+ * @component
+ * @param {string} id - Element id, referenced by the field's `aria-describedby`.
+ * @param {string} message - Error message; nothing is rendered when empty.
+ * @param {string} className - Extra classes.
+ */
+export default function FieldError({ id, message, className = "" }) {
+  if (!message) return null;
+  return (
+    <p id={id} className={`text-red-400 text-xs mt-1 ${className}`} role="alert">
+      {message}
+    </p>
+  );
+}
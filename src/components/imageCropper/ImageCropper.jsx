@@ -0,0 +1,125 @@
+/**
+ * @file ImageCropper.jsx
+ * @description Modal crop tool with a fixed aspect ratio. The image is
+ * dragged and zoomed behind a frame; the visible area becomes the crop.
+ */
+
+import React, { useState, useRef } from "react";
+import { Check, X, ZoomIn } from "lucide-react";
+
+const FRAME_WIDTH = 320;
+
+/**
+ * ImageCropper Component
+ *
+ * @component
+ * @param {HTMLImageElement} image - Decoded image to crop.
+ * @param {number} aspect - Width / height of the crop.
+ * @param {string} title - Heading, e.g. the file name.
+ * @param {Function} onConfirm - Called with `{ x, y, width, height }` in source pixels.
+ * @param {Function} onCancel - Called when the image is skipped.
+ */
+export default function ImageCropper({ image, aspect, title, onConfirm, onCancel }) {
+  const frameHeight = FRAME_WIDTH / aspect;
+  const baseScale = Math.max(FRAME_WIDTH / image.naturalWidth, frameHeight / image.naturalHeight);
+
+  const [zoom, setZoom] = useState(1);
+  // Image offset inside the frame, in frame pixels; starts centred
+  const [offset, setOffset] = useState(() => ({
+    x: (FRAME_WIDTH - image.naturalWidth * baseScale) / 2,
+    y: (frameHeight - image.naturalHeight * baseScale) / 2,
+  }));
+  const dragRef = useRef(null);
+
+  const scale = baseScale * zoom;
+
+  // Keeps the frame fully covered by the image
+  const clamp = (next, s = scale) => ({
+    x: Math.min(0, Math.max(FRAME_WIDTH - image.naturalWidth * s, next.x)),
+    y: Math.min(0, Math.max(frameHeight - image.naturalHeight * s, next.y)),
+  });
+
+  const handleZoom = (value) => {
+    const nextScale = baseScale * value;
+    // Zoom around the frame centre
+    const cx = (FRAME_WIDTH / 2 - offset.x) / scale;
+    const cy = (frameHeight / 2 - offset.y) / scale;
+    setZoom(value);
+    setOffset(clamp({ x: FRAME_WIDTH / 2 - cx * nextScale, y: frameHeight / 2 - cy * nextScale }, nextScale));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    setOffset(clamp({ x: e.clientX - dragRef.current.x, y: e.clientY - dragRef.current.y }));
+  };
+
+  const handleConfirm = () =>
+    onConfirm({ x: -offset.x / scale, y: -offset.y / scale, width: FRAME_WIDTH / scale, height: frameHeight / scale });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="bg-gray-800 border border-gray-700 rounded-xl p-5 shadow-xl space-y-4">
+        <h2 className="text-amber-400 font-semibold text-sm truncate" style={{ maxWidth: FRAME_WIDTH }}>
+          Crop {title}
+        </h2>
+
+        <div
+          className="relative overflow-hidden rounded-lg cursor-move touch-none bg-gray-900 ring-2 ring-amber-500"
+          style={{ width: FRAME_WIDTH, height: frameHeight }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => (dragRef.current = null)}
+          onPointerCancel={() => (dragRef.current = null)}
+        >
+          <img
+            src={image.src}
+            alt=""
+            draggable={false}
+            className="absolute top-0 left-0 max-w-none select-none"
+            style={{
+              width: image.naturalWidth * scale,
+              height: image.naturalHeight * scale,
+              transform: `translate(${offset.x}px, ${offset.y}px)`,
+            }}
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-xs text-gray-300">
+          <ZoomIn className="w-4 h-4 text-amber-400" />
+          <input
+            type="range"
+            min="1"
+            max="3"
+            step="0.01"
+            value={zoom}
+            onChange={(e) => handleZoom(Number(e.target.value))}
+            className="flex-1 accent-amber-500"
+            aria-label="Zoom"
+          />
+        </label>
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-gray-700"
+          >
+            <X className="w-4 h-4" /> Skip
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-orange-600 hover:bg-orange-700 text-white"
+          >
+            <Check className="w-4 h-4" /> Use image
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
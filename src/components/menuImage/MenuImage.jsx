@@ -0,0 +1,33 @@
+/**
+ * @file MenuImage.jsx
+ * @description Menu item image that shows a placeholder when the image is
+ * missing or fails to load.
+ */
+
+import React, { useState } from "react";
+import { ImageOff } from "lucide-react";
+
+/**
+ * MenuImage Component
+ *
+ * @component
+ * @param {string} src - Image URL.
+ * @param {string} alt - Alternative text.
+ * @param {string} className - Size and shape classes, applied to the image or placeholder.
+ */
+export default function MenuImage({ src, alt, className = "" }) {
+  const [failedSrc, setFailedSrc] = useState(null);
+
+  if (!src || failedSrc === src)
+    return (
+      <div
+        className={`${className} flex items-center justify-center bg-gray-700 text-gray-500`}
+        role="img"
+        aria-label={alt ? `${alt} (no image)` : "No image"}
+      >
+        <ImageOff className="w-1/2 h-1/2 max-w-6 max-h-6" />
+      </div>
+    );
+
+  return <img src={src} alt={alt} loading="lazy" onError={() => setFailedSrc(src)} className={`${className} object-cover`} />;
+}
@@ -0,0 +1,77 @@
+/**
+ * @file Pagination.jsx
+ * @description Compact pager with page-size selector, shared by list pages.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { PAGE_SIZES } from "../../utils/pagination";
+
+/**
+ * Pagination Component
+ *
+ * @component
+ * @param {number} page - Current 1-based page.
+ * @param {number} pageCount - Total number of pages.
+ * @param {number} pageSize - Rows per page.
+ * @param {number} total - Total number of rows across all pages.
+ * @param {Function} onPageChange - Called with the new page number.
+ * @param {Function} onPageSizeChange - Called with the new page size.
+ */
+export default function Pagination({ page, pageCount, pageSize, total, onPageChange, onPageSizeChange }) {
+  const from = total ? (page - 1) * pageSize + 1 : 0;
+  const to = Math.min(page * pageSize, total);
+
+  const buttonClass =
+    "p-1.5 rounded-lg border border-gray-600 text-amber-400 hover:bg-amber-500/10 transition disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 mt-6 text-sm text-gray-300">
+      <span>
+        Showing {from}–{to} of {total}
+      </span>
+
+      <div className="flex items-center gap-3">
+        <label className="flex items-center gap-2">
+          Rows
+          <select
+            value={pageSize}
+            onChange={(e) => onPageSizeChange(Number(e.target.value))}
+            className="bg-gray-700 border border-gray-600 rounded-lg px-2 py-1 text-white"
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className={buttonClass}
+          aria-label="Previous page"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span>
+          Page {page} of {pageCount}
+        </span>
+        <button
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          className={buttonClass}
+          aria-label="Next page"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * @file ProtectedRoute.jsx
+ * @description Route guard that only renders its children for an active
+ * admin session. Anonymous visitors get the login modal and are returned
+ * to the requested page once they sign in. While a 401 re-login is in
+ * progress the page stays mounted so its replayed requests can land.
+ * Staff whose role lacks the page's permission see a notice instead.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useEffect } from "react";
+import { useLocation, Link } from "react-router-dom";
+import { FaLock } from "react-icons/fa";
+import { useAuth } from "../../context/auth/useAuth";
+import { ROLES, getHomePath } from "../../context/auth/permissions";
+
+/**
+ * ProtectedRoute Component
+ *
+ * @component
+ * @param {React.ReactNode} children - Page rendered for authenticated admins.
+ * @param {string} [permission] - Permission the user's role needs to open the page.
+ */
+export default function ProtectedRoute({ children, permission }) {
+  const { isAdmin, role, can, isReauthenticating, openLogin } = useAuth();
+  const location = useLocation();
+  const path = location.pathname + location.search;
+
+  // Ask for credentials as soon as an anonymous user lands here
+  useEffect(() => {
+    if (!isAdmin && !isReauthenticating) openLogin(path);
+  }, [isAdmin, isReauthenticating, openLogin, path]);
+
+  if (isReauthenticating || (isAdmin && (!permission || can(permission)))) return children;
+
+  if (isAdmin) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6 flex items-center justify-center">
+        <div className="bg-gray-800/90 border border-gray-700 rounded-xl p-8 shadow-lg text-center max-w-sm">
+          <FaLock className="mx-auto text-3xl text-amber-500 mb-4" />
+          <h1 className="text-xl font-bold text-amber-400 mb-2">No access</h1>
+          <p className="text-gray-400 text-sm mb-6">
+            Your role ({ROLES[role].label}) cannot open this page. Ask the owner if you need access.
+          </p>
+          <Link
+            to={getHomePath(role)}
+            className="inline-block px-4 py-2 rounded-lg bg-orange-600 hover:bg-orange-700 text-white font-semibold transition-colors"
+          >
+            Go to my start page
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6 flex items-center justify-center">
+      <div className="bg-gray-800/90 border border-gray-700 rounded-xl p-8 shadow-lg text-center max-w-sm">
+        <FaLock className="mx-auto text-3xl text-amber-500 mb-4" />
+        <h1 className="text-xl font-bold text-amber-400 mb-2">Admin login required</h1>
+        <p className="text-gray-400 text-sm mb-6">Please log in with an admin account to view this page.</p>
+        <button
+          onClick={() => openLogin(path)}
+          className="px-4 py-2 rounded-lg bg-orange-600 hover:bg-orange-700 text-white font-semibold transition-colors"
+        >
+          Login
+        </button>
+      </div>
+    </div>
+  );
+}
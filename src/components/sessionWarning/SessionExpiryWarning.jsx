@@ -0,0 +1,77 @@
+/**
+ * @file SessionExpiryWarning.jsx
+ * @description Toast shown shortly before the admin session expires,
+ * with a live countdown and a shortcut to log in again.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { FaClock, FaTimes } from "react-icons/fa";
+
+/**
+ * Formats a millisecond duration as m:ss.
+ * @param {number} ms - Remaining time.
+ */
+const formatRemaining = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * SessionExpiryWarning Component
+ *
+ * @component
+ * @param {boolean} isOpen - Whether the warning is visible.
+ * @param {number} expiresAt - Session expiry timestamp in milliseconds.
+ * @param {Function} onRelogin - Ends the session and opens the login modal.
+ * @param {Function} onDismiss - Hides the warning.
+ */
+export default function SessionExpiryWarning({ isOpen, expiresAt, onRelogin, onDismiss }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick the countdown once per second while visible
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [isOpen]);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0, y: 40 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 40 }}
+          role="alert"
+          className="fixed bottom-4 right-4 z-50 w-80 bg-[#2D1B0E] border-2 border-amber-700/60 rounded-2xl shadow-2xl p-4 text-amber-100"
+        >
+          <button
+            onClick={onDismiss}
+            className="absolute top-2 right-2 text-amber-400 hover:text-amber-200"
+            aria-label="Dismiss"
+          >
+            <FaTimes />
+          </button>
+          <div className="flex items-center gap-2 font-semibold text-amber-400 mb-1">
+            <FaClock /> Session expiring
+          </div>
+          <p className="text-sm text-amber-200 mb-3">
+            Your admin session ends in {formatRemaining(expiresAt - now)}. Log in again to keep working.
+          </p>
+          <button
+            onClick={onRelogin}
+            className="w-full bg-gradient-to-r from-orange-500 to-orange-700 text-white py-1.5 rounded-xl text-sm font-semibold"
+          >
+            Log in again
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
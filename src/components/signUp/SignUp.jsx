@@ -1,15 +1,28 @@
 import React, { useState } from "react";
 import { GiChefToque } from "react-icons/gi";
-import LoginModal from "../login/Login";
 import { motion } from "framer-motion";
 import { useNavigate } from "react-router-dom";
 import { FaHome } from "react-icons/fa";
+import { useAuth } from "../../context/auth/useAuth";
+import { signUpSchema } from "../../context/auth/authSchemas";
+import { getStaffRole, getHomePath } from "../../context/auth/permissions";
+import useFormValidation from "../../hooks/useFormValidation";
+import FieldError from "../fieldError/FieldError";
+
+// Sign-up inputs, in display order
+const FIELDS = [
+  { name: "name", type: "text", placeholder: "Full Name", autoComplete: "name" },
+  { name: "email", type: "email", placeholder: "Email Address", autoComplete: "email" },
+  { name: "password", type: "password", placeholder: "Password", autoComplete: "new-password" },
+  { name: "confirmPassword", type: "password", placeholder: "Confirm Password", autoComplete: "new-password" },
+];
 
 export default function SignUp() {
-  const [isLoginOpen, setIsLoginOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
   const navigate = useNavigate();
+  const { register, openLogin } = useAuth();
 
   const [formData, setFormData] = useState({
     name: "",
@@ -18,74 +31,43 @@ export default function SignUp() {
     confirmPassword: "",
   });
 
-  const handleChange = (e) => {
-    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
-  };
+  const { errors, handleBlur, revalidate, validateAll, applyServerErrors } = useFormValidation(
+    signUpSchema,
+    formData
+  );
 
-  const validateForm = () => {
-    if (!formData.name || !formData.email || !formData.password) {
-      return "All fields are required.";
-    }
-    if (!/\S+@\S+\.\S+/.test(formData.email)) {
-      return "Invalid email format.";
-    }
-    if (formData.password.length < 6) {
-      return "Password must be at least 6 characters.";
-    }
-    if (formData.password !== formData.confirmPassword) {
-      return "Passwords do not match.";
-    }
-    return null;
+  const handleChange = (e) => {
+    const next = { ...formData, [e.target.name]: e.target.value };
+    setFormData(next);
+    revalidate(e.target.name, next);
+    // The confirmation depends on the password
+    if (e.target.name === "password") revalidate("confirmPassword", next);
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
+    setNotice("");
 
-    const validationError = validateForm();
-    if (validationError) {
-      setError(validationError);
-      return;
-    }
+    if (!validateAll()) return;
 
     try {
       setLoading(true);
 
       // 🔹 Call backend API for signup
-      const res = await fetch("http://localhost:5000/api/auth/register", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          name: formData.name,
-          email: formData.email,
-          password: formData.password,
-        }),
-      });
-
-      const data = await res.json();
-
-      if (!res.ok) {
-        setError(data.message || "Signup failed");
-        return;
-      }
-
-      // 🔹 Save token and user info to localStorage
-      localStorage.setItem("token", data.data.token);
-      localStorage.setItem("user", JSON.stringify(data.data));
-
-      // 🔹 Fetch user orders immediately after signup
-      const ordersRes = await fetch("http://localhost:5000/api/orders", {
-        headers: { Authorization: `Bearer ${data.data.token}` },
+      // 🔹 AuthProvider only signs in accounts with a staff role (invited emails)
+      const user = await register({
+        name: formData.name,
+        email: formData.email,
+        password: formData.password,
       });
-      const ordersData = await ordersRes.json();
-      if (ordersData.success) {
-        localStorage.setItem("orders", JSON.stringify(ordersData.data));
-      }
 
-      // 🔹 Redirect to orders page
-      navigate("/orders");
+      // 🔹 Staff go to their start page; everyone else waits for an invite
+      const role = getStaffRole(user);
+      if (role && !user.disabled) navigate(getHomePath(role));
+      else setNotice("Account created. An owner needs to invite you before you can use the admin panel.");
     } catch (err) {
-      setError(err.message || "Server error");
+      if (!applyServerErrors(err)) setError(err.message || "Server error");
     } finally {
       setLoading(false);
     }
@@ -108,41 +90,28 @@ export default function SignUp() {
         {error && (
           <p className="text-red-400 text-center mb-3 text-sm">{error}</p>
         )}
+        {notice && (
+          <p className="text-green-400 text-center mb-3 text-sm">{notice}</p>
+        )}
 
         {/* Form */}
-        <form onSubmit={handleSubmit} className="flex flex-col gap-4">
-          <input
-            type="text"
-            name="name"
-            value={formData.name}
-            onChange={handleChange}
-            placeholder="Full Name"
-            className="px-4 py-2 rounded-xl border border-amber-700 bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition"
-          />
-          <input
-            type="email"
-            name="email"
-            value={formData.email}
-            onChange={handleChange}
-            placeholder="Email Address"
-            className="px-4 py-2 rounded-xl border border-amber-700 bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition"
-          />
-          <input
-            type="password"
-            name="password"
-            value={formData.password}
-            onChange={handleChange}
-            placeholder="Password"
-            className="px-4 py-2 rounded-xl border border-amber-700 bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition"
-          />
-          <input
-            type="password"
-            name="confirmPassword"
-            value={formData.confirmPassword}
-            onChange={handleChange}
-            placeholder="Confirm Password"
-            className="px-4 py-2 rounded-xl border border-amber-700 bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition"
-          />
+        <form onSubmit={handleSubmit} noValidate className="flex flex-col gap-4">
+          {FIELDS.map((field) => (
+            <div key={field.name}>
+              <input
+                {...field}
+                value={formData[field.name]}
+                onChange={handleChange}
+                onBlur={() => handleBlur(field.name)}
+                aria-invalid={Boolean(errors[field.name])}
+                aria-describedby={`signup-${field.name}-error`}
+                className={`w-full px-4 py-2 rounded-xl border ${
+                  errors[field.name] ? "border-red-500" : "border-amber-700"
+                } bg-[#3A2413] text-amber-100 placeholder-amber-400 focus:ring-2 focus:ring-amber-500 outline-none transition`}
+              />
+              <FieldError id={`signup-${field.name}-error`} message={errors[field.name]} />
+            </div>
+          ))}
 
           <motion.button
             type="submit"
@@ -163,7 +132,7 @@ export default function SignUp() {
             Already have an account?{" "}
             <button
               type="button"
-              onClick={() => setIsLoginOpen(true)}
+              onClick={() => openLogin()}
               className="text-orange-400 font-semibold hover:underline"
             >
               Login
@@ -180,9 +149,6 @@ export default function SignUp() {
           </button>
         </div>
       </div>
-
-      {/* Login Modal */}
-      <LoginModal isOpen={isLoginOpen} onClose={() => setIsLoginOpen(false)} />
     </div>
   );
 }
@@ -0,0 +1,64 @@
+/**
+ * @file ToastStack.jsx
+ * @description Renders the toasts of ToastProvider in the bottom-left
+ * corner, each with an optional action button and a bar showing the time
+ * left.
+ */
+
+import React from "react";
+import { FaTimes } from "react-icons/fa";
+
+const TONES = {
+  info: "border-amber-700/60",
+  error: "border-red-700/80",
+};
+
+/**
+ * ToastStack Component
+ *
+ * @component
+ * @param {Array<object>} toasts - Toasts from ToastProvider.
+ * @param {Function} onDismiss - Called with a toast id.
+ */
+export default function ToastStack({ toasts, onDismiss }) {
+  if (!toasts.length) return null;
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          role="status"
+          className={`relative overflow-hidden bg-[#2D1B0E] border-2 ${TONES[toast.tone] || TONES.info} rounded-2xl shadow-2xl p-3 pr-8 text-amber-100`}
+        >
+          <button
+            onClick={() => onDismiss(toast.id)}
+            className="absolute top-2 right-2 text-amber-400 hover:text-amber-200"
+            aria-label="Dismiss"
+          >
+            <FaTimes />
+          </button>
+          <div className="flex items-center gap-3">
+            <p className="flex-1 text-sm">{toast.message}</p>
+            {toast.action && (
+              <button
+                onClick={() => {
+                  onDismiss(toast.id);
+                  toast.action.onClick();
+                }}
+                className="px-3 py-1 rounded-lg text-sm font-semibold bg-orange-600 hover:bg-orange-700 text-white"
+              >
+                {toast.action.label}
+              </button>
+            )}
+          </div>
+          {/* Time left */}
+          <div
+            className="absolute bottom-0 left-0 h-1 bg-amber-500/70"
+            style={{ animation: `toast-countdown ${toast.duration}ms linear forwards` }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
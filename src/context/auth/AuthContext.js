@@ -0,0 +1,9 @@
+/**
+ * @file AuthContext.js
+ * @description React context holding the admin auth session.
+ * Consumers should use the `useAuth` hook instead of reading it directly.
+ */
+
+import { createContext } from "react";
+
+export const AuthContext = createContext(null);
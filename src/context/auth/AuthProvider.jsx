@@ -0,0 +1,255 @@
+/**
+ * @file AuthProvider.jsx
+ * @description Owns the admin auth session: persistence, login, signup,
+ * logout, the staff role and its permissions, and the shared login modal.
+ * Registers the session token with the API client so every request is
+ * authenticated, watches the JWT expiry and recovers from 401 responses by
+ * re-opening the login modal and replaying the failed requests once the
+ * admin is back.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { useLocation } from "react-router-dom";
+import { AuthContext } from "./AuthContext";
+import { readSession, saveSession, clearSession, TOKEN_KEY } from "./session";
+import { getTokenExpiry } from "./jwt";
+import { setTokenGetter, setUnauthorizedHandler, UnauthorizedError } from "../../api/client";
+import { login as loginRequest, register as registerRequest } from "../../api/auth";
+import { getStaffRole, hasPermission } from "./permissions";
+import { setAuditActorGetter, flushAuditQueue } from "../../utils/auditLog";
+import LoginModal from "../../components/adminNav/login/Login.jsx";
+import SessionExpiryWarning from "../../components/sessionWarning/SessionExpiryWarning.jsx";
+
+// Every API request reads the token from the persisted session
+setTokenGetter(() => readSession()?.token);
+
+// Audit events name the signed-in staff member
+setAuditActorGetter(() => {
+  const user = readSession()?.user;
+  return user ? { id: user._id || null, name: user.name || "", email: user.email || "", role: getStaffRole(user) } : null;
+});
+
+// How long before expiry the admin is warned
+const EXPIRY_WARNING_MS = 2 * 60 * 1000;
+
+// setTimeout cannot schedule further ahead than this
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const EXPIRED_MESSAGE = "Your session has expired. Please log in again.";
+
+/**
+ * Rejects accounts that may not use the admin panel.
+ * @param {object} user - User record returned by the API.
+ * @throws {Error} For customers, unknown roles and disabled staff.
+ */
+function assertStaff(user) {
+  if (!getStaffRole(user)) throw new Error("Access denied. This account has no staff role.");
+  if (user.disabled) throw new Error("This account has been disabled. Contact the owner.");
+}
+
+/**
+ * AuthProvider Component
+ *
+ * @component
+ * @param {React.ReactNode} children - Application tree.
+ */
+export default function AuthProvider({ children }) {
+  const [session, setSession] = useState(readSession);
+  const [isLoginOpen, setIsLoginOpen] = useState(false);
+  const [returnTo, setReturnTo] = useState(null);
+  const [loginMessage, setLoginMessage] = useState("");
+  const [showExpiryWarning, setShowExpiryWarning] = useState(false);
+
+  // Requests that failed with 401 and wait for the admin to log back in
+  const pendingRetries = useRef([]);
+  const [pendingCount, setPendingCount] = useState(0);
+
+  const location = useLocation();
+  const currentPath = useRef("");
+  currentPath.current = location.pathname + location.search;
+
+  const expiresAt = session?.token ? getTokenExpiry(session.token) : null;
+
+  /**
+   * Keeps the session in sync when another tab logs in or out.
+   */
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === null || e.key === TOKEN_KEY) setSession(readSession());
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // Audit events queued while signed out or offline are sent once a session exists
+  useEffect(() => {
+    if (session) flushAuditQueue();
+  }, [session]);
+
+  /**
+   * Replays or rejects every request waiting on a re-login.
+   * @param {Error} [error] - Rejection reason; replays the requests when omitted.
+   */
+  const settlePendingRetries = useCallback((error) => {
+    const queue = pendingRetries.current;
+    pendingRetries.current = [];
+    setPendingCount(0);
+    queue.forEach(({ retry, resolve, reject }) => {
+      if (error) reject(error);
+      else retry().then(resolve, reject);
+    });
+  }, []);
+
+  /**
+   * Opens the login modal.
+   * @param {string} [path] - Route to return to after a successful login.
+   * @param {string} [message] - Notice shown above the login form.
+   */
+  const openLogin = useCallback((path = null, message = "") => {
+    setReturnTo(path);
+    setLoginMessage(message);
+    setIsLoginOpen(true);
+  }, []);
+
+  /**
+   * Closes the login modal. Requests still waiting on a re-login fail.
+   */
+  const closeLogin = useCallback(() => {
+    setIsLoginOpen(false);
+    setReturnTo(null);
+    setLoginMessage("");
+    if (pendingRetries.current.length) {
+      settlePendingRetries(new UnauthorizedError(EXPIRED_MESSAGE));
+    }
+  }, [settlePendingRetries]);
+
+  /**
+   * Ends the current session and asks the admin to log in again,
+   * staying on the current page.
+   */
+  const expireSession = useCallback(() => {
+    clearSession();
+    setSession(null);
+    setShowExpiryWarning(false);
+    openLogin(currentPath.current, EXPIRED_MESSAGE);
+  }, [openLogin]);
+
+  /**
+   * Central 401 handling for every API call: the session is cleared, the
+   * login modal opens, and the request is replayed after a successful login.
+   */
+  useEffect(() => {
+    setUnauthorizedHandler(
+      (error, retry) =>
+        new Promise((resolve, reject) => {
+          const isFirst = pendingRetries.current.length === 0;
+          pendingRetries.current.push({ retry, resolve, reject });
+          setPendingCount(pendingRetries.current.length);
+          if (isFirst) expireSession();
+        })
+    );
+    return () => setUnauthorizedHandler(null);
+  }, [expireSession]);
+
+  /**
+   * Schedules the expiry warning and the automatic logout for the current token.
+   */
+  useEffect(() => {
+    setShowExpiryWarning(false);
+    if (!expiresAt) return undefined;
+
+    const remaining = expiresAt - Date.now();
+    if (remaining <= 0) {
+      expireSession();
+      return undefined;
+    }
+    if (remaining > MAX_TIMEOUT_MS) return undefined;
+
+    const warnId = setTimeout(() => setShowExpiryWarning(true), Math.max(0, remaining - EXPIRY_WARNING_MS));
+    const expireId = setTimeout(expireSession, remaining);
+    return () => {
+      clearTimeout(warnId);
+      clearTimeout(expireId);
+    };
+  }, [expiresAt, expireSession]);
+
+  /**
+   * Authenticates a staff member and persists the session.
+   * Requests that failed with 401 are replayed afterwards.
+   * @param {{ email: string, password: string }} credentials
+   * @throws {Error} When the credentials are rejected or the account is not active staff.
+   */
+  const login = useCallback(async (credentials) => {
+    const user = await loginRequest(credentials);
+    assertStaff(user);
+    setSession(saveSession(user));
+    settlePendingRetries();
+    return user;
+  }, [settlePendingRetries]);
+
+  /**
+   * Registers a new account. It is only signed in when the backend gave it a
+   * staff role (e.g. the email was invited); other accounts wait for an owner.
+   * @param {{ name: string, email: string, password: string }} details
+   * @returns {Promise<object>} The registered user.
+   */
+  const register = useCallback(async (details) => {
+    const user = await registerRequest(details);
+    if (getStaffRole(user) && !user.disabled) setSession(saveSession(user));
+    return user;
+  }, []);
+
+  /** Clears the session. */
+  const logout = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  const role = getStaffRole(session?.user);
+
+  /**
+   * Whether the signed-in user may perform an action.
+   * @param {string} permission - Permission key from permissions.js.
+   */
+  const can = useCallback((permission) => hasPermission(role, permission), [role]);
+
+  const value = useMemo(
+    () => ({
+      user: session?.user || null,
+      token: session?.token || null,
+      role,
+      can,
+      // Any active staff member; pages check `can` for their actions
+      isAdmin: Boolean(role) && !session?.user?.disabled,
+      login,
+      register,
+      logout,
+      expiresAt,
+      isReauthenticating: pendingCount > 0,
+      isLoginOpen,
+      returnTo,
+      loginMessage,
+      openLogin,
+      closeLogin,
+    }),
+    [session, role, can, login, register, logout, expiresAt, pendingCount, isLoginOpen, returnTo, loginMessage, openLogin, closeLogin]
+  );
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+      <LoginModal isOpen={isLoginOpen} onClose={closeLogin} />
+      <SessionExpiryWarning
+        isOpen={showExpiryWarning && !!session}
+        expiresAt={expiresAt}
+        onRelogin={expireSession}
+        onDismiss={() => setShowExpiryWarning(false)}
+      />
+    </AuthContext.Provider>
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * @file authSchemas.js
+ * @description Validation schemas for the login and sign-up forms.
+ */
+
+import { required, email, minLength, maxLength, sameAs } from "../../utils/validation";
+
+export const PASSWORD_MIN_LENGTH = 6;
+
+export const loginSchema = {
+  email: [required("Email is required"), email()],
+  password: [required("Password is required")],
+};
+
+export const signUpSchema = {
+  name: [required("Name is required"), maxLength(60, "Name must be at most 60 characters")],
+  email: [required("Email is required"), email()],
+  password: [
+    required("Password is required"),
+    minLength(PASSWORD_MIN_LENGTH, `Password must be at least ${PASSWORD_MIN_LENGTH} characters`),
+  ],
+  confirmPassword: [required("Confirm your password"), sameAs("password", "Passwords do not match")],
+};
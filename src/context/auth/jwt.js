@@ -0,0 +1,46 @@
+/**
+ * @file jwt.js
+ * @description Minimal JWT helpers for reading the token expiry on the client.
+ * Tokens are not verified here; the backend remains the authority.
+ */
+
+/**
+ * Decodes the payload segment of a JWT.
+ * @param {string} token - Encoded JWT.
+ * @returns {object|null} Payload claims, or null when the token is malformed.
+ */
+export function decodeJwt(token) {
+  const segment = token?.split(".")[1];
+  if (!segment) return null;
+  try {
+    const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=");
+    const json = decodeURIComponent(
+      Array.from(atob(padded), (c) => `%${c.charCodeAt(0).toString(16).padStart(2, "0")}`).join("")
+    );
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the token expiry as a millisecond timestamp.
+ * @param {string} token - Encoded JWT.
+ * @returns {number|null} Expiry time, or null when the token has no `exp` claim.
+ */
+export function getTokenExpiry(token) {
+  const exp = decodeJwt(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+}
+
+/**
+ * Checks whether a token has already expired.
+ * @param {string} token - Encoded JWT.
+ * @param {number} [now=Date.now()] - Reference time.
+ * @returns {boolean}
+ */
+export function isTokenExpired(token, now = Date.now()) {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= now;
+}
@@ -0,0 +1,64 @@
+/**
+ * @file permissions.js
+ * @description Staff roles and what each of them may do in the admin panel.
+ * The backend enforces the same rules; the UI uses them to hide or disable
+ * actions the signed-in user cannot perform.
+ */
+
+export const ROLES = {
+  owner: { label: "Owner", description: "Everything, including staff accounts and the audit log" },
+  manager: { label: "Manager", description: "Menu, orders, messages, exports and the trash" },
+  kitchen: { label: "Kitchen", description: "Order queue and sold-out items" },
+  support: { label: "Support", description: "Customer messages and order lookup" },
+};
+
+// Accounts created before staff roles existed
+const LEGACY_ROLES = { admin: "owner" };
+
+// Permission key -> roles granted it
+const PERMISSIONS = {
+  "dashboard.view": ["owner", "manager"],
+  "orders.view": ["owner", "manager", "kitchen", "support"],
+  "orders.update": ["owner", "manager", "kitchen"],
+  "orders.delete": ["owner", "manager"],
+  "menu.view": ["owner", "manager", "kitchen"],
+  "menu.availability": ["owner", "manager", "kitchen"],
+  "menu.edit": ["owner", "manager"],
+  "contacts.view": ["owner", "manager", "support"],
+  "contacts.delete": ["owner", "manager"],
+  "data.export": ["owner", "manager"],
+  "trash.view": ["owner", "manager"],
+  "users.manage": ["owner"],
+  "audit.view": ["owner"],
+};
+
+/**
+ * Staff role of a user record, or null for customers and unknown roles.
+ * @param {object|null} user - User record with a `role`.
+ * @returns {"owner"|"manager"|"kitchen"|"support"|null}
+ */
+export function getStaffRole(user) {
+  const role = Object.hasOwn(LEGACY_ROLES, user?.role) ? LEGACY_ROLES[user.role] : user?.role;
+  return Object.hasOwn(ROLES, role) ? role : null;
+}
+
+/**
+ * Whether a role is granted a permission.
+ * @param {string|null} role - Staff role.
+ * @param {string} permission - Permission key, e.g. "orders.delete".
+ */
+export const hasPermission = (role, permission) => Boolean(role && PERMISSIONS[permission]?.includes(role));
+
+/**
+ * Pages in navigation order with the permission needed to open them; the
+ * first one the user may open is their landing page.
+ */
+export const HOME_PAGES = [
+  { path: "/dashboard", permission: "dashboard.view" },
+  { path: "/orders", permission: "orders.view" },
+  { path: "/contacts", permission: "contacts.view" },
+];
+
+/** Landing page for a role. */
+export const getHomePath = (role) =>
+  HOME_PAGES.find((page) => hasPermission(role, page.permission))?.path || "/dashboard";
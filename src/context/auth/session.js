@@ -0,0 +1,48 @@
+/**
+ * @file session.js
+ * @description localStorage persistence for the admin session.
+ * The session is stored once, under `adminToken` / `adminUser`.
+ */
+
+import { isTokenExpired } from "./jwt";
+
+export const TOKEN_KEY = "adminToken";
+export const USER_KEY = "adminUser";
+
+// Keys written by older builds of the panel
+const LEGACY_KEYS = ["token", "user"];
+
+/**
+ * Reads the persisted session. Expired sessions are cleared and ignored.
+ * @returns {{ token: string, user: object }|null}
+ */
+export function readSession() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (!token) return null;
+  if (isTokenExpired(token)) {
+    clearSession();
+    return null;
+  }
+  try {
+    return { token, user: JSON.parse(localStorage.getItem(USER_KEY)) || null };
+  } catch {
+    return { token, user: null };
+  }
+}
+
+/**
+ * Persists a session.
+ * @param {object} user - User record returned by the API (must include `token`).
+ * @returns {{ token: string, user: object }}
+ */
+export function saveSession(user) {
+  localStorage.setItem(TOKEN_KEY, user.token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+  return { token: user.token, user };
+}
+
+/** Removes the persisted session. */
+export function clearSession() {
+  [TOKEN_KEY, USER_KEY, ...LEGACY_KEYS].forEach((key) => localStorage.removeItem(key));
+}
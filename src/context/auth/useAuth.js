@@ -0,0 +1,24 @@
+/**
+ * @file useAuth.js
+ * @description Hook exposing the admin auth session provided by AuthProvider.
+ */
+
+import { useContext } from "react";
+import { AuthContext } from "./AuthContext";
+
+/**
+ * Returns the current auth session and its actions.
+ * `isAdmin` is true for any active staff member; `role` is their staff role
+ * and `can(permission)` checks a permission from permissions.js.
+ * @returns {{ user: object|null, token: string|null, role: string|null,
+ *   can: Function, isAdmin: boolean,
+ *   login: Function, register: Function, logout: Function,
+ *   expiresAt: number|null, isReauthenticating: boolean,
+ *   isLoginOpen: boolean, returnTo: string|null, loginMessage: string,
+ *   openLogin: Function, closeLogin: Function }}
+ */
+export function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used inside <AuthProvider>");
+  return ctx;
+}
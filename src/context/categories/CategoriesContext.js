@@ -0,0 +1,9 @@
+/**
+ * @file CategoriesContext.js
+ * @description React context holding the shared menu categories.
+ * Consumers should use the `useCategories` hook instead of reading it directly.
+ */
+
+import { createContext } from "react";
+
+export const CategoriesContext = createContext(null);
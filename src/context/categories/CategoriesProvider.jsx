@@ -0,0 +1,208 @@
+/**
+ * @file CategoriesProvider.jsx
+ * @description Single source of menu categories for the admin app. Loads
+ * `/api/categories` once the admin is signed in and owns every category
+ * change: create, edit, reorder and delete. Renaming or deleting a category
+ * also moves the menu items that reference it, since items store the
+ * category by name.
+ *
+ * When the categories endpoint is unavailable the original built-in list is
+ * used read-only, so menu forms and filters keep working.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { CategoriesContext } from "./CategoriesContext";
+import { useAuth } from "../auth/useAuth";
+import { fetchCategories, createCategory, updateCategory, deleteCategory } from "../../api/categories";
+import { fetchMenuItems, updateMenuItemFields } from "../../api/menu";
+import { recordAudit, diffFields, pickFields } from "../../utils/auditLog";
+import { runBatch } from "../../utils/runBatch";
+
+// Built-in categories used until the backend provides its own
+const FALLBACK_CATEGORIES = ["Pizza", "Burger", "Drinks", "Dessert", "Other"].map((name, order) => ({
+  _id: null,
+  name,
+  icon: "",
+  description: "",
+  order,
+  hidden: false,
+}));
+
+const CATEGORY_AUDIT_FIELDS = ["name", "icon", "description", "order", "hidden"];
+
+const auditCategory = (action, category, values) =>
+  recordAudit({ action, entityType: "category", entityId: category._id, label: category.name, ...values });
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name);
+
+/**
+ * Moves every menu item from one category to another.
+ * @returns {Promise<Array<object>>} runBatch results.
+ */
+const moveItems = async (fromName, toName) => {
+  const items = (await fetchMenuItems()).filter((item) => item.category === fromName);
+  return runBatch(items, (item) => updateMenuItemFields(item._id, { category: toName }));
+};
+
+/** Throws when some menu items could not be moved. */
+const assertMoved = (results, action) => {
+  const failed = results.filter((r) => !r.ok);
+  if (failed.length)
+    throw new Error(
+      `${action}, but ${failed.length} of ${results.length} items could not be moved: ` +
+        failed.map((r) => r.item.name).join(", ")
+    );
+};
+
+/**
+ * CategoriesProvider Component
+ *
+ * @component
+ * @param {React.ReactNode} children - Application tree.
+ */
+export default function CategoriesProvider({ children }) {
+  const { isAdmin } = useAuth();
+  const [categories, setCategories] = useState(FALLBACK_CATEGORIES);
+  const [isFallback, setIsFallback] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Loads categories from the backend, keeping the built-in list on failure.
+   */
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const list = await fetchCategories();
+      setCategories([...list].sort(byOrder));
+      setIsFallback(false);
+    } catch (err) {
+      console.error("Failed to load categories:", err);
+      setError(err.message || "Failed to load categories");
+      setCategories(FALLBACK_CATEGORIES);
+      setIsFallback(true);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) reload();
+  }, [isAdmin, reload]);
+
+  /**
+   * Creates a category at the end of the list.
+   * @param {{ name: string, icon?: string, description?: string, hidden?: boolean }} values
+   */
+  const addCategory = useCallback(
+    async (values) => {
+      const order = categories.length ? Math.max(...categories.map((c) => c.order ?? 0)) + 1 : 0;
+      const created = await createCategory({ ...values, order });
+      auditCategory("category.create", { ...values, _id: created?._id }, { after: pickFields({ ...values, order }, CATEGORY_AUDIT_FIELDS) });
+      await reload();
+      return created;
+    },
+    [categories, reload]
+  );
+
+  /**
+   * Saves changes to a category. A rename also updates the items in it.
+   * @param {object} category - Current category.
+   * @param {object} changes - Changed fields.
+   * @throws {Error} When some items could not be moved to the new name.
+   */
+  const saveCategory = useCallback(
+    async (category, changes) => {
+      await updateCategory(category._id, changes);
+      auditCategory("category.update", category, diffFields(category, { ...category, ...changes }, CATEGORY_AUDIT_FIELDS));
+      const renamed = changes.name && changes.name !== category.name;
+      const results = renamed ? await moveItems(category.name, changes.name) : [];
+      await reload();
+      assertMoved(results, "Category renamed");
+    },
+    [reload]
+  );
+
+  /**
+   * Moves a category one place up or down and saves the new order.
+   * @param {string} id - Category id.
+   * @param {-1|1} direction - -1 moves up, 1 moves down.
+   */
+  const moveCategory = useCallback(
+    async (id, direction) => {
+      const list = [...categories];
+      const from = list.findIndex((c) => c._id === id);
+      const to = from + direction;
+      if (from < 0 || to < 0 || to >= list.length) return;
+      [list[from], list[to]] = [list[to], list[from]];
+
+      const reordered = list.map((c, order) => ({ ...c, order }));
+      setCategories(reordered);
+      const changed = reordered.filter((c) => categories.find((old) => old._id === c._id)?.order !== c.order);
+      const results = await runBatch(changed, (c) => updateCategory(c._id, { order: c.order }));
+      results
+        .filter((r) => r.ok)
+        .forEach(({ item }) =>
+          auditCategory("category.move", item, {
+            before: { order: categories.find((old) => old._id === item._id)?.order ?? null },
+            after: { order: item.order },
+          })
+        );
+      if (results.some((r) => !r.ok)) {
+        await reload();
+        throw new Error("Could not save the new order");
+      }
+    },
+    [categories, reload]
+  );
+
+  /**
+   * Deletes a category. Items in it are moved to `moveTo` first.
+   * @param {object} category - Category to delete.
+   * @param {string} [moveTo] - Category name that receives the items.
+   * @throws {Error} When items could not be moved; the category is kept then.
+   */
+  const removeCategory = useCallback(
+    async (category, moveTo) => {
+      if (moveTo) {
+        const results = await moveItems(category.name, moveTo);
+        if (results.some((r) => !r.ok)) {
+          await reload();
+          assertMoved(results, "Category kept");
+        }
+      }
+      await deleteCategory(category._id);
+      auditCategory("category.delete", category, {
+        before: pickFields(category, CATEGORY_AUDIT_FIELDS),
+        after: moveTo ? { itemsMovedTo: moveTo } : null,
+      });
+      await reload();
+    },
+    [reload]
+  );
+
+  const value = useMemo(
+    () => ({
+      categories,
+      categoryNames: categories.map((c) => c.name),
+      getCategory: (name) => categories.find((c) => c.name === name) || null,
+      loading,
+      error,
+      isFallback,
+      reload,
+      addCategory,
+      saveCategory,
+      moveCategory,
+      removeCategory,
+    }),
+    [categories, loading, error, isFallback, reload, addCategory, saveCategory, moveCategory, removeCategory]
+  );
+
+  return <CategoriesContext.Provider value={value}>{children}</CategoriesContext.Provider>;
+}
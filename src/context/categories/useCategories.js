@@ -0,0 +1,20 @@
+/**
+ * @file useCategories.js
+ * @description Hook exposing the menu categories provided by CategoriesProvider.
+ */
+
+import { useContext } from "react";
+import { CategoriesContext } from "./CategoriesContext";
+
+/**
+ * Returns the categories (sorted by display order) and their actions.
+ * @returns {{ categories: Array<object>, categoryNames: Array<string>,
+ *   getCategory: Function, loading: boolean, error: string, isFallback: boolean,
+ *   reload: Function, addCategory: Function, saveCategory: Function,
+ *   moveCategory: Function, removeCategory: Function }}
+ */
+export function useCategories() {
+  const ctx = useContext(CategoriesContext);
+  if (!ctx) throw new Error("useCategories must be used inside <CategoriesProvider>");
+  return ctx;
+}
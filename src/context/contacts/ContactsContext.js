@@ -0,0 +1,9 @@
+/**
+ * @file ContactsContext.js
+ * @description React context holding the shared contact inbox.
+ * Consumers should use the `useContacts` hook instead of reading it directly.
+ */
+
+import { createContext } from "react";
+
+export const ContactsContext = createContext(null);
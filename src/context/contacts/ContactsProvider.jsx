@@ -0,0 +1,146 @@
+/**
+ * @file ContactsProvider.jsx
+ * @description Single source of contact messages for the admin app, so the
+ * inbox and the unread badge in AdminNavbar stay in sync. Loads
+ * `/api/contact` once a staff member allowed to see messages is signed in
+ * and refreshes it every minute to pick up new messages.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { ContactsContext } from "./ContactsContext";
+import { useAuth } from "../auth/useAuth";
+import { fetchContacts, updateContact, deleteContact, replyToContact } from "../../api/contacts";
+import { countUnread } from "../../pages/contact-manage/contactInbox";
+import { recordAudit, diffFields, pickFields } from "../../utils/auditLog";
+import { restoreFromTrash } from "../../pages/trash/trashSources";
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const auditContact = (action, contact, values) =>
+  recordAudit({ action, entityType: "contact", entityId: contact._id, label: contact.fullName || contact.emailAddress, ...values });
+
+/**
+ * ContactsProvider Component
+ *
+ * @component
+ * @param {React.ReactNode} children - Application tree.
+ */
+export default function ContactsProvider({ children }) {
+  const { can } = useAuth();
+  const canView = can("contacts.view");
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Loads the messages. Background refreshes keep the current list on failure.
+   * @param {object} [options]
+   * @param {boolean} [options.silent=false] - Skip the loading state (background refresh).
+   */
+  const reload = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true);
+    try {
+      setContacts(await fetchContacts());
+      setError("");
+    } catch (err) {
+      console.error("Failed to load contacts:", err);
+      if (!silent) setError(err.message || "Failed to load contacts");
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!canView) {
+      setContacts([]);
+      return undefined;
+    }
+    reload();
+    const id = setInterval(() => reload({ silent: true }), REFRESH_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [canView, reload]);
+
+  /**
+   * Saves inbox fields of a message. The change shows immediately and is
+   * rolled back if the request fails.
+   * @param {object} contact - Current message.
+   * @param {object} changes - e.g. `{ status: "resolved" }`.
+   * @throws {Error} When the backend rejects the change.
+   */
+  const saveContact = useCallback(async (contact, changes) => {
+    const patch = (fields) =>
+      setContacts((prev) => prev.map((c) => (c._id === contact._id ? { ...c, ...fields } : c)));
+    patch(changes);
+    try {
+      const saved = await updateContact(contact._id, changes);
+      auditContact("contact.update", contact, diffFields(contact, { ...contact, ...changes }, Object.keys(changes)));
+      if (saved?._id) patch(saved);
+    } catch (err) {
+      patch(Object.fromEntries(Object.keys(changes).map((key) => [key, contact[key]])));
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Moves a message to the trash.
+   * @param {string} id - Contact message id.
+   * @returns {Promise<object>} The removed message, for restoreContact.
+   */
+  const removeContact = useCallback(
+    async (id) => {
+      await deleteContact(id);
+      const contact = contacts.find((c) => c._id === id) || { _id: id };
+      auditContact("contact.delete", contact, {
+        before: pickFields(contact, ["fullName", "emailAddress", "phoneNumber", "dishName", "query", "status", "createdAt"]),
+      });
+      setContacts((prev) => prev.filter((c) => c._id !== id));
+      return contact;
+    },
+    [contacts]
+  );
+
+  /**
+   * Brings a message back from the trash and into the inbox.
+   * @param {object} contact - Message returned by removeContact.
+   */
+  const restoreContact = useCallback(async (contact) => {
+    await restoreFromTrash("contacts", contact);
+    setContacts((prev) => (prev.some((c) => c._id === contact._id) ? prev : [contact, ...prev]));
+  }, []);
+
+  /**
+   * Emails a reply and records it on the message.
+   * @param {object} contact - Message being answered.
+   * @param {{ subject: string, body: string, sentBy: string }} reply
+   */
+  const sendReply = useCallback(async (contact, reply) => {
+    const sent = await replyToContact(contact._id, { subject: reply.subject, body: reply.body });
+    const record = sent?.body ? sent : { ...reply, sentAt: new Date().toISOString() };
+    auditContact("contact.reply", contact, { after: { subject: reply.subject, to: contact.emailAddress } });
+    setContacts((prev) =>
+      prev.map((c) => (c._id === contact._id ? { ...c, replies: [...(c.replies || []), record] } : c))
+    );
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      contacts,
+      unreadCount: countUnread(contacts),
+      loading,
+      error,
+      reload,
+      saveContact,
+      removeContact,
+      restoreContact,
+      sendReply,
+    }),
+    [contacts, loading, error, reload, saveContact, removeContact, restoreContact, sendReply]
+  );
+
+  return <ContactsContext.Provider value={value}>{children}</ContactsContext.Provider>;
+}
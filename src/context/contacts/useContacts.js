@@ -0,0 +1,19 @@
+/**
+ * @file useContacts.js
+ * @description Hook exposing the contact inbox provided by ContactsProvider.
+ */
+
+import { useContext } from "react";
+import { ContactsContext } from "./ContactsContext";
+
+/**
+ * Returns the contact messages, the unread count and inbox actions.
+ * @returns {{ contacts: Array<object>, unreadCount: number, loading: boolean, error: string,
+ *   reload: Function, saveContact: Function, removeContact: Function,
+ *   restoreContact: Function, sendReply: Function }}
+ */
+export function useContacts() {
+  const ctx = useContext(ContactsContext);
+  if (!ctx) throw new Error("useContacts must be used inside <ContactsProvider>");
+  return ctx;
+}
@@ -0,0 +1,9 @@
+/**
+ * @file ToastContext.js
+ * @description React context holding the shared toast notifications.
+ * Consumers should use the `useToast` hook instead of reading it directly.
+ */
+
+import { createContext } from "react";
+
+export const ToastContext = createContext(null);
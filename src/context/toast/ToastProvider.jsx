@@ -0,0 +1,79 @@
+/**
+ * @file ToastProvider.jsx
+ * @description Short-lived notifications shown above every page, optionally
+ * with an action button (e.g. "Undo" after a delete). Each toast closes
+ * itself after its duration.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { ToastContext } from "./ToastContext";
+import ToastStack from "../../components/toast/ToastStack.jsx";
+
+const DEFAULT_DURATION_MS = 6000;
+
+// Older toasts are dropped beyond this
+const MAX_TOASTS = 4;
+
+/**
+ * ToastProvider Component
+ *
+ * @component
+ * @param {React.ReactNode} children - Application tree.
+ */
+export default function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef(new Map());
+  const nextId = useRef(0);
+
+  /**
+   * Closes a toast.
+   * @param {number} id - Id returned by showToast.
+   */
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts((prev) => prev.filter((t) => t.id !== id));
+  }, []);
+
+  /**
+   * Shows a toast.
+   * @param {object} toast
+   * @param {string} toast.message - Text to show.
+   * @param {{ label: string, onClick: Function }} [toast.action] - Button; the toast closes once clicked.
+   * @param {"info"|"error"} [toast.tone="info"]
+   * @param {number} [toast.duration] - Milliseconds before it closes.
+   * @returns {number} Toast id.
+   */
+  const showToast = useCallback(
+    ({ message, action = null, tone = "info", duration = DEFAULT_DURATION_MS }) => {
+      const id = (nextId.current += 1);
+      setToasts((prev) => [...prev.slice(-(MAX_TOASTS - 1)), { id, message, action, tone, duration }]);
+      timers.current.set(
+        id,
+        setTimeout(() => dismissToast(id), duration)
+      );
+      return id;
+    },
+    [dismissToast]
+  );
+
+  // Stop pending timers when the app unmounts
+  useEffect(() => {
+    const pending = timers.current;
+    return () => pending.forEach((timer) => clearTimeout(timer));
+  }, []);
+
+  const value = useMemo(() => ({ showToast, dismissToast }), [showToast, dismissToast]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <ToastStack toasts={toasts} onDismiss={dismissToast} />
+    </ToastContext.Provider>
+  );
+}
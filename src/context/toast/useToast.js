@@ -0,0 +1,17 @@
+/**
+ * @file useToast.js
+ * @description Hook exposing the toast notifications provided by ToastProvider.
+ */
+
+import { useContext } from "react";
+import { ToastContext } from "./ToastContext";
+
+/**
+ * Returns the toast actions.
+ * @returns {{ showToast: Function, dismissToast: Function }}
+ */
+export function useToast() {
+  const ctx = useContext(ToastContext);
+  if (!ctx) throw new Error("useToast must be used inside <ToastProvider>");
+  return ctx;
+}
@@ -0,0 +1,83 @@
+/**
+ * @file useFormValidation.js
+ * @description Hook that runs a validation schema for a form: a field is
+ * checked when it loses focus and re-checked as it changes afterwards; every
+ * field is checked on submit. Server-side field errors can be shown in the
+ * same place.
+ */
+
+import { useState } from "react";
+import { validate, validateField, getServerFieldErrors } from "../utils/validation";
+
+/**
+ * @param {object} schema - `{ field: Array<Function> }`, see utils/validation.
+ * @param {object} values - Current form values.
+ * @param {object} [context] - Extra data for rules.
+ * @returns {{
+ *   errors: object,
+ *   handleBlur: Function,
+ *   revalidate: Function,
+ *   validateAll: Function,
+ *   applyServerErrors: Function,
+ *   reset: Function,
+ * }}
+ */
+export default function useFormValidation(schema, values, context) {
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+
+  const setFieldError = (field, message) =>
+    setErrors((prev) => {
+      if ((prev[field] || "") === message) return prev;
+      const next = { ...prev };
+      if (message) next[field] = message;
+      else delete next[field];
+      return next;
+    });
+
+  /** Checks a field when it loses focus; it is re-checked on later changes. */
+  const handleBlur = (field) => {
+    setTouched((prev) => ({ ...prev, [field]: true }));
+    setFieldError(field, validateField(schema, field, values, context));
+  };
+
+  /**
+   * Re-checks a field after a change, once it has been blurred or submitted.
+   * @param {string} field
+   * @param {object} nextValues - Form values including the change.
+   */
+  const revalidate = (field, nextValues) => {
+    if (touched[field]) setFieldError(field, validateField(schema, field, nextValues, context));
+  };
+
+  /**
+   * Checks every field, e.g. on submit.
+   * @returns {boolean} Whether the form is valid.
+   */
+  const validateAll = () => {
+    const next = validate(schema, values, context);
+    setErrors(next);
+    setTouched(Object.fromEntries(Object.keys(schema).map((field) => [field, true])));
+    return Object.keys(next).length === 0;
+  };
+
+  /**
+   * Shows field errors returned by the API next to the matching fields.
+   * @param {Error} error - Failed API call.
+   * @returns {boolean} Whether any field error was found.
+   */
+  const applyServerErrors = (error) => {
+    const serverErrors = getServerFieldErrors(error, Object.keys(schema));
+    if (!Object.keys(serverErrors).length) return false;
+    setErrors((prev) => ({ ...prev, ...serverErrors }));
+    setTouched((prev) => ({ ...prev, ...Object.fromEntries(Object.keys(serverErrors).map((field) => [field, true])) }));
+    return true;
+  };
+
+  const reset = () => {
+    setErrors({});
+    setTouched({});
+  };
+
+  return { errors, handleBlur, revalidate, validateAll, applyServerErrors, reset };
+}
@@ -0,0 +1,39 @@
+/**
+ * @file useUndoToast.js
+ * @description Hook that confirms a delete with a toast offering "Undo" for
+ * a few seconds. Deletes move records to the trash, so undoing restores
+ * them on the server and puts them back on the page.
+ */
+
+import { useCallback } from "react";
+import { useToast } from "../context/toast/useToast";
+
+/**
+ * @returns {Function} `offerUndo({ message, undo, onUndone })`:
+ *   - `message` - Toast text, e.g. "Order #A1B2C3 moved to Trash".
+ *   - `undo` - Async function that restores the records.
+ *   - `onUndone` - Called after a successful undo to update local state.
+ */
+export default function useUndoToast() {
+  const { showToast } = useToast();
+
+  return useCallback(
+    ({ message, undo, onUndone }) =>
+      showToast({
+        message,
+        action: {
+          label: "Undo",
+          onClick: async () => {
+            try {
+              await undo();
+              onUndone?.();
+            } catch (err) {
+              console.error("Undo error:", err);
+              showToast({ message: `Could not undo: ${err.message}`, tone: "error" });
+            }
+          },
+        },
+      }),
+    [showToast]
+  );
+}
@@ -3,12 +3,18 @@
  * 
  * Purpose:
  * - Displays all menu items fetched from the backend API.
- * - Provides a management interface for admin users to view, monitor, and delete menu items.
+ * - Provides a management interface for admin users to view, monitor, edit, and delete menu items.
  * - Includes rating, popularity, and image previews for better visual clarity.
  * 
  * Key Features:
  * - Fetch and render menu data dynamically from API.
- * - Handle item deletion with confirmation.
+ * - Search, filter, sort and paginate on the client; the toolbar state lives in
+ *   the URL query string so filtered views can be bookmarked and shared.
+ * - Open an item in the AddItem form for editing.
+ * - Move deleted items to the trash, with an Undo toast.
+ * - Export the full menu to Excel, CSV or JSON, or bulk import from a file.
+ * - Back up the catalogue to versioned JSON and restore it after reviewing a diff.
+ * - Hide editing, import/restore and export actions the signed-in role may not use.
  * - Display user-friendly empty/loading states.
  * - Use responsive design and Tailwind CSS styling.
  * 
@@ -16,13 +22,52 @@
  * Environment: Production Ready
  */
 
-import React, { useState, useEffect } from "react";
-import { Star, Heart, Trash2, DollarSign } from "lucide-react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Star, Heart, Trash2, DollarSign, Pencil, Upload, Archive, ArchiveRestore } from "lucide-react";
+import { fetchMenuItems, deleteMenuItem, updateMenuItemFields, MENU_ITEM_FIELDS } from "../../api/menu";
+import MenuToolbar from "./MenuToolbar";
+import Pagination from "../../components/pagination/Pagination";
+import { readMenuFilters, filterMenuItems, sortMenuItems } from "./menuFilters";
+import { paginate } from "../../utils/pagination";
+import ExportMenu from "../../components/exportMenu/ExportMenu";
+import { exportMenuItems } from "./menuExport";
+import { downloadBackup, readBackup, diffMenu } from "./menuBackup";
+import RestoreDialog from "./RestoreDialog";
+import MenuImage from "../../components/menuImage/MenuImage";
+import { useCategories } from "../../context/categories/useCategories";
+import { getAvailability, normalizeAvailability, describeWindow } from "../addItem/menuAvailability";
+import useLiveOrders from "../order-manage/useLiveOrders";
+import { latestOrderTimestamp } from "../order-manage/orderUtils";
+import { hasPriceRange, formatPriceRange } from "../addItem/menuOptions";
+import { useAuth } from "../../context/auth/useAuth";
+import { recordAudit, pickFields } from "../../utils/auditLog";
+import useUndoToast from "../../hooks/useUndoToast";
+import { restoreFromTrash } from "../trash/trashSources";
+
+// Badge colours per availability tone
+const BADGE_TONES = {
+  green: "bg-green-900/40 text-green-300 border-green-700/60",
+  amber: "bg-amber-900/40 text-amber-300 border-amber-700/60",
+  red: "bg-red-900/40 text-red-300 border-red-700/60",
+  gray: "bg-gray-700/60 text-gray-300 border-gray-600",
+};
 
 export default function ListItemsPage() {
   // Application state
   const [items, setItems] = useState([]);      // Stores menu items
   const [loading, setLoading] = useState(false); // Controls loading spinner
+  const [restore, setRestore] = useState(null);   // Backup being restored: { backup, diff }
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readMenuFilters(searchParams), [searchParams]);
+
+  // Actions available to the signed-in role
+  const { can } = useAuth();
+  const offerUndo = useUndoToast();
+  const canEdit = can("menu.edit");
+  const canToggle = can("menu.availability");
+  const canExport = can("data.export");
 
   /**
    * Fetch all menu items from backend API.
@@ -32,17 +77,10 @@ export default function ListItemsPage() {
   const fetchItems = async () => {
     try {
       setLoading(true);
-      const res = await fetch("https://1e20a7ed-cc85-497b-b510-b41debc2f036-00-1p28dt788ywz9.pike.replit.dev/api/menu");
-      const data = await res.json();
-
-      if (data.success) {
-        setItems(data.data);
-      } else {
-        alert("Failed to fetch items");
-      }
+      setItems(await fetchMenuItems());
     } catch (err) {
       console.error("Error fetching items:", err);
-      alert("Error fetching items");
+      alert("Error fetching items: " + err.message);
     } finally {
       setLoading(false);
     }
@@ -53,32 +91,155 @@ export default function ListItemsPage() {
     fetchItems();
   }, []);
 
+  /**
+   * Writes toolbar changes to the query string.
+   * Any change other than paging goes back to the first page.
+   * @param {object} patch - Partial `{ key: value }` update; empty values are removed.
+   */
+  const updateFilters = (patch) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === "" || value === null || value === undefined) next.delete(key);
+      else next.set(key, value);
+    });
+    if (!("page" in patch)) next.delete("page");
+    setSearchParams(next, { replace: true });
+  };
+
+  // Category options from the shared category list, plus any legacy
+  // categories still used by items so they remain filterable
+  const { categories, getCategory } = useCategories();
+  const categoryOptions = useMemo(() => {
+    const known = categories.map((c) => c.name);
+    const legacy = [...new Set(items.map((item) => item.category).filter((c) => c && !known.includes(c)))].sort();
+    return [...known, ...legacy];
+  }, [categories, items]);
+
+  // Filtered, sorted and paginated view of the menu
+  const filteredItems = useMemo(
+    () => sortMenuItems(filterMenuItems(items, filters), filters.sort),
+    [items, filters]
+  );
+  const { rows: visibleItems, page, pageCount } = paginate(filteredItems, filters.page, filters.pageSize);
+
   /**
    * Handle deletion of a specific menu item.
-   * Includes user confirmation for safety.
-   * Updates UI optimistically after successful deletion.
+   * The item moves to the trash, so instead of a confirmation the admin
+   * gets a toast with Undo. Updates UI after successful deletion.
    */
   const handleDelete = async (id) => {
-    const confirm = window.confirm("Are you sure you want to delete this item?");
-    if (!confirm) return;
-
     try {
-      const res = await fetch(`https://1e20a7ed-cc85-497b-b510-b41debc2f036-00-1p28dt788ywz9.pike.replit.dev/api/menu/${id}`, {
-        method: "DELETE",
+      await deleteMenuItem(id);
+      const deleted = items.find((item) => item._id === id);
+      recordAudit({
+        action: "menuItem.delete",
+        entityType: "menuItem",
+        entityId: id,
+        label: deleted?.name,
+        before: pickFields(deleted, [...MENU_ITEM_FIELDS, "image"]),
+      });
+      setItems((prev) => prev.filter((item) => item._id !== id)); // Update UI
+      if (!deleted) return;
+      offerUndo({
+        message: `"${deleted.name}" moved to Trash`,
+        undo: () => restoreFromTrash("menuItems", deleted),
+        onUndone: () => setItems((prev) => (prev.some((item) => item._id === id) ? prev : [...prev, deleted])),
       });
-      const data = await res.json();
-
-      if (data.success) {
-        setItems(items.filter((item) => item._id !== id)); // Update UI
-      } else {
-        alert(data.message || "Failed to delete item");
-      }
     } catch (err) {
       console.error("Error deleting item:", err);
-      alert("Error deleting item");
+      alert(err.message || "Failed to delete item");
     }
   };
 
+  /**
+   * Reads a backup file, reloads the live menu and opens the restore preview.
+   * Nothing is changed until the admin applies the diff.
+   */
+  const handleRestoreFile = async (file) => {
+    if (!file) return;
+    try {
+      const backup = await readBackup(file);
+      const current = await fetchMenuItems();
+      setItems(current);
+      setRestore({ backup, diff: diffMenu(current, backup.items) });
+    } catch (err) {
+      console.error("Restore error:", err);
+      alert("Cannot restore backup: " + err.message);
+    }
+  };
+
+  /**
+   * Flips an item between available and sold out.
+   * Updates the list immediately and rolls back if the save fails.
+   */
+  const toggleAvailable = async (item) => {
+    const available = !normalizeAvailability(item).available;
+    setItems((prev) => prev.map((i) => (i._id === item._id ? { ...i, available } : i)));
+    try {
+      await updateMenuItemFields(item._id, { available });
+      recordAudit({
+        action: "menuItem.availability",
+        entityType: "menuItem",
+        entityId: item._id,
+        label: item.name,
+        before: { available: !available },
+        after: { available },
+      });
+    } catch (err) {
+      console.error("Error updating availability:", err);
+      setItems((prev) => prev.map((i) => (i._id === item._id ? item : i)));
+      alert("Failed to update availability: " + err.message);
+    }
+  };
+
+  // Stock is decremented by the backend when orders are placed, so reload
+  // the menu whenever new orders arrive while stock is being tracked. The
+  // cursor moves past every order seen, and only unseen order ids trigger a
+  // reload, so backends that ignore `since` do not reload on every poll.
+  const stockCursor = useRef(new Date().toISOString());
+  const seenOrderIds = useRef(new Set());
+  const tracksStock = items.some((item) => normalizeAvailability(item).stock !== null);
+  useLiveOrders({
+    enabled: tracksStock,
+    getCursor: () => stockCursor.current,
+    onOrders: (orders) => {
+      const latest = latestOrderTimestamp(orders);
+      if (latest && latest > stockCursor.current) stockCursor.current = latest;
+      const unseen = orders.filter((o) => !seenOrderIds.current.has(o._id));
+      unseen.forEach((o) => seenOrderIds.current.add(o._id));
+      if (!unseen.length) return;
+      fetchMenuItems().then(setItems).catch((err) => console.error("Error refreshing stock:", err));
+    },
+  });
+
+  /**
+   * Utility: Render availability badges and the sold-out toggle for an item.
+   */
+  const renderAvailability = (item) => {
+    const status = getAvailability(item);
+    const { available, stock, availabilityWindows } = normalizeAvailability(item);
+    return (
+      <div className="flex flex-col items-start gap-1 text-xs">
+        <button
+          onClick={() => toggleAvailable(item)}
+          disabled={!canToggle}
+          className={`px-2 py-0.5 rounded-full border disabled:cursor-default ${BADGE_TONES[status.tone]}`}
+          title={canToggle ? (available ? "Mark as sold out" : "Mark as available") : undefined}
+        >
+          {status.label}
+        </button>
+        {stock !== null && status.key !== "low_stock" && status.key !== "out_of_stock" && (
+          <span className="text-gray-400">{stock} in stock</span>
+        )}
+        {availabilityWindows.map((w, idx) => (
+          <span key={idx} className="px-2 py-0.5 rounded-full border border-gray-600 text-gray-300" title={describeWindow(w)}>
+            {w.label || describeWindow(w)}
+          </span>
+        ))}
+      </div>
+    );
+  };
+
   /**
    * Utility: Render visual star rating for each item.
    * Stars are color-filled based on current rating value.
@@ -104,9 +265,59 @@ export default function ListItemsPage() {
     <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6">
       <div className="max-w-7xl mx-auto">
         <div className="bg-gray-800/90 backdrop-blur-sm border border-gray-700 p-8 rounded-xl shadow-lg">
-          <h1 className="text-2xl font-bold text-amber-400 text-center mb-8">
-            Manage Menu Items
-          </h1>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+            <h1 className="text-2xl font-bold text-amber-400">
+              Manage Menu Items
+            </h1>
+            {/* Bulk import, export and backup/restore of the full menu */}
+            <div className="flex flex-wrap items-center gap-2">
+              {canEdit && (
+                <button
+                  onClick={() => navigate("/listitem/import")}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs bg-amber-700 hover:bg-amber-600 text-white"
+                >
+                  <Upload className="w-4 h-4" /> Import
+                </button>
+              )}
+              {canExport && (
+                <>
+                  <ExportMenu
+                    onExport={(format) => exportMenuItems(items, { format })}
+                    disabled={!items.length}
+                  />
+                  <button
+                    onClick={() => downloadBackup(items)}
+                    disabled={!items.length}
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <Archive className="w-4 h-4" /> Backup
+                  </button>
+                </>
+              )}
+              {canEdit && (
+                <label className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs bg-gray-700 hover:bg-gray-600 text-white cursor-pointer">
+                  <ArchiveRestore className="w-4 h-4" /> Restore
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={(e) => {
+                      handleRestoreFile(e.target.files?.[0]);
+                      e.target.value = "";
+                    }}
+                    className="hidden"
+                  />
+                </label>
+              )}
+            </div>
+          </div>
+
+          {/* Search / Filter / Sort Toolbar */}
+          <MenuToolbar
+            filters={filters}
+            categories={categoryOptions}
+            onChange={updateFilters}
+            onReset={() => setSearchParams({}, { replace: true })}
+          />
 
           {/* Loading State */}
           {loading ? (
@@ -119,35 +330,40 @@ export default function ListItemsPage() {
                 Add some items to get started
               </div>
             </div>
+          ) : filteredItems.length === 0 ? (
+            // No Matches State
+            <div className="text-center py-12">
+              <div className="text-gray-400 text-lg">No items match these filters</div>
+              <div className="text-gray-500 text-sm mt-2">
+                Try a different search or clear the filters
+              </div>
+            </div>
           ) : (
             // Item Table
             <div className="overflow-x-auto">
-              <div className="min-w-[900px]">
+              <div className="min-w-[1050px]">
                 {/* Header Row */}
-                <div className="grid grid-cols-[80px_1.5fr_100px_80px_100px_80px_60px] gap-4 mb-6 pb-4 border-b border-gray-600">
+                <div className="grid grid-cols-[80px_1.5fr_100px_80px_100px_80px_150px_100px] gap-4 mb-6 pb-4 border-b border-gray-600">
                   <div className="text-amber-400 font-medium">Image</div>
                   <div className="text-amber-400 font-medium">Description</div>
                   <div className="text-amber-400 font-medium">Category</div>
                   <div className="text-amber-400 font-medium">Price</div>
                   <div className="text-amber-400 font-medium">Rating</div>
                   <div className="text-amber-400 font-medium">Hearts</div>
-                  <div className="text-amber-400 font-medium">Delete</div>
+                  <div className="text-amber-400 font-medium">Status</div>
+                  <div className="text-amber-400 font-medium">Actions</div>
                 </div>
 
                 {/* Item Rows */}
                 <div className="space-y-4">
-                  {items.map((item) => (
+                  {visibleItems.map((item) => (
                     <div
                       key={item._id}
-                      className="grid grid-cols-[80px_1.5fr_100px_80px_100px_80px_60px] gap-4 items-center py-4 border-b border-gray-700/50 hover:bg-gray-700/30 transition-colors rounded-lg px-2"
+                      className="grid grid-cols-[80px_1.5fr_100px_80px_100px_80px_150px_100px] gap-4 items-center py-4 border-b border-gray-700/50 hover:bg-gray-700/30 transition-colors rounded-lg px-2"
                     >
                       {/* Item Image */}
                       <div className="flex justify-start">
-                        <img
-                          src={item.image}
-                          alt={item.name}
-                          className="w-12 h-12 rounded-lg object-cover"
-                        />
+                        <MenuImage src={item.image} alt={item.name} className="w-12 h-12 rounded-lg" />
                       </div>
 
                       {/* Name + Description */}
@@ -157,12 +373,19 @@ export default function ListItemsPage() {
                       </div>
 
                       {/* Category */}
-                      <div className="text-gray-300">{item.category}</div>
+                      <div className="text-gray-300">
+                        {getCategory(item.category)?.icon} {item.category}
+                      </div>
 
-                      {/* Price */}
-                      <div className="flex items-center text-amber-400 font-medium gap-1">
-                        <DollarSign className="w-4 h-4" />
-                        {item.price}
+                      {/* Price, with the range across variants and add-ons */}
+                      <div>
+                        <div className="flex items-center text-amber-400 font-medium gap-1">
+                          <DollarSign className="w-4 h-4" />
+                          {item.price}
+                        </div>
+                        {hasPriceRange(item) && (
+                          <div className="text-xs text-gray-400 mt-0.5">{formatPriceRange(item)}</div>
+                        )}
                       </div>
 
                       {/* Rating */}
@@ -174,23 +397,58 @@ export default function ListItemsPage() {
                         <span className="text-white">{item.popularity}</span>
                       </div>
 
-                      {/* Delete Button */}
-                      <div>
-                        <button
-                          onClick={() => handleDelete(item._id)}
-                          className="flex items-center justify-center p-2 rounded-lg text-orange-500 hover:text-orange-400 hover:bg-orange-500/10 transition"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
-                      </div>
+                      {/* Availability badges + sold-out toggle */}
+                      {renderAvailability(item)}
+
+                      {/* Edit / Delete Buttons */}
+                      {canEdit ? (
+                        <div className="flex items-center gap-1">
+                          <button
+                            onClick={() => navigate(`/listitem/${item._id}/edit`, { state: { item } })}
+                            className="flex items-center justify-center p-2 rounded-lg text-amber-400 hover:text-amber-300 hover:bg-amber-500/10 transition"
+                            title="Edit Item"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(item._id)}
+                            className="flex items-center justify-center p-2 rounded-lg text-orange-500 hover:text-orange-400 hover:bg-orange-500/10 transition"
+                            title="Delete Item"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="text-gray-500 text-xs">View only</div>
+                      )}
                     </div>
                   ))}
                 </div>
               </div>
+
+              {/* Pagination */}
+              <Pagination
+                page={page}
+                pageCount={pageCount}
+                pageSize={filters.pageSize}
+                total={filteredItems.length}
+                onPageChange={(next) => updateFilters({ page: next })}
+                onPageSizeChange={(size) => updateFilters({ pageSize: size })}
+              />
             </div>
           )}
         </div>
       </div>
+
+      {/* Backup restore preview */}
+      {restore && (
+        <RestoreDialog
+          backup={restore.backup}
+          diff={restore.diff}
+          onClose={() => setRestore(null)}
+          onApplied={fetchItems}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,123 @@
+/**
+ * @file MenuToolbar.jsx
+ * @description Search, filter and sort controls for ListItemsPage.
+ * Values come from (and are written back to) the URL query string.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React from "react";
+import { Search, X } from "lucide-react";
+import { SORT_OPTIONS } from "./menuFilters";
+
+const inputClass =
+  "p-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition";
+
+/**
+ * MenuToolbar Component
+ *
+ * @component
+ * @param {object} filters - Current state from readMenuFilters.
+ * @param {Array<string>} categories - Category names offered in the filter.
+ * @param {Function} onChange - Called with a partial `{ key: value }` update.
+ * @param {Function} onReset - Clears every filter.
+ */
+export default function MenuToolbar({ filters, categories, onChange, onReset }) {
+  /**
+   * Renders a min/max numeric pair.
+   */
+  const renderRange = (label, minKey, maxKey, step, max) => (
+    <div>
+      <label className="block text-amber-400 text-xs font-medium mb-1">{label}</label>
+      <div className="flex items-center gap-1">
+        <input
+          type="number"
+          min="0"
+          max={max}
+          step={step}
+          placeholder="Min"
+          value={filters[minKey] ?? ""}
+          onChange={(e) => onChange({ [minKey]: e.target.value })}
+          className={`${inputClass} w-20`}
+        />
+        <span className="text-gray-500">–</span>
+        <input
+          type="number"
+          min="0"
+          max={max}
+          step={step}
+          placeholder="Max"
+          value={filters[maxKey] ?? ""}
+          onChange={(e) => onChange({ [maxKey]: e.target.value })}
+          className={`${inputClass} w-20`}
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="flex flex-wrap items-end gap-4 mb-6">
+      {/* Text search */}
+      <div className="flex-1 min-w-[200px]">
+        <label className="block text-amber-400 text-xs font-medium mb-1">Search</label>
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            placeholder="Name or description"
+            value={filters.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+            className={`${inputClass} w-full pl-9`}
+          />
+        </div>
+      </div>
+
+      {/* Category */}
+      <div>
+        <label className="block text-amber-400 text-xs font-medium mb-1">Category</label>
+        <select
+          value={filters.category}
+          onChange={(e) => onChange({ category: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">All categories</option>
+          {categories.map((category) => (
+            <option key={category} value={category}>
+              {category}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {renderRange("Price", "minPrice", "maxPrice", "0.01")}
+      {renderRange("Rating", "minRating", "maxRating", "1", 5)}
+
+      {/* Sort */}
+      <div>
+        <label className="block text-amber-400 text-xs font-medium mb-1">Sort by</label>
+        <select
+          value={filters.sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          className={inputClass}
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <button
+        type="button"
+        onClick={onReset}
+        className="flex items-center gap-1 px-3 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-gray-700 transition"
+      >
+        <X className="w-4 h-4" /> Clear
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * @file RestoreDialog.jsx
+ * @description Review-and-apply dialog for restoring a menu backup. Shows
+ * which items will be created, updated (with the changed fields) or deleted,
+ * and applies the changes with progress and a per-item result list.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect } from "react";
+import { X, Plus, RefreshCw, Trash2, CircleX } from "lucide-react";
+import { applyRestore } from "./menuBackup";
+
+const SECTIONS = [
+  { key: "create", label: "Will be created", icon: Plus, className: "text-green-400" },
+  { key: "update", label: "Will be updated", icon: RefreshCw, className: "text-amber-400" },
+  { key: "remove", label: "Will be deleted", icon: Trash2, className: "text-red-400" },
+];
+
+/**
+ * RestoreDialog Component
+ *
+ * @component
+ * @param {object} backup - Backup document from readBackup.
+ * @param {object} diff - Result of diffMenu for this backup.
+ * @param {Function} onClose - Closes the dialog.
+ * @param {Function} onApplied - Called after changes were applied (to reload the menu).
+ */
+export default function RestoreDialog({ backup, diff, onClose, onApplied }) {
+  const [includeDeletes, setIncludeDeletes] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const running = Boolean(progress);
+  const pending = diff.create.length + diff.update.length + (includeDeletes ? diff.remove.length : 0);
+  const failed = results ? results.filter((r) => !r.ok) : [];
+
+  // Close on Escape unless a restore is running
+  useEffect(() => {
+    const handleEsc = (e) => {
+      if (e.key === "Escape" && !running) onClose();
+    };
+    window.addEventListener("keydown", handleEsc);
+    return () => window.removeEventListener("keydown", handleEsc);
+  }, [running, onClose]);
+
+  const handleApply = async () => {
+    setProgress({ done: 0, total: pending, failed: 0 });
+    const batch = await applyRestore(diff, { includeDeletes, onProgress: setProgress });
+    setProgress(null);
+    setResults(batch);
+    onApplied();
+  };
+
+  /** Lists the names in one diff section. */
+  const renderEntries = (key) => {
+    if (key === "update") {
+      return diff.update.map(({ next, changes }) => (
+        <li key={next._id || next.name}>
+          {next.name} <span className="text-gray-500">({changes.join(", ")})</span>
+        </li>
+      ));
+    }
+    return diff[key].map((item) => <li key={item._id || item.name}>{item.name}</li>);
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-2xl max-h-[85vh] overflow-y-auto bg-gray-800 border border-gray-700 rounded-xl shadow-2xl p-6">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-lg font-semibold text-amber-400">Restore menu backup</h2>
+            <p className="text-xs text-gray-400">
+              {backup.count ?? backup.items.length} items · created {new Date(backup.createdAt).toLocaleString()} · version{" "}
+              {backup.version}
+            </p>
+          </div>
+          <button onClick={onClose} disabled={running} className="text-gray-400 hover:text-white disabled:opacity-50" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Diff preview */}
+        {SECTIONS.map(({ key, label, icon, className }) => {
+          const Icon = icon;
+          const skipped = key === "remove" && !includeDeletes;
+          return (
+            <section key={key} className={`mb-4 ${skipped ? "opacity-50" : ""}`}>
+              <h3 className={`flex items-center gap-2 text-sm font-semibold mb-1 ${className}`}>
+                <Icon className="w-4 h-4" /> {label} ({diff[key].length})
+              </h3>
+              {diff[key].length ? (
+                <ul className="text-xs text-gray-200 space-y-0.5 max-h-32 overflow-y-auto pl-6 list-disc">
+                  {renderEntries(key)}
+                </ul>
+              ) : (
+                <p className="text-xs text-gray-500 pl-6">None</p>
+              )}
+            </section>
+          );
+        })}
+        <p className="text-xs text-gray-400 mb-4">{diff.unchanged} items are already identical and will be left alone.</p>
+
+        {diff.remove.length > 0 && (
+          <label className="flex items-center gap-2 text-sm text-gray-200 mb-4">
+            <input
+              type="checkbox"
+              checked={includeDeletes}
+              disabled={running || Boolean(results)}
+              onChange={(e) => setIncludeDeletes(e.target.checked)}
+              className="accent-amber-500"
+            />
+            Delete items that are not in the backup
+          </label>
+        )}
+
+        {/* Progress */}
+        {progress && (
+          <div className="mb-4">
+            <div className="h-2 rounded-full bg-gray-700 overflow-hidden">
+              <div className="h-full bg-amber-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+            </div>
+            <p className="text-xs text-gray-400 mt-1">
+              {progress.done} of {progress.total} applied
+              {progress.failed ? ` · ${progress.failed} failed` : ""}
+            </p>
+          </div>
+        )}
+
+        {/* Results */}
+        {results && (
+          <div className="mb-4 text-sm">
+            <p className={failed.length ? "text-amber-300" : "text-green-400"}>
+              Applied {results.length - failed.length} of {results.length} changes.
+            </p>
+            {failed.length > 0 && (
+              <ul className="mt-2 space-y-1 text-xs text-red-300">
+                {failed.map((r) => (
+                  <li key={`${r.item.type}-${r.item.name}`} className="flex items-center gap-1">
+                    <CircleX className="w-3.5 h-3.5" /> {r.item.type} {r.item.name}: {r.error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            disabled={running}
+            className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-gray-700 transition disabled:opacity-50"
+          >
+            {results ? "Close" : "Cancel"}
+          </button>
+          {!results && (
+            <button
+              onClick={handleApply}
+              disabled={running || !pending}
+              className="px-4 py-2 rounded-lg text-sm font-semibold bg-orange-600 hover:bg-orange-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {pending ? `Apply ${pending} changes` : "Nothing to change"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
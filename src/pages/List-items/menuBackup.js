@@ -0,0 +1,188 @@
+/**
+ * @file menuBackup.js
+ * @description Full catalogue backup and restore. A backup is a single
+ * versioned JSON file with every menu item and its image reference. Restoring
+ * first diffs the backup against the live `/api/menu` contents so the admin
+ * can review what will be created, updated or deleted before applying it.
+ */
+
+import { saveAs } from "file-saver";
+import { createMenuItem, updateMenuItem, deleteMenuItem, toMenuFormData, MENU_ITEM_FIELDS } from "../../api/menu";
+import { recordAudit, diffFields, pickFields } from "../../utils/auditLog";
+import { appendImageFromUrl } from "../menuImport/menuImport";
+import { runBatch } from "../../utils/runBatch";
+import { normalizeAvailability } from "../addItem/menuAvailability";
+import { normalizeOptions } from "../addItem/menuOptions";
+import { normalizeImages } from "../addItem/menuImages";
+
+export const BACKUP_FORMAT = "foodify-menu-backup";
+export const BACKUP_VERSION = 1;
+
+// Fields stored in a backup and compared on restore
+export const BACKUP_FIELDS = [...MENU_ITEM_FIELDS, "image", "images"];
+
+const NUMERIC_FIELDS = ["price", "rating", "popularity"];
+
+// Values assumed when a field is missing (e.g. backups from before the field existed)
+const FIELD_DEFAULTS = {
+  price: 0,
+  rating: 0,
+  popularity: 0,
+  available: "true",
+  availabilityWindows: "[]",
+  variantGroups: "[]",
+  modifierGroups: "[]",
+  images: "[]",
+};
+
+/** Picks the backed-up fields from a menu item, with availability and option defaults applied. */
+const toBackupItem = (item) => ({
+  _id: item._id,
+  ...Object.fromEntries(BACKUP_FIELDS.map((field) => [field, item[field] ?? null])),
+  ...normalizeAvailability(item),
+  ...normalizeOptions(item),
+});
+
+/**
+ * Builds the backup document.
+ * @param {Array<object>} items - Current menu items.
+ * @returns {object}
+ */
+export const createBackup = (items) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: new Date().toISOString(),
+  count: items.length,
+  items: items.map(toBackupItem),
+});
+
+/**
+ * Downloads a backup of the given items.
+ * @param {Array<object>} items - Current menu items.
+ */
+export function downloadBackup(items) {
+  const backup = createBackup(items);
+  const stamp = backup.createdAt.slice(0, 10);
+  saveAs(new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" }), `Menu_Backup_${stamp}.json`);
+}
+
+/**
+ * Reads and checks a backup file.
+ * @param {File} file - JSON file produced by downloadBackup.
+ * @returns {Promise<object>} The backup document.
+ * @throws {Error} When the file is not a backup or comes from a newer version.
+ */
+export async function readBackup(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+  if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.items))
+    throw new Error("This is not a menu backup file");
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION)
+    throw new Error(`Unsupported backup version ${backup.version}; this app reads up to version ${BACKUP_VERSION}`);
+  if (backup.items.some((item) => !item?.name))
+    throw new Error("The backup contains items without a name");
+  return backup;
+}
+
+const comparable = (field, value) => {
+  if (value === undefined || value === null || value === "") return FIELD_DEFAULTS[field] ?? "";
+  if (NUMERIC_FIELDS.includes(field)) return Number(value);
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * @typedef {object} MenuDiff
+ * @property {Array<object>} create - Backup items with no live counterpart.
+ * @property {Array<{ current: object, next: object, changes: Array<string> }>} update - Items whose fields differ.
+ * @property {Array<object>} remove - Live items missing from the backup.
+ * @property {number} unchanged - Items identical in both.
+ */
+
+/**
+ * Compares a backup with the live menu. Items are matched by id, then by name.
+ * @param {Array<object>} current - Live menu items.
+ * @param {Array<object>} backupItems - Items from the backup.
+ * @returns {MenuDiff}
+ */
+export function diffMenu(current, backupItems) {
+  const byId = new Map(current.map((item) => [item._id, item]));
+  const byName = new Map(current.map((item) => [String(item.name).toLowerCase(), item]));
+  const matched = new Set();
+  const diff = { create: [], update: [], remove: [], unchanged: 0 };
+
+  backupItems.forEach((next) => {
+    const live = byId.get(next._id) || byName.get(String(next.name).toLowerCase());
+    if (!live || matched.has(live._id)) {
+      diff.create.push(next);
+      return;
+    }
+    matched.add(live._id);
+    const changes = BACKUP_FIELDS.filter((field) => comparable(field, live[field]) !== comparable(field, next[field]));
+    if (changes.length) diff.update.push({ current: live, next, changes });
+    else diff.unchanged += 1;
+  });
+
+  diff.remove = current.filter((item) => !matched.has(item._id));
+  return diff;
+}
+
+/**
+ * Request body for a backup item. The image is only sent when it is new
+ * or changed, since the backend keeps the stored image otherwise. Gallery
+ * images are referenced by URL.
+ */
+const toFormData = async (item, withImage, withGallery) => {
+  const data = toMenuFormData(item);
+  if (withImage && item.image) await appendImageFromUrl(data, item.image);
+  if (withGallery && item.images?.length) data.append("gallery", JSON.stringify(normalizeImages(item).map((image) => image.url)));
+  return data;
+};
+
+/**
+ * Applies a diff to the live menu.
+ * @param {MenuDiff} diff
+ * @param {object} [options]
+ * @param {boolean} [options.includeDeletes=true] - Delete live items missing from the backup.
+ * @param {Function} [options.onProgress] - See runBatch.
+ * @returns {Promise<Array<object>>} runBatch results; each item is `{ type, name, run }`.
+ */
+export function applyRestore(diff, { includeDeletes = true, onProgress } = {}) {
+  const audit = (action, item, values) =>
+    recordAudit({ action, entityType: "menuItem", entityId: item._id, label: item.name, ...values });
+
+  const operations = [
+    ...diff.create.map((next) => ({
+      type: "create",
+      name: next.name,
+      run: async () => {
+        const created = await createMenuItem(await toFormData(next, true, true));
+        audit("menuItem.backupRestore", { ...next, _id: created?.data?._id }, { after: pickFields(next, MENU_ITEM_FIELDS) });
+        return created;
+      },
+    })),
+    ...diff.update.map(({ current, next, changes }) => ({
+      type: "update",
+      name: next.name,
+      run: async () => {
+        const updated = await updateMenuItem(current._id, await toFormData(next, changes.includes("image"), changes.includes("images")));
+        audit("menuItem.backupRestore", current, diffFields(current, next, changes));
+        return updated;
+      },
+    })),
+    ...(includeDeletes
+      ? diff.remove.map((item) => ({
+          type: "delete",
+          name: item.name,
+          run: async () => {
+            await deleteMenuItem(item._id);
+            audit("menuItem.delete", item, { before: pickFields(item, MENU_ITEM_FIELDS) });
+          },
+        }))
+      : []),
+  ];
+  return runBatch(operations, (op) => op.run(), { onProgress });
+}
@@ -0,0 +1,47 @@
+/**
+ * @file menuExport.js
+ * @description Menu item export columns, written through the shared exporter.
+ */
+
+import { exportSheets } from "../../utils/exporter";
+import { normalizeAvailability, describeWindow } from "../addItem/menuAvailability";
+import { normalizeOptions, getPriceRange, describeGroup } from "../addItem/menuOptions";
+import { normalizeImages } from "../addItem/menuImages";
+
+export const MENU_COLUMNS = [
+  { header: "ID", value: (item) => item._id, width: 26 },
+  { header: "Name", value: (item) => item.name, width: 24 },
+  { header: "Description", value: (item) => item.description, width: 40 },
+  { header: "Category", value: (item) => item.category, width: 16 },
+  { header: "Price", value: (item) => item.price, type: "currency" },
+  { header: "Max Price", value: (item) => getPriceRange(item).max, type: "currency" },
+  { header: "Variants", value: (item) => normalizeOptions(item).variantGroups.map(describeGroup).join("; "), width: 30 },
+  { header: "Modifiers", value: (item) => normalizeOptions(item).modifierGroups.map(describeGroup).join("; "), width: 30 },
+  { header: "Rating", value: (item) => item.rating, type: "number" },
+  { header: "Popularity", value: (item) => item.popularity, type: "number" },
+  { header: "Available", value: (item) => (normalizeAvailability(item).available ? "Yes" : "No") },
+  { header: "Stock", value: (item) => normalizeAvailability(item).stock, type: "number" },
+  {
+    header: "Availability Windows",
+    value: (item) => normalizeAvailability(item).availabilityWindows.map(describeWindow).join("; "),
+    width: 30,
+  },
+  { header: "Image", value: (item) => item.image, width: 40 },
+  {
+    header: "Gallery",
+    value: (item) => normalizeImages(item).slice(1).map((image) => image.url).join(" "),
+    width: 40,
+  },
+  { header: "Created", value: (item) => item.createdAt, type: "date", width: 18 },
+];
+
+/**
+ * Downloads menu items in the requested format.
+ * @param {Array<object>} items - Menu items to export.
+ * @param {object} [options]
+ * @param {"xlsx"|"csv"|"json"} [options.format]
+ * @param {string} [options.filename] - Base name without extension.
+ */
+export function exportMenuItems(items, { format = "xlsx", filename = "Menu_Items" } = {}) {
+  exportSheets([{ name: "Menu", columns: MENU_COLUMNS, rows: items }], { format, filename });
+}
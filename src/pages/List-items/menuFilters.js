@@ -0,0 +1,94 @@
+/**
+ * @file menuFilters.js
+ * @description Pure helpers for the ListItemsPage toolbar: reading filter
+ * state from the URL query string, and filtering and sorting menu items
+ * on the client.
+ */
+
+import { PAGE_SIZES, DEFAULT_PAGE_SIZE } from "../../utils/pagination";
+
+// Sort options offered by the toolbar (value -> label)
+export const SORT_OPTIONS = {
+  "": "Server order",
+  name_asc: "Name (A–Z)",
+  price_asc: "Price: low to high",
+  price_desc: "Price: high to low",
+  rating_desc: "Rating: high to low",
+  rating_asc: "Rating: low to high",
+  popularity_desc: "Most popular",
+  popularity_asc: "Least popular",
+};
+
+/**
+ * Parses a numeric query parameter.
+ * @param {string|null} value - Raw parameter.
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Reads the toolbar state from URL search params.
+ * @param {URLSearchParams} params - Current query string.
+ * @returns {object} Filter state.
+ */
+export function readMenuFilters(params) {
+  const pageSize = toNumber(params.get("pageSize"));
+  return {
+    q: params.get("q") || "",
+    category: params.get("category") || "",
+    minPrice: toNumber(params.get("minPrice")),
+    maxPrice: toNumber(params.get("maxPrice")),
+    minRating: toNumber(params.get("minRating")),
+    maxRating: toNumber(params.get("maxRating")),
+    sort: Object.hasOwn(SORT_OPTIONS, params.get("sort")) ? params.get("sort") : "",
+    page: Math.max(1, toNumber(params.get("page")) || 1),
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_PAGE_SIZE,
+  };
+}
+
+/**
+ * Applies search, category, price and rating filters.
+ * @param {Array<object>} items - Menu items.
+ * @param {object} filters - State from readMenuFilters.
+ * @returns {Array<object>}
+ */
+export function filterMenuItems(items, filters) {
+  const q = filters.q.trim().toLowerCase();
+  return items.filter((item) => {
+    if (q) {
+      const haystack = `${item.name || ""} ${item.description || ""}`.toLowerCase();
+      if (!haystack.includes(q)) return false;
+    }
+    if (filters.category && item.category !== filters.category) return false;
+
+    const price = Number(item.price) || 0;
+    if (filters.minPrice !== null && price < filters.minPrice) return false;
+    if (filters.maxPrice !== null && price > filters.maxPrice) return false;
+
+    const rating = Number(item.rating) || 0;
+    if (filters.minRating !== null && rating < filters.minRating) return false;
+    if (filters.maxRating !== null && rating > filters.maxRating) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Returns a sorted copy of the items.
+ * @param {Array<object>} items - Menu items.
+ * @param {string} sort - Key from SORT_OPTIONS.
+ * @returns {Array<object>}
+ */
+export function sortMenuItems(items, sort) {
+  if (!sort) return items;
+  const [field, direction] = sort.split("_");
+  const factor = direction === "desc" ? -1 : 1;
+  return [...items].sort((a, b) => {
+    if (field === "name") return factor * String(a.name || "").localeCompare(String(b.name || ""));
+    return factor * ((Number(a[field]) || 0) - (Number(b[field]) || 0));
+  });
+}
@@ -1,8 +1,10 @@
 /**
  * @file AddItemPage.jsx
  * @description Admin interface for adding new menu items to the backend.
- * Supports image upload with preview, form validation, rating, popularity metrics,
+ * Supports an image gallery (checked, cropped and compressed before upload),
+ * schema validation with inline errors, rating, popularity metrics,
  * and integration with REST API endpoint `/api/menu`.
+ * When routed with an item id (`/listitem/:id/edit`) the same form edits that item.
  *
  * @version 1.0.0
  * @since 2025-10-14
@@ -10,9 +12,78 @@
  * Muzamil Ahmad
  */
 
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { motion } from "framer-motion";
-import { Upload, Star, Heart, DollarSign } from "lucide-react";
+import { useParams, useLocation, useNavigate } from "react-router-dom";
+import { Star, Heart, DollarSign } from "lucide-react";
+import { createMenuItem, fetchMenuItem, updateMenuItem, toMenuFormData, MENU_ITEM_FIELDS } from "../../api/menu";
+import { menuItemSchema, DESCRIPTION_MAX_LENGTH } from "./menuItemRules";
+import useFormValidation from "../../hooks/useFormValidation";
+import FieldError from "../../components/fieldError/FieldError";
+import { useCategories } from "../../context/categories/useCategories";
+import { normalizeAvailability } from "./menuAvailability";
+import AvailabilityFields from "./AvailabilityFields";
+import { normalizeOptions, cleanOptionGroups } from "./menuOptions";
+import OptionGroupsFields from "./OptionGroupsFields";
+import { normalizeImages, appendGallery } from "./menuImages";
+import ImageGallery from "./ImageGallery";
+import { recordAudit, diffFields, pickFields } from "../../utils/auditLog";
+
+// Blank form values
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  category: "",
+  price: "",
+  rating: 0,
+  popularity: 0,
+  available: true,
+  stock: "",
+  availabilityWindows: [],
+  variantGroups: [],
+  modifierGroups: [],
+};
+
+/**
+ * Maps a menu item from the API onto form values.
+ * @param {object} item - Menu item.
+ */
+const toFormData = (item) => {
+  const { available, stock, availabilityWindows } = normalizeAvailability(item);
+  return {
+    name: item.name || "",
+    description: item.description || "",
+    category: item.category || "",
+    price: item.price ?? "",
+    rating: item.rating || 0,
+    popularity: item.popularity || 0,
+    available,
+    stock: stock ?? "",
+    availabilityWindows,
+    ...normalizeOptions(item),
+  };
+};
+
+/**
+ * Form values as sent to the backend; an empty stock means "not tracked".
+ * @param {object} form - Form values.
+ */
+const toRequestValues = (form) => ({
+  ...form,
+  ...cleanOptionGroups(form),
+  stock: form.stock === "" ? null : Number(form.stock),
+  popularity: Number(form.popularity) || 0,
+});
+
+/**
+ * Field snapshot for the audit log; new uploads are listed by file name.
+ * @param {object} form - Form values.
+ * @param {Array<object>} images - Gallery, cover first.
+ */
+const toAuditSnapshot = (form, images) => ({
+  ...pickFields(toRequestValues(form), MENU_ITEM_FIELDS),
+  images: images.map((image) => (image.file ? `new: ${image.file.name}` : image.url)),
+});
 
 /**
  * AddItemPage Component
@@ -22,50 +93,98 @@ import { Upload, Star, Heart, DollarSign } from "lucide-react";
  * Provides a form for admins to create new menu items including image upload,
  * product details, category selection, and rating.
  * Submits data to backend using FormData for handling both text and file uploads.
+ * In edit mode the form is pre-filled from the item (passed in route state by
+ * ListItemsPage, or fetched by id) and saved with a PUT to `/api/menu/:id`.
  */
 export default function AddItemPage() {
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const isEdit = Boolean(id);
+  const { categories, categoryNames } = useCategories();
+
   // Component state for form data
-  const [formData, setFormData] = useState({
-    name: "",
-    description: "",
-    category: "",
-    price: "",
-    rating: 0,
-    popularity: 0,
-  });
-
-  // Image upload state
-  const [selectedImage, setSelectedImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Gallery, cover first; newly added images carry their processed file
+  const [images, setImages] = useState([]);
+
+  // Item as loaded for editing, to record what changed
+  const [original, setOriginal] = useState(null);
+
+  // Same schema as the bulk importer; fields are checked on blur and on submit
+  const { errors, handleBlur, revalidate, validateAll, applyServerErrors, reset } = useFormValidation(
+    menuItemSchema,
+    formData,
+    { categoryNames }
+  );
 
   // API loading state
   const [loading, setLoading] = useState(false);
+  const [loadingItem, setLoadingItem] = useState(isEdit);
 
   /**
-   * Handles image file selection and generates a preview.
-   * @param {object} event - Input file change event.
+   * Loads the item being edited and pre-fills the form, including its current images.
    */
-  const handleImageUpload = (event) => {
-    const file = event.target.files?.[0];
-    if (file) {
-      setSelectedImage(file);
-      const reader = new FileReader();
-      reader.onload = (e) => setImagePreview(e.target.result);
-      reader.readAsDataURL(file);
+  useEffect(() => {
+    if (!id) return undefined;
+
+    let cancelled = false;
+    async function loadItem() {
+      try {
+        setLoadingItem(true);
+        const stateItem = location.state?.item;
+        const item = stateItem?._id === id ? stateItem : await fetchMenuItem(id);
+        if (cancelled) return;
+        setFormData(toFormData(item));
+        setImages(normalizeImages(item));
+        setOriginal(toAuditSnapshot(toFormData(item), normalizeImages(item)));
+      } catch (err) {
+        console.error("Error loading item:", err);
+        if (!cancelled) {
+          alert("Failed to load item: " + err.message);
+          navigate("/listitem");
+        }
+      } finally {
+        if (!cancelled) setLoadingItem(false);
+      }
     }
+    loadItem();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, location.state, navigate]);
+
+  /**
+   * Applies a partial update to the form and re-checks the changed fields
+   * that already show a result.
+   * @param {object} patch - Changed form values.
+   */
+  const updateForm = (patch) => {
+    const next = { ...formData, ...patch };
+    setFormData(next);
+    Object.keys(patch).forEach((field) => revalidate(field, next));
   };
 
+  // Input classes with the border marking invalid fields
+  const fieldClass = (field, extra) =>
+    `${extra} rounded-lg bg-gray-700 border ${
+      errors[field] ? "border-red-500" : "border-gray-600"
+    } text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition`;
+
   /**
    * Updates the selected star rating for the product.
    * @param {number} rating - Star rating value between 1 and 5.
    */
   const handleRatingClick = (rating) => {
-    setFormData((prev) => ({ ...prev, rating }));
+    updateForm({ rating });
   };
 
   /**
    * Handles form submission.
-   * Validates required fields and sends multipart/form-data to the backend API.
+   * Validates every field and sends multipart/form-data to the backend API.
+   * Field errors returned by the API are shown next to the matching fields.
+   * Only newly added images are uploaded; kept images are referenced by URL.
    *
    * @async
    * @function handleSubmit
@@ -74,51 +193,53 @@ export default function AddItemPage() {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    // Basic validation for required fields
-    if (!formData.name || !formData.category || !formData.price) {
-      alert("Please fill all required fields");
-      return;
-    }
+    if (!validateAll()) return;
 
     try {
       setLoading(true);
-      const data = new FormData();
 
-      // Append all form fields including rating and popularity
-      Object.entries(formData).forEach(([key, value]) => {
-        data.append(key, value);
-      });
+      // All form fields. The backend lowers stock as orders come in, so an
+      // edit only sends stock when the admin changed it
+      const values = toRequestValues(formData);
+      const keepStock = isEdit && original && values.stock === original.stock;
+      const data = toMenuFormData(keepStock ? { ...values, stock: undefined } : values);
 
-      // Append image if available
-      if (selectedImage) data.append("image", selectedImage);
+      // Gallery order, cover first, plus any new image files
+      appendGallery(data, images);
 
       // API call to backend
-      const response = await fetch("https://1e20a7ed-cc85-497b-b510-b41debc2f036-00-1p28dt788ywz9.pike.replit.dev/api/menu", {
-        method: "POST",
-        body: data,
-      });
-
-      const result = await response.json();
-
-      // Success response handling
-      if (response.ok && result.success) {
-        alert("Item added successfully");
-        setFormData({
-          name: "",
-          description: "",
-          category: "",
-          price: "",
-          rating: 0,
-          popularity: 0,
+      const snapshot = toAuditSnapshot(formData, images);
+      if (isEdit) {
+        await updateMenuItem(id, data);
+        recordAudit({
+          action: "menuItem.update",
+          entityType: "menuItem",
+          entityId: id,
+          label: formData.name,
+          ...diffFields(original, snapshot),
         });
-        setSelectedImage(null);
-        setImagePreview(null);
-      } else {
-        alert("Failed: " + (result.message || "Unknown error"));
+        alert("Item updated successfully");
+        navigate("/listitem");
+        return;
       }
+
+      const created = await createMenuItem(data);
+      recordAudit({
+        action: "menuItem.create",
+        entityType: "menuItem",
+        entityId: created?.data?._id,
+        label: formData.name,
+        after: snapshot,
+      });
+
+      alert("Item added successfully");
+      setFormData(EMPTY_FORM);
+      images.forEach((image) => image.file && URL.revokeObjectURL(image.url));
+      setImages([]);
+      reset();
     } catch (err) {
       console.error("Error:", err);
-      alert("Something went wrong");
+      if (!applyServerErrors(err)) alert("Failed: " + err.message);
     } finally {
       setLoading(false);
     }
@@ -134,179 +255,194 @@ export default function AddItemPage() {
         className="w-full max-w-2xl bg-gray-800/90 backdrop-blur-sm border border-gray-700 rounded-xl p-8 shadow-lg"
       >
         <h1 className="text-2xl font-bold text-amber-400 text-center mb-8">
-          Add New Menu Item
+          {isEdit ? "Edit Menu Item" : "Add New Menu Item"}
         </h1>
 
         {/* Main form */}
-        <form onSubmit={handleSubmit} className="space-y-6">
-          {/* Image Upload */}
-          <div className="flex flex-col items-center">
-            <div
-              className="w-full max-w-sm h-32 border-2 border-dashed border-amber-600 rounded-lg flex flex-col items-center justify-center cursor-pointer hover:border-amber-500 transition-colors bg-gray-700/50"
-              onClick={() => document.getElementById("image-upload")?.click()}
-            >
-              {imagePreview ? (
-                <img
-                  src={imagePreview}
-                  alt="Preview"
-                  className="w-full h-full object-cover rounded-lg"
-                />
-              ) : (
-                <>
-                  <Upload className="w-8 h-8 text-amber-500 mb-2" />
-                  <span className="text-amber-400 text-sm">
-                    Click to upload product image
-                  </span>
-                </>
-              )}
-            </div>
-            <input
-              id="image-upload"
-              type="file"
-              accept="image/*"
-              onChange={handleImageUpload}
-              className="hidden"
-            />
-          </div>
-
-          {/* Product Name */}
-          <div>
-            <label className="block text-amber-400 text-sm font-medium mb-2">
-              Product Name
-            </label>
-            <input
-              type="text"
-              placeholder="Enter product name"
-              value={formData.name}
-              onChange={(e) =>
-                setFormData((prev) => ({ ...prev, name: e.target.value }))
-              }
-              className="w-full p-3 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition"
-              required
-            />
-          </div>
-
-          {/* Description */}
-          <div>
-            <label className="block text-amber-400 text-sm font-medium mb-2">
-              Description
-            </label>
-            <textarea
-              placeholder="Enter product description"
-              value={formData.description}
-              onChange={(e) =>
-                setFormData((prev) => ({
-                  ...prev,
-                  description: e.target.value,
-                }))
-              }
-              className="w-full p-3 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition min-h-[100px] resize-none"
-            ></textarea>
-          </div>
-
-          {/* Category and Price Fields */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {loadingItem ? (
+          <div className="text-center text-white py-12">Loading...</div>
+        ) : (
+          <form onSubmit={handleSubmit} noValidate className="space-y-6">
+            {/* Images */}
+            <ImageGallery images={images} onChange={setImages} />
+
+            {/* Product Name */}
             <div>
               <label className="block text-amber-400 text-sm font-medium mb-2">
-                Category
+                Product Name
               </label>
-              <select
-                value={formData.category}
-                onChange={(e) =>
-                  setFormData((prev) => ({ ...prev, category: e.target.value }))
-                }
-                className="w-full p-3 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-amber-500 transition"
+              <input
+                type="text"
+                placeholder="Enter product name"
+                value={formData.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                onBlur={() => handleBlur("name")}
+                aria-invalid={Boolean(errors.name)}
+                aria-describedby="name-error"
+                className={fieldClass("name", "w-full p-3")}
                 required
-              >
-                <option value="">Select Category</option>
-                <option value="Pizza">Pizza</option>
-                <option value="Burger">Burger</option>
-                <option value="Drinks">Drinks</option>
-                <option value="Dessert">Dessert</option>
-                <option value="Other">Other</option>
-              </select>
+              />
+              <FieldError id="name-error" message={errors.name} />
             </div>
 
+            {/* Description */}
             <div>
               <label className="block text-amber-400 text-sm font-medium mb-2">
-                Price
+                Description
               </label>
-              <div className="relative">
-                <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-amber-400">
-                  <DollarSign className="w-4 h-4 inline" />
+              <textarea
+                placeholder="Enter product description"
+                value={formData.description}
+                onChange={(e) => updateForm({ description: e.target.value })}
+                onBlur={() => handleBlur("description")}
+                aria-invalid={Boolean(errors.description)}
+                aria-describedby="description-error"
+                className={fieldClass("description", "w-full p-3 min-h-[100px] resize-none")}
+              ></textarea>
+              <div className="flex justify-between">
+                <FieldError id="description-error" message={errors.description} />
+                <span
+                  className={`ml-auto text-xs mt-1 ${
+                    formData.description.trim().length > DESCRIPTION_MAX_LENGTH ? "text-red-400" : "text-gray-400"
+                  }`}
+                >
+                  {formData.description.trim().length}/{DESCRIPTION_MAX_LENGTH}
                 </span>
-                <input
-                  type="number"
-                  placeholder="Enter price"
-                  value={formData.price}
-                  onChange={(e) =>
-                    setFormData((prev) => ({ ...prev, price: e.target.value }))
-                  }
-                  className="w-full pl-8 p-3 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition"
-                  required
-                />
               </div>
             </div>
-          </div>
 
-          {/* Rating and Popularity */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-amber-400 text-sm font-medium mb-2">
-                Rating
-              </label>
-              <div className="flex space-x-1">
-                {[1, 2, 3, 4, 5].map((star) => (
-                  <Star
-                    key={star}
-                    className={`w-6 h-6 cursor-pointer transition-colors ${
-                      star <= formData.rating
-                        ? "text-amber-400 fill-amber-400"
-                        : "text-gray-500 hover:text-amber-300"
-                    }`}
-                    onClick={() => handleRatingClick(star)}
+            {/* Category and Price Fields */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-amber-400 text-sm font-medium mb-2">
+                  Category
+                </label>
+                <select
+                  value={formData.category}
+                  onChange={(e) => updateForm({ category: e.target.value })}
+                  onBlur={() => handleBlur("category")}
+                  aria-invalid={Boolean(errors.category)}
+                  aria-describedby="category-error"
+                  className={fieldClass("category", "w-full p-3")}
+                  required
+                >
+                  <option value="">Select Category</option>
+                  {categories.map((category) => (
+                    <option key={category.name} value={category.name}>
+                      {category.icon ? `${category.icon} ` : ""}
+                      {category.name}
+                      {category.hidden ? " (hidden)" : ""}
+                    </option>
+                  ))}
+                </select>
+                <FieldError id="category-error" message={errors.category} />
+              </div>
+
+              <div>
+                <label className="block text-amber-400 text-sm font-medium mb-2">
+                  Price
+                </label>
+                <div className="relative">
+                  <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-amber-400">
+                    <DollarSign className="w-4 h-4 inline" />
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Enter price"
+                    value={formData.price}
+                    onChange={(e) => updateForm({ price: e.target.value })}
+                    onBlur={() => handleBlur("price")}
+                    aria-invalid={Boolean(errors.price)}
+                    aria-describedby="price-error"
+                    className={fieldClass("price", "w-full pl-8 p-3")}
+                    required
                   />
-                ))}
+                </div>
+                <FieldError id="price-error" message={errors.price} />
               </div>
             </div>
 
-            <div>
-              <label className="block text-amber-400 text-sm font-medium mb-2">
-                Popularity
-              </label>
-              <div className="flex items-center space-x-2">
-                <Heart className="w-5 h-5 text-red-500 fill-red-500" />
-                <input
-                  type="number"
-                  placeholder="0"
-                  value={formData.popularity}
-                  onChange={(e) =>
-                    setFormData((prev) => ({
-                      ...prev,
-                      popularity: parseInt(e.target.value) || 0,
-                    }))
-                  }
-                  className="w-20 p-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition"
-                />
+            {/* Rating and Popularity */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-amber-400 text-sm font-medium mb-2">
+                  Rating
+                </label>
+                <div className="flex space-x-1">
+                  {[1, 2, 3, 4, 5].map((star) => (
+                    <Star
+                      key={star}
+                      className={`w-6 h-6 cursor-pointer transition-colors ${
+                        star <= formData.rating
+                          ? "text-amber-400 fill-amber-400"
+                          : "text-gray-500 hover:text-amber-300"
+                      }`}
+                      onClick={() => handleRatingClick(star)}
+                    />
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-amber-400 text-sm font-medium mb-2">
+                  Popularity
+                </label>
+                <div className="flex items-center space-x-2">
+                  <Heart className="w-5 h-5 text-red-500 fill-red-500" />
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    placeholder="0"
+                    value={formData.popularity}
+                    onChange={(e) => updateForm({ popularity: e.target.value })}
+                    onBlur={() => handleBlur("popularity")}
+                    aria-invalid={Boolean(errors.popularity)}
+                    aria-describedby="popularity-error"
+                    className={fieldClass("popularity", "w-20 p-2")}
+                  />
+                </div>
+                <FieldError id="popularity-error" message={errors.popularity} />
               </div>
             </div>
-          </div>
-
-          {/* Submit Button */}
-          <motion.div whileHover={{ scale: 1.05 }} className="mt-4">
-            <button
-              type="submit"
-              disabled={loading}
-              className={`w-full ${
-                loading
-                  ? "bg-gray-600 cursor-not-allowed"
-                  : "bg-orange-600 hover:bg-orange-700"
-              } text-white font-semibold py-3 rounded-lg transition-colors`}
-            >
-              {loading ? "Adding..." : "Add to Menu"}
-            </button>
-          </motion.div>
-        </form>
+
+            {/* Variants and add-ons */}
+            <OptionGroupsFields values={formData} errors={errors} onChange={updateForm} />
+
+            {/* Availability, stock and schedule */}
+            <AvailabilityFields values={formData} errors={errors} onChange={updateForm} onBlur={handleBlur} />
+
+            {/* Submit Button */}
+            <motion.div whileHover={{ scale: 1.05 }} className="mt-4">
+              <button
+                type="submit"
+                disabled={loading}
+                className={`w-full ${
+                  loading
+                    ? "bg-gray-600 cursor-not-allowed"
+                    : "bg-orange-600 hover:bg-orange-700"
+                } text-white font-semibold py-3 rounded-lg transition-colors`}
+              >
+                {loading
+                  ? isEdit ? "Saving..." : "Adding..."
+                  : isEdit ? "Save Changes" : "Add to Menu"}
+              </button>
+            </motion.div>
+
+            {/* Cancel editing */}
+            {isEdit && (
+              <button
+                type="button"
+                onClick={() => navigate("/listitem")}
+                className="w-full text-gray-300 hover:text-white text-sm py-2 transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </form>
+        )}
       </motion.div>
     </div>
   );
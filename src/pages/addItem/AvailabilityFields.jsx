@@ -0,0 +1,176 @@
+/**
+ * @file AvailabilityFields.jsx
+ * @description AddItem form section for the available/sold-out switch,
+ * optional stock count and availability windows.
+ */
+
+import React from "react";
+import { Plus, X } from "lucide-react";
+import { WEEKDAYS, WINDOW_PRESETS, describeWindow } from "./menuAvailability";
+import FieldError from "../../components/fieldError/FieldError";
+
+const inputClass =
+  "p-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition";
+
+/**
+ * AvailabilityFields Component
+ *
+ * @component
+ * @param {{ available: boolean, stock: string|number, availabilityWindows: Array<object> }} values - Form values.
+ * @param {object} errors - Validation messages by field.
+ * @param {Function} onChange - Called with a partial update of the form values.
+ * @param {Function} onBlur - Called with the field name when an input loses focus.
+ */
+export default function AvailabilityFields({ values, errors = {}, onChange, onBlur }) {
+  const windows = values.availabilityWindows;
+
+  const updateWindow = (index, patch) =>
+    onChange({ availabilityWindows: windows.map((w, i) => (i === index ? { ...w, ...patch } : w)) });
+
+  const removeWindow = (index) => onChange({ availabilityWindows: windows.filter((_, i) => i !== index) });
+
+  const toggleDay = (index, day) => {
+    const days = windows[index].days || [];
+    updateWindow(index, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort() });
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Available + stock */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-amber-400 text-sm font-medium mb-2">Availability</label>
+          <button
+            type="button"
+            onClick={() => onChange({ available: !values.available })}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition ${
+              values.available ? "bg-green-700 hover:bg-green-600 text-white" : "bg-red-800 hover:bg-red-700 text-white"
+            }`}
+          >
+            {values.available ? "Available" : "Sold out"}
+          </button>
+        </div>
+
+        <div>
+          <label className="block text-amber-400 text-sm font-medium mb-2">Stock</label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            placeholder="Not tracked"
+            value={values.stock}
+            onChange={(e) => onChange({ stock: e.target.value })}
+            onBlur={() => onBlur?.("stock")}
+            aria-invalid={Boolean(errors.stock)}
+            aria-describedby="stock-error"
+            className={`${errors.stock ? inputClass.replace("border-gray-600", "border-red-500") : inputClass} w-32`}
+          />
+          {errors.stock ? (
+            <FieldError id="stock-error" message={errors.stock} />
+          ) : (
+            <p className="text-gray-400 text-xs mt-1">Leave empty to not track stock.</p>
+          )}
+        </div>
+      </div>
+
+      {/* Availability windows */}
+      <div>
+        <label className="block text-amber-400 text-sm font-medium mb-2">Availability windows</label>
+        <p className="text-gray-400 text-xs mb-2">
+          {windows.length ? "The item is offered when any window matches." : "Always offered."}
+        </p>
+
+        <div className="space-y-3">
+          {windows.map((window, index) => (
+            <div key={index} className="rounded-lg border border-gray-600 bg-gray-700/40 p-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  placeholder="Label (optional)"
+                  value={window.label || ""}
+                  onChange={(e) => updateWindow(index, { label: e.target.value })}
+                  className={`${inputClass} flex-1 text-sm`}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeWindow(index)}
+                  className="p-1.5 rounded-lg text-red-400 hover:text-red-300 hover:bg-red-500/10 transition"
+                  aria-label="Remove window"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+
+              <div className="flex flex-wrap gap-1">
+                {WEEKDAYS.map((name, day) => (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => toggleDay(index, day)}
+                    className={`px-2 py-1 rounded text-xs border ${
+                      window.days?.includes(day)
+                        ? "border-amber-500 bg-amber-700/50 text-white"
+                        : "border-gray-600 text-gray-300 hover:border-amber-600"
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2 text-xs text-gray-300">
+                <input
+                  type="time"
+                  value={window.startTime || ""}
+                  onChange={(e) => updateWindow(index, { startTime: e.target.value })}
+                  className={inputClass}
+                  aria-label="Start time"
+                />
+                –
+                <input
+                  type="time"
+                  value={window.endTime || ""}
+                  onChange={(e) => updateWindow(index, { endTime: e.target.value })}
+                  className={inputClass}
+                  aria-label="End time"
+                />
+                <span className="ml-2">from</span>
+                <input
+                  type="date"
+                  value={window.startDate || ""}
+                  onChange={(e) => updateWindow(index, { startDate: e.target.value })}
+                  className={inputClass}
+                  aria-label="Start date"
+                />
+                to
+                <input
+                  type="date"
+                  value={window.endDate || ""}
+                  onChange={(e) => updateWindow(index, { endDate: e.target.value })}
+                  className={inputClass}
+                  aria-label="End date"
+                />
+              </div>
+
+              <p className="text-gray-400 text-xs">{describeWindow(window)}</p>
+            </div>
+          ))}
+        </div>
+        <FieldError message={errors.availabilityWindows} />
+
+        <div className="flex flex-wrap gap-2 mt-3">
+          {Object.entries(WINDOW_PRESETS).map(([key, preset]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onChange({ availabilityWindows: [...windows, { ...preset }] })}
+              className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg text-xs bg-gray-700 hover:bg-gray-600 text-amber-300"
+            >
+              <Plus className="w-3 h-3" /> {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
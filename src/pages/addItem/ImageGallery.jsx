@@ -0,0 +1,181 @@
+/**
+ * @file ImageGallery.jsx
+ * @description AddItem image section: drag-and-drop or click to add images,
+ * each checked, cropped to the menu card ratio and compressed to WebP before
+ * it joins the gallery. The first image is the cover.
+ */
+
+import React, { useState } from "react";
+import { Upload, Star, X } from "lucide-react";
+import ImageCropper from "../../components/imageCropper/ImageCropper";
+import MenuImage from "../../components/menuImage/MenuImage";
+import { validateImage, cropToFile } from "../../utils/imageProcessing";
+import { MENU_IMAGE_ASPECT, MENU_IMAGE_RULES, MENU_IMAGE_OUTPUT, MAX_GALLERY_IMAGES } from "./menuImages";
+
+const baseName = (file) => file.name.replace(/\.[^.]+$/, "") || "image";
+
+/**
+ * ImageGallery Component
+ *
+ * @component
+ * @param {Array<{ url: string, file?: File }>} images - Gallery, cover first. New images carry their `file`.
+ * @param {Function} onChange - Called with the updated gallery.
+ */
+export default function ImageGallery({ images, onChange }) {
+  // Decoded images waiting to be cropped, one at a time
+  const [queue, setQueue] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [processing, setProcessing] = useState(false);
+
+  const slotsLeft = MAX_GALLERY_IMAGES - images.length - queue.length;
+
+  /**
+   * Checks picked or dropped files and queues the valid ones for cropping.
+   * @param {FileList} fileList
+   */
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    const nextErrors = [];
+    if (files.length > slotsLeft)
+      nextErrors.push(`Only ${MAX_GALLERY_IMAGES} images per item; ${files.length - Math.max(slotsLeft, 0)} skipped`);
+
+    const accepted = [];
+    for (const file of files.slice(0, Math.max(slotsLeft, 0))) {
+      try {
+        accepted.push({ file, image: await validateImage(file, MENU_IMAGE_RULES) });
+      } catch (err) {
+        nextErrors.push(err.message);
+      }
+    }
+    setErrors(nextErrors);
+    setQueue((prev) => [...prev, ...accepted]);
+  };
+
+  const nextInQueue = () => {
+    URL.revokeObjectURL(queue[0].image.src);
+    setQueue((prev) => prev.slice(1));
+  };
+
+  const handleCrop = async (crop) => {
+    const { file, image } = queue[0];
+    try {
+      setProcessing(true);
+      const output = await cropToFile(image, crop, { ...MENU_IMAGE_OUTPUT, name: baseName(file) });
+      onChange([...images, { url: URL.createObjectURL(output), file: output }]);
+    } catch (err) {
+      setErrors((prev) => [...prev, `${file.name}: ${err.message}`]);
+    } finally {
+      setProcessing(false);
+      nextInQueue();
+    }
+  };
+
+  const removeImage = (index) => {
+    if (images[index].file) URL.revokeObjectURL(images[index].url);
+    onChange(images.filter((_, i) => i !== index));
+  };
+
+  const makeCover = (index) => onChange([images[index], ...images.filter((_, i) => i !== index)]);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (e.dataTransfer.files?.length) addFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-3">
+      {/* Drop zone */}
+      <div
+        className={`w-full max-w-sm h-32 border-2 border-dashed rounded-lg flex flex-col items-center justify-center cursor-pointer transition-colors bg-gray-700/50 ${
+          dragging ? "border-amber-400 bg-amber-900/30" : "border-amber-600 hover:border-amber-500"
+        }`}
+        onClick={() => document.getElementById("image-upload")?.click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <Upload className="w-8 h-8 text-amber-500 mb-2" />
+        <span className="text-amber-400 text-sm">
+          {processing ? "Processing…" : "Drop images here or click to upload"}
+        </span>
+        <span className="text-gray-400 text-xs mt-1">
+          JPEG, PNG or WebP · at least {MENU_IMAGE_RULES.minWidth}×{MENU_IMAGE_RULES.minHeight}px · up to{" "}
+          {MAX_GALLERY_IMAGES}
+        </span>
+      </div>
+      <input
+        id="image-upload"
+        type="file"
+        accept={MENU_IMAGE_RULES.types.join(",")}
+        multiple
+        onChange={(e) => {
+          addFiles(e.target.files);
+          e.target.value = "";
+        }}
+        className="hidden"
+      />
+
+      {errors.length > 0 && (
+        <ul className="w-full max-w-sm text-xs text-red-400 space-y-0.5">
+          {errors.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+
+      {/* Gallery */}
+      {images.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-2">
+          {images.map((image, index) => (
+            <div key={image.url} className="relative group">
+              <MenuImage
+                src={image.url}
+                alt={index === 0 ? "Cover image" : `Image ${index + 1}`}
+                className={`w-24 h-[72px] rounded-lg ${index === 0 ? "ring-2 ring-amber-400" : ""}`}
+              />
+              {index === 0 ? (
+                <span className="absolute bottom-1 left-1 px-1.5 rounded bg-amber-500 text-[10px] font-semibold text-gray-900">
+                  Cover
+                </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => makeCover(index)}
+                  className="absolute bottom-1 left-1 p-1 rounded bg-gray-900/80 text-amber-300 opacity-0 group-hover:opacity-100 transition"
+                  aria-label="Use as cover"
+                  title="Use as cover"
+                >
+                  <Star className="w-3 h-3" />
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => removeImage(index)}
+                className="absolute top-1 right-1 p-1 rounded bg-gray-900/80 text-red-400 opacity-0 group-hover:opacity-100 transition"
+                aria-label="Remove image"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {queue.length > 0 && !processing && (
+        <ImageCropper
+          key={queue[0].image.src}
+          image={queue[0].image}
+          aspect={MENU_IMAGE_ASPECT}
+          title={queue[0].file.name}
+          onConfirm={handleCrop}
+          onCancel={nextInQueue}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+/**
+ * @file OptionGroupsFields.jsx
+ * @description AddItem form section for variant groups (e.g. Size S/M/L with
+ * per-variant prices) and add-on modifier groups with selection limits.
+ */
+
+import React from "react";
+import { Plus, X } from "lucide-react";
+import { EMPTY_VARIANT_GROUP, EMPTY_MODIFIER_GROUP, formatPriceRange } from "./menuOptions";
+import { currency } from "../order-manage/orderUtils";
+import FieldError from "../../components/fieldError/FieldError";
+
+const inputClass =
+  "p-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition";
+
+const cloneGroup = (group) => ({ ...group, options: group.options.map((o) => ({ ...o })) });
+
+/**
+ * Editable list of option groups.
+ * @param {string} field - "variantGroups" or "modifierGroups".
+ * @param {Array<object>} groups - Current groups.
+ * @param {Function} onChange - Called with a partial update of the form values.
+ * @param {Function} renderSettings - Extra group controls, given `(group, update)`.
+ * @param {Function} describeOption - Price hint shown next to an option.
+ */
+function GroupList({ field, groups, onChange, renderSettings, describeOption, namePlaceholder, addLabel, emptyGroup }) {
+  const update = (index, patch) => onChange({ [field]: groups.map((g, i) => (i === index ? { ...g, ...patch } : g)) });
+
+  const updateOption = (index, optionIndex, patch) =>
+    update(index, { options: groups[index].options.map((o, i) => (i === optionIndex ? { ...o, ...patch } : o)) });
+
+  return (
+    <div className="space-y-3">
+      {groups.map((group, index) => (
+        <div key={index} className="rounded-lg border border-gray-600 bg-gray-700/40 p-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder={namePlaceholder}
+              value={group.name}
+              onChange={(e) => update(index, { name: e.target.value })}
+              className={`${inputClass} flex-1 text-sm`}
+            />
+            <button
+              type="button"
+              onClick={() => onChange({ [field]: groups.filter((_, i) => i !== index) })}
+              className="p-1.5 rounded-lg text-red-400 hover:text-red-300 hover:bg-red-500/10 transition"
+              aria-label="Remove group"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          {renderSettings?.(group, (patch) => update(index, patch))}
+
+          {group.options.map((option, optionIndex) => (
+            <div key={optionIndex} className="flex items-center gap-2 pl-3">
+              <input
+                type="text"
+                placeholder="Option"
+                value={option.name}
+                onChange={(e) => updateOption(index, optionIndex, { name: e.target.value })}
+                className={`${inputClass} flex-1 text-sm`}
+              />
+              <input
+                type="number"
+                step="0.01"
+                placeholder="0.00"
+                value={option.price}
+                onChange={(e) => updateOption(index, optionIndex, { price: e.target.value })}
+                className={`${inputClass} w-24 text-sm`}
+                aria-label="Price adjustment"
+              />
+              <span className="w-20 text-xs text-gray-400">{describeOption(option)}</span>
+              <button
+                type="button"
+                onClick={() => update(index, { options: group.options.filter((_, i) => i !== optionIndex) })}
+                className="p-1 rounded text-gray-400 hover:text-red-300 transition"
+                aria-label="Remove option"
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => update(index, { options: [...group.options, { name: "", price: 0 }] })}
+            className="flex items-center gap-1 ml-3 text-xs text-amber-300 hover:text-amber-200"
+          >
+            <Plus className="w-3 h-3" /> Add option
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange({ [field]: [...groups, cloneGroup(emptyGroup)] })}
+        className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg text-xs bg-gray-700 hover:bg-gray-600 text-amber-300"
+      >
+        <Plus className="w-3 h-3" /> {addLabel}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * OptionGroupsFields Component
+ *
+ * @component
+ * @param {{ price: string|number, variantGroups: Array<object>, modifierGroups: Array<object> }} values - Form values.
+ * @param {object} errors - Validation messages by field.
+ * @param {Function} onChange - Called with a partial update of the form values.
+ */
+export default function OptionGroupsFields({ values, errors = {}, onChange }) {
+  const basePrice = Number(values.price) || 0;
+
+  return (
+    <div className="space-y-4">
+      {/* Variants */}
+      <div>
+        <label className="block text-amber-400 text-sm font-medium mb-2">Variants</label>
+        <p className="text-gray-400 text-xs mb-2">
+          Customers pick one option per group. Prices are added to the base price.
+        </p>
+        <GroupList
+          field="variantGroups"
+          groups={values.variantGroups}
+          onChange={onChange}
+          namePlaceholder="Group name, e.g. Size"
+          addLabel="Add variant group"
+          emptyGroup={EMPTY_VARIANT_GROUP}
+          describeOption={(option) => `= ${currency(basePrice + (Number(option.price) || 0))}`}
+        />
+        <FieldError message={errors.variantGroups} />
+      </div>
+
+      {/* Modifiers */}
+      <div>
+        <label className="block text-amber-400 text-sm font-medium mb-2">Add-ons</label>
+        <GroupList
+          field="modifierGroups"
+          groups={values.modifierGroups}
+          onChange={onChange}
+          namePlaceholder="Group name, e.g. Extras"
+          addLabel="Add modifier group"
+          emptyGroup={EMPTY_MODIFIER_GROUP}
+          describeOption={(option) => (Number(option.price) ? `+${currency(Number(option.price))}` : "Free")}
+          renderSettings={(group, update) => (
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-300">
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={group.required}
+                  onChange={(e) =>
+                    update({ required: e.target.checked, min: e.target.checked ? Math.max(1, Number(group.min) || 0) : group.min })
+                  }
+                />
+                Required
+              </label>
+              <span className="ml-2">Choose</span>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={group.min}
+                onChange={(e) => update({ min: e.target.value })}
+                className={`${inputClass} w-16`}
+                aria-label="Minimum selections"
+              />
+              to
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={group.max}
+                onChange={(e) => update({ max: e.target.value })}
+                className={`${inputClass} w-16`}
+                aria-label="Maximum selections"
+              />
+            </div>
+          )}
+        />
+        <FieldError message={errors.modifierGroups} />
+      </div>
+
+      {(values.variantGroups.length > 0 || values.modifierGroups.length > 0) && (
+        <p className="text-sm text-gray-300">
+          Price range: <span className="text-amber-300 font-semibold">{formatPriceRange(values)}</span>
+        </p>
+      )}
+    </div>
+  );
+}
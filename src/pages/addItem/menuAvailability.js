@@ -0,0 +1,97 @@
+/**
+ * @file menuAvailability.js
+ * @description Menu item availability: the available/sold-out switch, an
+ * optional stock count and availability windows (time of day, days of the
+ * week and seasonal date ranges). The backend decrements `stock` when an
+ * order is placed; these helpers only read it.
+ *
+ * Window shape: `{ label?, days?: number[], startTime?: "HH:MM", endTime?: "HH:MM",
+ * startDate?: "YYYY-MM-DD", endDate?: "YYYY-MM-DD" }`; omitted parts always match.
+ */
+
+export const LOW_STOCK_THRESHOLD = 5;
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Quick-add windows offered in the AddItem form
+export const WINDOW_PRESETS = {
+  breakfast: { label: "Breakfast only", startTime: "06:00", endTime: "11:00" },
+  lunch: { label: "Lunch only", startTime: "11:00", endTime: "15:00" },
+  weekends: { label: "Weekends only", days: [0, 6] },
+  weekdays: { label: "Weekdays only", days: [1, 2, 3, 4, 5] },
+  seasonal: { label: "Seasonal", startDate: "", endDate: "" },
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Reads the availability fields of a menu item with defaults applied.
+ * Windows may arrive as a JSON string when the backend stores form data as-is.
+ * @param {object} item - Menu item.
+ * @returns {{ available: boolean, stock: number|null, availabilityWindows: Array<object> }}
+ */
+export function normalizeAvailability(item) {
+  let windows = item.availabilityWindows;
+  if (typeof windows === "string") {
+    try {
+      windows = JSON.parse(windows);
+    } catch {
+      windows = [];
+    }
+  }
+  const stock = item.stock === null || item.stock === undefined || item.stock === "" ? null : Number(item.stock);
+  return {
+    available: item.available !== false && item.available !== "false",
+    stock: Number.isFinite(stock) ? stock : null,
+    availabilityWindows: Array.isArray(windows) ? windows : [],
+  };
+}
+
+/**
+ * Whether a date falls inside a window.
+ * Time ranges that end before they start wrap past midnight.
+ * @param {object} window - Availability window.
+ * @param {Date} [date]
+ */
+export function isWithinWindow(window, date = new Date()) {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+  if (window.days?.length && !window.days.includes(date.getDay())) return false;
+  if (window.startDate && day < window.startDate) return false;
+  if (window.endDate && day > window.endDate) return false;
+  if (window.startTime && window.endTime) {
+    return window.startTime <= window.endTime
+      ? time >= window.startTime && time < window.endTime
+      : time >= window.startTime || time < window.endTime;
+  }
+  return true;
+}
+
+/**
+ * Human-readable summary of a window, e.g. "Sat, Sun · 06:00–11:00".
+ * @param {object} window
+ */
+export function describeWindow(window) {
+  const parts = [];
+  if (window.days?.length) parts.push(window.days.map((d) => WEEKDAYS[d]).join(", "));
+  if (window.startTime && window.endTime) parts.push(`${window.startTime}–${window.endTime}`);
+  if (window.startDate || window.endDate) parts.push(`${window.startDate || "…"} to ${window.endDate || "…"}`);
+  return parts.join(" · ") || "Always";
+}
+
+/**
+ * Current availability status of a menu item, for list badges.
+ * @param {object} item - Menu item.
+ * @param {Date} [now]
+ * @returns {{ key: "available"|"low_stock"|"sold_out"|"out_of_stock"|"scheduled", label: string, tone: string }}
+ */
+export function getAvailability(item, now = new Date()) {
+  const { available, stock, availabilityWindows } = normalizeAvailability(item);
+  if (!available) return { key: "sold_out", label: "Sold out", tone: "red" };
+  if (stock === 0) return { key: "out_of_stock", label: "Out of stock", tone: "red" };
+  if (availabilityWindows.length && !availabilityWindows.some((w) => isWithinWindow(w, now)))
+    return { key: "scheduled", label: "Not available now", tone: "gray" };
+  if (stock !== null && stock <= LOW_STOCK_THRESHOLD) return { key: "low_stock", label: `Only ${stock} left`, tone: "amber" };
+  return { key: "available", label: "Available", tone: "green" };
+}
@@ -0,0 +1,53 @@
+/**
+ * @file menuImages.js
+ * @description Menu item image rules and the gallery upload contract.
+ *
+ * An item has a cover (`image`, shown on menu cards) and optional gallery
+ * images (`images`). Uploads are sent as:
+ * - `gallery`: JSON array in display order, cover first. Each entry is either
+ *   the URL of an image to keep or `"upload:N"` for the Nth `images` file.
+ * - `images`: newly uploaded files.
+ * - `image`: the cover file again when the cover is new, for backends that
+ *   only read a single image.
+ */
+
+// Menu cards are 4:3
+export const MENU_IMAGE_ASPECT = 4 / 3;
+
+export const MENU_IMAGE_RULES = {
+  types: ["image/jpeg", "image/png", "image/webp"],
+  maxBytes: 10 * 1024 * 1024,
+  minWidth: 600,
+  minHeight: 450,
+};
+
+// Encoded output: WebP, at most 1200px wide
+export const MENU_IMAGE_OUTPUT = { maxWidth: 1200, quality: 0.82 };
+
+export const MAX_GALLERY_IMAGES = 6;
+
+/**
+ * Reads the images of a menu item, cover first.
+ * @param {object} item - Menu item.
+ * @returns {Array<{ url: string }>}
+ */
+export function normalizeImages(item) {
+  const urls = [item.image, ...(Array.isArray(item.images) ? item.images : [])].filter(Boolean);
+  return [...new Set(urls)].map((url) => ({ url }));
+}
+
+/**
+ * Adds gallery images to a menu item request.
+ * @param {FormData} data - Request body.
+ * @param {Array<{ url?: string, file?: File }>} images - Gallery in display order, cover first.
+ */
+export function appendGallery(data, images) {
+  let uploads = 0;
+  const gallery = images.map((image) => {
+    if (!image.file) return image.url;
+    data.append("images", image.file);
+    return `upload:${uploads++}`;
+  });
+  data.append("gallery", JSON.stringify(gallery));
+  if (images[0]?.file) data.append("image", images[0].file);
+}
@@ -0,0 +1,102 @@
+/**
+ * @file menuItemRules.js
+ * @description Validation schema for menu items, shared by the AddItem form
+ * and the bulk importer so both accept exactly the same data.
+ */
+
+import { required, maxLength, number, oneOf, pattern, isBlank, validate } from "../../utils/validation";
+
+export const NAME_MAX_LENGTH = 80;
+export const DESCRIPTION_MAX_LENGTH = 500;
+
+/**
+ * Checks one availability window.
+ * @returns {string} Error message, or "" when valid.
+ */
+const validateWindow = (window) => {
+  const hasTime = window.startTime || window.endTime;
+  if (!window.days?.length && !hasTime && !window.startDate && !window.endDate)
+    return "Each availability window needs days, a time range or dates";
+  if (hasTime && (!window.startTime || !window.endTime)) return "Availability times need both a start and an end";
+  if (hasTime && window.startTime === window.endTime) return "Availability start and end times must differ";
+  if (window.startDate && window.endDate && window.startDate > window.endDate)
+    return "Availability end date must be on or after the start date";
+  return "";
+};
+
+/**
+ * Checks the options of a variant or modifier group.
+ * @returns {string} Error message, or "" when valid.
+ */
+const validateGroupOptions = (group, kind) => {
+  if (isBlank(group.name)) return `Each ${kind} group needs a name`;
+  if (!group.options?.length) return `${kind[0].toUpperCase()}${kind.slice(1)} group "${group.name}" needs at least one option`;
+  if (group.options.some((o) => isBlank(o.name))) return `Every option in "${group.name}" needs a name`;
+  if (group.options.some((o) => !Number.isFinite(Number(o.price)))) return `Option prices in "${group.name}" must be numbers`;
+  return "";
+};
+
+/**
+ * Checks one modifier group's prices and selection limits.
+ * @returns {string} Error message, or "" when valid.
+ */
+const validateModifierGroup = (group) => {
+  const optionError = validateGroupOptions(group, "modifier");
+  if (optionError) return optionError;
+  if (group.options.some((o) => Number(o.price) < 0)) return `Add-on prices in "${group.name}" cannot be negative`;
+  const min = Number(group.min);
+  const max = Number(group.max);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1)
+    return `"${group.name}" needs whole-number limits with a maximum of at least 1`;
+  if (min > max) return `"${group.name}" minimum cannot be more than its maximum`;
+  if (max > group.options.length) return `"${group.name}" maximum cannot be more than its ${group.options.length} options`;
+  if (group.required && min < 1) return `"${group.name}" is required, so its minimum must be at least 1`;
+  return "";
+};
+
+// Custom rules for the structured fields; each returns the first problem found
+const windowsRule = (windows) => (windows || []).map(validateWindow).find(Boolean) || "";
+
+const variantGroupsRule = (groups, values) => {
+  const optionError = (groups || []).map((group) => validateGroupOptions(group, "variant")).find(Boolean);
+  if (optionError || !groups?.length) return optionError || "";
+  // The cheapest variant combination must still cost something
+  const price = Number(values.price);
+  if (!Number.isFinite(price) || price <= 0) return "";
+  const cheapest = groups.reduce((sum, g) => sum + Math.min(...g.options.map((o) => Number(o.price))), price);
+  return cheapest <= 0 ? "The cheapest variant must cost more than 0" : "";
+};
+
+const modifierGroupsRule = (groups) => (groups || []).map(validateModifierGroup).find(Boolean) || "";
+
+/**
+ * Menu item schema. Validate with `{ categoryNames }` (known categories,
+ * from useCategories) as the context.
+ */
+export const menuItemSchema = {
+  name: [required("Name is required"), maxLength(NAME_MAX_LENGTH, `Name must be at most ${NAME_MAX_LENGTH} characters`)],
+  description: [
+    maxLength(DESCRIPTION_MAX_LENGTH, `Description must be at most ${DESCRIPTION_MAX_LENGTH} characters`),
+  ],
+  category: [
+    required("Category is required"),
+    oneOf((context) => context.categoryNames, (names) => `Category must be one of ${names.join(", ")}`),
+  ],
+  price: [required("Price is required"), number({ greaterThan: 0 }, "Price must be a number greater than 0")],
+  rating: [number({ min: 0, max: 5, integer: true }, "Rating must be a whole number from 0 to 5")],
+  popularity: [number({ min: 0, integer: true }, "Popularity must be a whole number of 0 or more")],
+  stock: [number({ min: 0, integer: true }, "Stock must be a whole number of 0 or more")],
+  availabilityWindows: [windowsRule],
+  variantGroups: [variantGroupsRule],
+  modifierGroups: [modifierGroupsRule],
+  imageUrl: [pattern(/^https?:\/\/\S+$/i, "Image URL must start with http:// or https://")],
+};
+
+/**
+ * Validates menu item values.
+ * @param {object} values - `{ name, description, category, price, rating, popularity, stock?,
+ *   availabilityWindows?, variantGroups?, modifierGroups?, imageUrl? }`.
+ * @param {Array<string>} categoryNames - Known categories (from useCategories).
+ * @returns {object} `{ field: message }` for every invalid field; empty when valid.
+ */
+export const validateMenuItem = (values, categoryNames) => validate(menuItemSchema, values, { categoryNames });
@@ -0,0 +1,114 @@
+/**
+ * @file menuOptions.js
+ * @description Variant and modifier groups for menu items.
+ *
+ * - Variant group: the customer picks exactly one option, e.g. Size S/M/L.
+ *   Option prices are adjustments to the item's base `price`, so several
+ *   variant groups (size, crust) combine.
+ * - Modifier group: optional or required add-ons with paid extras and
+ *   min/max selection limits, e.g. "Extras: cheese +$1, bacon +$2 (max 3)".
+ *
+ * Group shapes:
+ * `{ name, options: [{ name, price }] }` and
+ * `{ name, required, min, max, options: [{ name, price }] }`.
+ */
+
+import { currency } from "../order-manage/orderUtils";
+
+export const EMPTY_VARIANT_GROUP = { name: "", options: [{ name: "", price: 0 }] };
+export const EMPTY_MODIFIER_GROUP = { name: "", required: false, min: 0, max: 1, options: [{ name: "", price: 0 }] };
+
+const parseGroups = (value) => {
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+};
+
+/**
+ * Reads the option groups of a menu item. Groups may arrive as JSON strings
+ * when the backend stores form data as-is.
+ * @param {object} item - Menu item.
+ * @returns {{ variantGroups: Array<object>, modifierGroups: Array<object> }}
+ */
+export const normalizeOptions = (item) => ({
+  variantGroups: parseGroups(item.variantGroups),
+  modifierGroups: parseGroups(item.modifierGroups),
+});
+
+const cleanOptions = (options = []) => options.map((o) => ({ name: String(o.name || "").trim(), price: Number(o.price) || 0 }));
+
+/**
+ * Option groups as sent to the API: trimmed names and numeric prices/limits.
+ * @param {{ variantGroups: Array<object>, modifierGroups: Array<object> }} values - Form values.
+ */
+export const cleanOptionGroups = ({ variantGroups, modifierGroups }) => ({
+  variantGroups: variantGroups.map((g) => ({ name: String(g.name || "").trim(), options: cleanOptions(g.options) })),
+  modifierGroups: modifierGroups.map((g) => ({
+    name: String(g.name || "").trim(),
+    required: Boolean(g.required),
+    min: Number(g.min) || 0,
+    max: Number(g.max) || 0,
+    options: cleanOptions(g.options),
+  })),
+});
+
+const optionPrices = (group) => group.options.map((o) => Number(o.price) || 0).sort((a, b) => a - b);
+
+/**
+ * Cheapest and most expensive configuration of an item.
+ * Required modifiers count toward the minimum; every modifier group can add
+ * up to `max` of its most expensive options.
+ * @param {object} item - Menu item.
+ * @returns {{ min: number, max: number }}
+ */
+export function getPriceRange(item) {
+  const base = Number(item.price) || 0;
+  const { variantGroups, modifierGroups } = normalizeOptions(item);
+  let min = base;
+  let max = base;
+
+  variantGroups.filter((g) => g.options?.length).forEach((group) => {
+    const prices = optionPrices(group);
+    min += prices[0];
+    max += prices[prices.length - 1];
+  });
+
+  modifierGroups.filter((g) => g.options?.length).forEach((group) => {
+    const prices = optionPrices(group);
+    const minCount = Math.max(Number(group.min) || 0, group.required ? 1 : 0);
+    const maxCount = Math.min(Number(group.max) || prices.length, prices.length);
+    min += prices.slice(0, minCount).reduce((sum, p) => sum + p, 0);
+    max += prices.slice(-maxCount).reduce((sum, p) => sum + p, 0);
+  });
+
+  return { min, max };
+}
+
+/** Whether options make the item's price vary. */
+export const hasPriceRange = (item) => {
+  const { min, max } = getPriceRange(item);
+  return min !== max;
+};
+
+/**
+ * Formats the price range, e.g. "$9.00" or "$9.00 – $17.00".
+ * @param {object} item - Menu item.
+ */
+export function formatPriceRange(item) {
+  const { min, max } = getPriceRange(item);
+  return min === max ? currency(min) : `${currency(min)} – ${currency(max)}`;
+}
+
+/**
+ * One-line summary of a group, e.g. "Size: S, M (+$3.00), L (+$6.00)".
+ * @param {object} group - Variant or modifier group.
+ */
+export const describeGroup = (group) =>
+  `${group.name}: ${group.options
+    .map((o) => (Number(o.price) ? `${o.name} (${Number(o.price) > 0 ? "+" : ""}${currency(Number(o.price))})` : o.name))
+    .join(", ")}`;
@@ -0,0 +1,239 @@
+/**
+ * @file AuditLog.jsx
+ * @description Owner screen listing every recorded admin action: who did
+ * what to which order, menu item, category, message or staff account, with
+ * the values before and after. Filters live in the query string, and events
+ * still queued in this browser are shown until the backend has them.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import { RefreshCw, CloudOff } from "lucide-react";
+import { fetchAuditLog } from "../../api/audit";
+import { AUDIT_ENTITIES, getPendingAuditEvents, flushAuditQueue } from "../../utils/auditLog";
+import { useAuth } from "../../context/auth/useAuth";
+import ExportMenu from "../../components/exportMenu/ExportMenu";
+import Pagination from "../../components/pagination/Pagination";
+import { exportSheets } from "../../utils/exporter";
+import { paginate } from "../../utils/pagination";
+import {
+  readAuditFilters,
+  filterAuditEvents,
+  distinctActors,
+  actionLabel,
+  actorName,
+  describeChanges,
+  AUDIT_COLUMNS,
+} from "./auditFilters";
+
+const inputClass =
+  "p-2 rounded-lg bg-gray-700 border border-gray-600 text-white text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500";
+
+const formatDate = (d) =>
+  d ? new Date(d).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "—";
+
+const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+export default function AuditLogPage() {
+  const { can } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [pending, setPending] = useState(getPendingAuditEvents);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readAuditFilters(searchParams), [searchParams]);
+
+  /**
+   * Sends queued events first, then loads the stored log.
+   */
+  const loadLog = async () => {
+    try {
+      setLoading(true);
+      await flushAuditQueue();
+      setPending(getPendingAuditEvents());
+      setEvents(await fetchAuditLog());
+      setError("");
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+      setError(err.message || "Failed to load the audit log");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLog();
+  }, []);
+
+  // Stored events plus the ones not synced yet
+  const allEvents = useMemo(() => {
+    const stored = new Set(events.map((e) => e.id));
+    return [...events, ...pending.filter((e) => !stored.has(e.id)).map((e) => ({ ...e, pending: true }))].sort(byNewest);
+  }, [events, pending]);
+
+  const actors = useMemo(() => distinctActors(allEvents), [allEvents]);
+  const filtered = useMemo(() => filterAuditEvents(allEvents, filters), [allEvents, filters]);
+  const { rows, page, pageCount } = paginate(filtered, filters.page, filters.pageSize);
+
+  /**
+   * Writes filter changes to the query string; any change but paging returns to page 1.
+   * @param {object} patch - Partial filter update; empty values are removed.
+   */
+  const updateFilters = (patch) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === "" || value === null || value === undefined) next.delete(key);
+      else next.set(key, value);
+    });
+    if (!("page" in patch)) next.delete("page");
+    setSearchParams(next, { replace: true });
+  };
+
+  const exportLog = (format) =>
+    exportSheets([{ name: "Audit log", columns: AUDIT_COLUMNS, rows: filtered }], { format, filename: "Audit_Log" });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-gray-800/90 backdrop-blur-sm border border-gray-700 p-8 rounded-xl shadow-lg">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h1 className="text-2xl font-bold text-amber-400">Audit Log</h1>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={loadLog}
+                disabled={loading}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} /> Refresh
+              </button>
+              {can("data.export") && <ExportMenu onExport={exportLog} disabled={!filtered.length} />}
+            </div>
+          </div>
+
+          {pending.length > 0 && (
+            <p className="flex items-center gap-2 mb-4 text-sm text-amber-200 bg-amber-900/40 border border-amber-700 rounded-lg p-3">
+              <CloudOff className="w-4 h-4 shrink-0" />
+              {pending.length} {pending.length === 1 ? "event is" : "events are"} waiting to be sent from this
+              browser. They are sent automatically when the connection is back.
+            </p>
+          )}
+
+          {/* Filters */}
+          <div className="flex flex-wrap items-end gap-2 mb-6">
+            <select value={filters.actor} onChange={(e) => updateFilters({ actor: e.target.value })} className={inputClass}>
+              <option value="">All users</option>
+              {actors.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <select value={filters.type} onChange={(e) => updateFilters({ type: e.target.value })} className={inputClass}>
+              <option value="">All entities</option>
+              {Object.entries(AUDIT_ENTITIES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label className="text-xs text-gray-400">
+              From
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilters({ from: e.target.value })}
+                className={`${inputClass} block mt-1`}
+              />
+            </label>
+            <label className="text-xs text-gray-400">
+              To
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilters({ to: e.target.value })}
+                className={`${inputClass} block mt-1`}
+              />
+            </label>
+            <input
+              type="search"
+              value={filters.q}
+              onChange={(e) => updateFilters({ q: e.target.value })}
+              placeholder="Search name or id"
+              className={`${inputClass} flex-1 min-w-[160px]`}
+            />
+            <button
+              onClick={() => setSearchParams({}, { replace: true })}
+              className="px-3 py-2 rounded-lg text-xs text-amber-300 hover:bg-gray-700"
+            >
+              Reset
+            </button>
+          </div>
+
+          {error && <p className="mb-4 text-sm text-red-300">{error}</p>}
+
+          {loading && !allEvents.length ? (
+            <div className="text-center text-white py-12">Loading...</div>
+          ) : !filtered.length ? (
+            <div className="text-center text-gray-400 py-12">No audit events match these filters</div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="min-w-[900px] w-full text-left text-sm">
+                  <thead>
+                    <tr className="text-amber-400 border-b border-gray-600">
+                      <th className="py-3 pr-3 font-medium">Time</th>
+                      <th className="py-3 pr-3 font-medium">User</th>
+                      <th className="py-3 pr-3 font-medium">Action</th>
+                      <th className="py-3 pr-3 font-medium">Entity</th>
+                      <th className="py-3 font-medium">Changes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((event) => (
+                      <tr key={event.id} className="border-b border-gray-700/50 align-top">
+                        <td className="py-3 pr-3 text-gray-300 whitespace-nowrap">
+                          {formatDate(event.createdAt)}
+                          {event.pending && <div className="text-xs text-amber-400">Not synced</div>}
+                        </td>
+                        <td className="py-3 pr-3">
+                          <div className="text-white">{actorName(event)}</div>
+                          {event.actor?.role && <div className="text-xs text-gray-400 capitalize">{event.actor.role}</div>}
+                        </td>
+                        <td className="py-3 pr-3 text-gray-200">{actionLabel(event.action)}</td>
+                        <td className="py-3 pr-3">
+                          <div className="text-gray-200">{event.label || event.entityId || "—"}</div>
+                          <div className="text-xs text-gray-400">{AUDIT_ENTITIES[event.entityType] || event.entityType}</div>
+                        </td>
+                        <td className="py-3 text-xs text-gray-300">
+                          {describeChanges(event).map((line, idx) => (
+                            <div key={idx} className="break-all">
+                              {line}
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <Pagination
+                page={page}
+                pageCount={pageCount}
+                pageSize={filters.pageSize}
+                total={filtered.length}
+                onPageChange={(next) => updateFilters({ page: next })}
+                onPageSizeChange={(size) => updateFilters({ pageSize: size })}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+/**
+ * @file auditFilters.js
+ * @description Pure helpers for the audit log page: filter state in the
+ * query string, filtering, readable change summaries and export columns.
+ */
+
+import { PAGE_SIZES, DEFAULT_PAGE_SIZE } from "../../utils/pagination";
+import { AUDIT_ENTITIES } from "../../utils/auditLog";
+
+// Keyed by the full action or by its verb ("order.status" -> "status");
+// categories have no trash, so their deletes are final
+const ACTION_LABELS = {
+  "category.delete": "Deleted",
+  create: "Created",
+  update: "Updated",
+  delete: "Moved to Trash",
+  purge: "Deleted permanently",
+  status: "Changed status",
+  availability: "Changed availability",
+  import: "Imported",
+  restore: "Restored from Trash",
+  backupRestore: "Restored from backup",
+  move: "Reordered",
+  reply: "Replied",
+  invite: "Invited",
+};
+
+/** Readable action, e.g. "Changed status". */
+export const actionLabel = (action = "") => {
+  const verb = action.split(".").pop();
+  return ACTION_LABELS[action] || ACTION_LABELS[verb] || verb;
+};
+
+/** Name (or email) of the user who made the change. */
+export const actorName = (event) => event.actor?.name || event.actor?.email || "Unknown";
+
+/** Local calendar day of a timestamp, as `YYYY-MM-DD`. */
+const toDay = (value) => {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+/**
+ * Reads the audit filters from the query string.
+ * @param {URLSearchParams} params
+ * @returns {{ actor: string, type: string, from: string, to: string, q: string, page: number, pageSize: number }}
+ */
+export function readAuditFilters(params) {
+  const pageSize = Number(params.get("pageSize"));
+  return {
+    actor: params.get("actor") || "",
+    type: AUDIT_ENTITIES[params.get("type")] ? params.get("type") : "",
+    from: params.get("from") || "",
+    to: params.get("to") || "",
+    q: params.get("q") || "",
+    page: Math.max(1, Number(params.get("page")) || 1),
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_PAGE_SIZE,
+  };
+}
+
+/**
+ * Filters events by actor, entity type, day range and free text.
+ * @param {Array<object>} events
+ * @param {object} filters - State from readAuditFilters; empty values match everything.
+ */
+export function filterAuditEvents(events, { actor, type, from, to, q }) {
+  const search = q.trim().toLowerCase();
+  return events.filter((event) => {
+    if (actor && actorName(event) !== actor) return false;
+    if (type && event.entityType !== type) return false;
+    const day = toDay(event.createdAt);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (!search) return true;
+    return [event.label, event.entityId, event.action, actorName(event)]
+      .some((value) => String(value || "").toLowerCase().includes(search));
+  });
+}
+
+/** Distinct actor names, sorted, for the filter. */
+export const distinctActors = (events) => [...new Set(events.map(actorName))].sort((a, b) => a.localeCompare(b));
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * One line per changed field: "field: old → new" for updates, or the
+ * recorded values of created and deleted records.
+ * @param {object} event
+ * @returns {Array<string>}
+ */
+export function describeChanges({ before, after }) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys.map((key) => {
+    if (before && after && key in before && key in after)
+      return `${key}: ${formatValue(before[key])} → ${formatValue(after[key])}`;
+    return `${key}: ${formatValue((after && key in after ? after : before)[key])}`;
+  });
+}
+
+// Export columns
+export const AUDIT_COLUMNS = [
+  { header: "Time", value: (e) => e.createdAt, type: "date", width: 20 },
+  { header: "User", value: actorName, width: 22 },
+  { header: "Email", value: (e) => e.actor?.email, width: 26 },
+  { header: "Role", value: (e) => e.actor?.role, width: 12 },
+  { header: "Action", value: (e) => e.action, width: 22 },
+  { header: "Entity Type", value: (e) => AUDIT_ENTITIES[e.entityType] || e.entityType, width: 16 },
+  { header: "Entity", value: (e) => e.label, width: 26 },
+  { header: "Entity ID", value: (e) => e.entityId, width: 26 },
+  { header: "Changes", value: (e) => describeChanges(e).join("\n"), width: 50 },
+  { header: "Before", value: (e) => (e.before ? JSON.stringify(e.before) : ""), width: 40 },
+  { header: "After", value: (e) => (e.after ? JSON.stringify(e.after) : ""), width: 40 },
+];
@@ -0,0 +1,303 @@
+/**
+ * @file Categories.jsx
+ * @description Admin screen for menu categories: create, rename, reorder,
+ * hide and delete categories, each with an icon and description. Renaming a
+ * category moves its items to the new name; deleting one that still has items
+ * asks where to move them.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { ArrowUp, ArrowDown, Pencil, Trash2, Eye, EyeOff, Plus, Check, X } from "lucide-react";
+import { useCategories } from "../../context/categories/useCategories";
+import { fetchMenuItems } from "../../api/menu";
+
+const inputClass =
+  "p-2 rounded-lg bg-gray-700 border border-gray-600 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition";
+
+const iconButtonClass =
+  "p-1.5 rounded-lg text-amber-400 hover:text-amber-300 hover:bg-amber-500/10 transition disabled:opacity-30 disabled:cursor-not-allowed";
+
+const EMPTY_CATEGORY = { icon: "", name: "", description: "", hidden: false };
+
+/**
+ * Icon, name and description inputs shared by the add form and inline editing.
+ */
+function CategoryFields({ values, onChange }) {
+  return (
+    <>
+      <input
+        type="text"
+        placeholder="🍕"
+        maxLength={4}
+        value={values.icon}
+        onChange={(e) => onChange({ ...values, icon: e.target.value })}
+        className={`${inputClass} w-14 text-center`}
+        aria-label="Icon"
+      />
+      <input
+        type="text"
+        placeholder="Category name"
+        value={values.name}
+        onChange={(e) => onChange({ ...values, name: e.target.value })}
+        className={`${inputClass} w-40`}
+        aria-label="Name"
+      />
+      <input
+        type="text"
+        placeholder="Description"
+        value={values.description}
+        onChange={(e) => onChange({ ...values, description: e.target.value })}
+        className={`${inputClass} flex-1 min-w-[160px]`}
+        aria-label="Description"
+      />
+    </>
+  );
+}
+
+export default function CategoriesPage() {
+  const { categories, loading, error, isFallback, addCategory, saveCategory, moveCategory, removeCategory } =
+    useCategories();
+  const [items, setItems] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_CATEGORY);
+  const [editing, setEditing] = useState(null); // { _id, ...values }
+  const [deleting, setDeleting] = useState(null); // { category, moveTo }
+  const [busy, setBusy] = useState(false);
+
+  // Item counts per category
+  const loadItems = async () => {
+    try {
+      setItems(await fetchMenuItems());
+    } catch (err) {
+      console.error("Error fetching items:", err);
+    }
+  };
+
+  useEffect(() => {
+    loadItems();
+  }, []);
+
+  const counts = useMemo(() => {
+    const map = {};
+    items.forEach((item) => {
+      map[item.category] = (map[item.category] || 0) + 1;
+    });
+    return map;
+  }, [items]);
+
+  /**
+   * Checks a name for emptiness and duplicates (case-insensitive).
+   * @returns {string} Error message, or "" when valid.
+   */
+  const nameError = (name, exceptId) => {
+    const trimmed = name.trim();
+    if (!trimmed) return "Name is required";
+    if (categories.some((c) => c._id !== exceptId && c.name.toLowerCase() === trimmed.toLowerCase()))
+      return `A category named "${trimmed}" already exists`;
+    return "";
+  };
+
+  /**
+   * Runs a category action, reporting errors and refreshing item counts.
+   */
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error("Category error:", err);
+      alert(err.message || "Category update failed");
+      return false;
+    } finally {
+      setBusy(false);
+      loadItems();
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const problem = nameError(draft.name);
+    if (problem) return alert(problem);
+    const ok = await run(() => addCategory({ ...draft, name: draft.name.trim() }));
+    if (ok) setDraft(EMPTY_CATEGORY);
+  };
+
+  const handleSave = async (category) => {
+    const problem = nameError(editing.name, category._id);
+    if (problem) return alert(problem);
+    const { icon, name, description } = editing;
+    const renamed = name.trim() !== category.name;
+    if (renamed && counts[category.name] &&
+      !window.confirm(`Rename "${category.name}" to "${name.trim()}"? ${counts[category.name]} items will be moved.`))
+      return;
+    const ok = await run(() => saveCategory(category, { icon, name: name.trim(), description }));
+    if (ok) setEditing(null);
+  };
+
+  const handleDelete = async () => {
+    const { category, moveTo } = deleting;
+    if (counts[category.name] && !moveTo) return alert("Choose where to move the items first");
+    const ok = await run(() => removeCategory(category, moveTo));
+    if (ok) setDeleting(null);
+  };
+
+  const readOnly = isFallback || busy;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-gray-800/90 backdrop-blur-sm border border-gray-700 p-8 rounded-xl shadow-lg">
+          <h1 className="text-2xl font-bold text-amber-400 text-center mb-8">Menu Categories</h1>
+
+          {isFallback && !loading && (
+            <p className="mb-6 text-sm text-amber-200 bg-amber-900/40 border border-amber-700 rounded-lg p-3">
+              The categories service is unavailable{error ? ` (${error})` : ""}. Showing the built-in
+              categories read-only.
+            </p>
+          )}
+
+          {/* Add category */}
+          <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 mb-8">
+            <CategoryFields values={draft} onChange={setDraft} />
+            <button
+              type="submit"
+              disabled={readOnly}
+              className="flex items-center gap-1 px-4 py-2 rounded-lg text-sm font-semibold bg-orange-600 hover:bg-orange-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4" /> Add
+            </button>
+          </form>
+
+          {loading ? (
+            <div className="text-center text-white py-12">Loading...</div>
+          ) : (
+            <ul className="divide-y divide-gray-700">
+              {categories.map((category, idx) => {
+                const count = counts[category.name] || 0;
+                const isEditing = editing?._id === category._id && !isFallback;
+                const isDeleting = deleting?.category._id === category._id;
+
+                return (
+                  <li key={category._id || category.name} className="py-3">
+                    <div className={`flex flex-wrap items-center gap-3 ${category.hidden ? "opacity-60" : ""}`}>
+                      {/* Order */}
+                      <div className="flex flex-col">
+                        <button
+                          onClick={() => run(() => moveCategory(category._id, -1))}
+                          disabled={readOnly || idx === 0}
+                          className={iconButtonClass}
+                          aria-label="Move up"
+                        >
+                          <ArrowUp className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => run(() => moveCategory(category._id, 1))}
+                          disabled={readOnly || idx === categories.length - 1}
+                          className={iconButtonClass}
+                          aria-label="Move down"
+                        >
+                          <ArrowDown className="w-3.5 h-3.5" />
+                        </button>
+                      </div>
+
+                      {isEditing ? (
+                        <>
+                          <CategoryFields values={editing} onChange={setEditing} />
+                          <button onClick={() => handleSave(category)} disabled={busy} className={iconButtonClass} title="Save">
+                            <Check className="w-4 h-4" />
+                          </button>
+                          <button onClick={() => setEditing(null)} className={iconButtonClass} title="Cancel">
+                            <X className="w-4 h-4" />
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <span className="w-8 text-center text-xl">{category.icon}</span>
+                          <div className="flex-1 min-w-[160px]">
+                            <div className="text-white font-medium">
+                              {category.name}
+                              {category.hidden && <span className="ml-2 text-xs text-gray-400">Hidden</span>}
+                            </div>
+                            {category.description && <div className="text-gray-400 text-sm">{category.description}</div>}
+                          </div>
+                          <span className="text-gray-400 text-sm w-16 text-right">{count} items</span>
+                          <button
+                            onClick={() => run(() => saveCategory(category, { hidden: !category.hidden }))}
+                            disabled={readOnly}
+                            className={iconButtonClass}
+                            title={category.hidden ? "Show on menu" : "Hide from menu"}
+                          >
+                            {category.hidden ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                          </button>
+                          <button
+                            onClick={() => setEditing({ _id: category._id, icon: category.icon || "", name: category.name, description: category.description || "" })}
+                            disabled={readOnly}
+                            className={iconButtonClass}
+                            title="Edit"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => setDeleting({ category, moveTo: "" })}
+                            disabled={readOnly}
+                            className="p-1.5 rounded-lg text-red-400 hover:text-red-300 hover:bg-red-500/10 transition disabled:opacity-30 disabled:cursor-not-allowed"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+
+                    {/* Delete confirmation */}
+                    {isDeleting && (
+                      <div className="mt-3 ml-10 flex flex-wrap items-center gap-2 text-sm text-gray-200 bg-red-900/20 border border-red-800/60 rounded-lg p-3">
+                        {count ? (
+                          <>
+                            Move {count} items to
+                            <select
+                              value={deleting.moveTo}
+                              onChange={(e) => setDeleting({ ...deleting, moveTo: e.target.value })}
+                              className={inputClass}
+                            >
+                              <option value="">Choose category</option>
+                              {categories
+                                .filter((c) => c._id !== category._id)
+                                .map((c) => (
+                                  <option key={c._id} value={c.name}>
+                                    {c.name}
+                                  </option>
+                                ))}
+                            </select>
+                            and delete "{category.name}"?
+                          </>
+                        ) : (
+                          <>Delete "{category.name}"?</>
+                        )}
+                        <button
+                          onClick={handleDelete}
+                          disabled={busy}
+                          className="ml-auto px-3 py-1.5 rounded-lg text-xs bg-red-700 hover:bg-red-600 text-white disabled:opacity-50"
+                        >
+                          Delete
+                        </button>
+                        <button onClick={() => setDeleting(null)} className="px-3 py-1.5 rounded-lg text-xs text-gray-300 hover:text-white">
+                          Cancel
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,138 +1,196 @@
-import React, { useState, useEffect } from "react";
-import { FaTrashAlt, FaFileExcel } from "react-icons/fa";
-import * as XLSX from "xlsx";
-
-// Helper for file download
-const downloadFile = (blob, filename) => {
-  const url = window.URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  window.URL.revokeObjectURL(url);
-};
-
-// Detect environment for API URLs
-const BASE_URL =
-  import.meta.env.VITE_API_BASE_URL ||
-  "https://1e20a7ed-cc85-497b-b510-b41debc2f036-00-1p28dt788ywz9.pike.replit.dev";
-
-const CONTACT_API = `${BASE_URL}/api/contact`;
+import React, { useMemo, useEffect, useRef } from "react";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
+import { FaTrashAlt } from "react-icons/fa";
+import ExportMenu from "../../components/exportMenu/ExportMenu";
+import { exportSheets } from "../../utils/exporter";
+import { useContacts } from "../../context/contacts/useContacts";
+import { useAuth } from "../../context/auth/useAuth";
+import useUndoToast from "../../hooks/useUndoToast";
+import {
+  CONTACT_STATUSES,
+  getContactStatus,
+  isUnread,
+  filterContacts,
+  distinctValues,
+  readContactFilters,
+} from "./contactInbox";
+import ContactDetail from "./ContactDetail";
+
+// Export columns
+const CONTACT_COLUMNS = [
+  { header: "ID", value: (c) => c._id, width: 26 },
+  { header: "Name", value: (c) => c.fullName, width: 22 },
+  { header: "Email", value: (c) => c.emailAddress, width: 26 },
+  { header: "Phone", value: (c) => c.phoneNumber, width: 16 },
+  { header: "Address", value: (c) => c.address, width: 30 },
+  { header: "Dish", value: (c) => c.dishName, width: 20 },
+  { header: "Message", value: (c) => c.query, width: 40 },
+  { header: "Status", value: (c) => CONTACT_STATUSES[getContactStatus(c)].label, width: 14 },
+  { header: "Assignee", value: (c) => c.assignee, width: 20 },
+  { header: "Notes", value: (c) => (c.notes || []).map((n) => `${n.author}: ${n.text}`).join("\n"), width: 40 },
+  { header: "Replies", value: (c) => (c.replies || []).length, type: "number" },
+  { header: "Created", value: (c) => c.createdAt, type: "date", width: 18 },
+];
 
 const formatDate = (d) =>
   d ? new Date(d).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "—";
 
+const selectClass =
+  "px-3 py-2 rounded-lg bg-amber-900/40 border border-amber-800/60 text-amber-100 text-xs sm:text-sm focus:outline-none focus:ring-2 focus:ring-amber-500";
+
 export default function ContactManagement() {
-  const [contacts, setContacts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { contacts, loading, error, saveContact, removeContact, restoreContact } = useContacts();
+  const { can } = useAuth();
+  const offerUndo = useUndoToast();
+  const canDelete = can("contacts.delete");
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readContactFilters(searchParams), [searchParams]);
 
-  // Helper: safe JSON parse
-  async function parseJsonSafely(response) {
-    const text = await response.text();
-    try {
-      return JSON.parse(text);
-    } catch {
-      throw new Error("Invalid server response (not JSON).");
-    }
-  }
+  // Detail view lives at /contacts/:id (filters are kept in the query string)
+  const { id: openId } = useParams();
+  const navigate = useNavigate();
+  const open = (id) => navigate({ pathname: `/contacts/${id}`, search: searchParams.toString() });
+  const close = () => navigate({ pathname: "/contacts", search: searchParams.toString() });
 
-  // Fetch contacts
+  const visible = useMemo(() => filterContacts(contacts, filters), [contacts, filters]);
+  const dishes = useMemo(() => distinctValues(contacts, "dishName"), [contacts]);
+  const assignees = useMemo(() => distinctValues(contacts, "assignee"), [contacts]);
+  const openContact = contacts.find((c) => c._id === openId) || null;
+
+  // Message counts per status, for the filter tabs
+  const statusCounts = useMemo(() => {
+    const counts = Object.fromEntries(Object.keys(CONTACT_STATUSES).map((key) => [key, 0]));
+    contacts.forEach((c) => (counts[getContactStatus(c)] += 1));
+    return counts;
+  }, [contacts]);
+
+  /**
+   * Writes filter changes to the query string; empty values are removed.
+   * @param {object} patch - Partial `{ status, dish, assignee, search }` update.
+   */
+  const updateFilter = (patch) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(patch).forEach(([key, value]) => {
+      const param = key === "search" ? "q" : key;
+      if (value) next.set(param, value);
+      else next.delete(param);
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  // Opening a new message marks it as read (once, so a failed save is not retried in a loop)
+  const markedRead = useRef(new Set());
   useEffect(() => {
-    async function fetchContacts() {
-      setLoading(true);
-      setError(null);
-      try {
-        const res = await fetch(CONTACT_API, {
-          headers: { "Content-Type": "application/json" },
-        });
-
-        const data = await parseJsonSafely(res);
-
-        if (!res.ok) throw new Error(data.message || "Failed to fetch contacts");
-
-        setContacts(Array.isArray(data) ? data : data.data || []);
-      } catch (err) {
-        console.error("Fetch error:", err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    }
-    fetchContacts();
-  }, []);
+    if (!openContact || !isUnread(openContact) || markedRead.current.has(openContact._id)) return;
+    markedRead.current.add(openContact._id);
+    saveContact(openContact, { status: "read" }).catch((err) => console.error("Mark read error:", err));
+  }, [openContact, saveContact]);
 
-  // Delete contact
+  // Move a contact to the trash; the toast offers Undo
   async function deleteContact(id) {
-    if (!window.confirm("Delete this contact message?")) return;
     try {
-      const res = await fetch(`${CONTACT_API}/${id}`, {
-        method: "DELETE",
-        headers: { "Content-Type": "application/json" },
+      const removed = await removeContact(id);
+      if (openId === id) close();
+      offerUndo({
+        message: `Message from ${removed.fullName || removed.emailAddress || "contact"} moved to Trash`,
+        undo: () => restoreContact(removed),
       });
-
-      const data = await parseJsonSafely(res);
-      if (!res.ok) throw new Error(data.message || "Failed to delete contact");
-
-      setContacts((prev) => prev.filter((c) => c._id !== id));
     } catch (err) {
       console.error("Delete contact error:", err);
       alert("Error deleting contact: " + err.message);
     }
   }
 
-  // Export to Excel
-  const exportContactsToExcel = () => {
-    const formatted = contacts.map((c) => ({
-      ID: c._id,
-      Name: c.fullName,
-      Email: c.emailAddress,
-      Phone: c.phoneNumber,
-      Address: c.address,
-      Dish: c.dishName,
-      Message: c.query,
-      CreatedAt: formatDate(c.createdAt),
-    }));
-
-    const ws = XLSX.utils.json_to_sheet(formatted);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "Contacts");
-    const buf = XLSX.write(wb, { bookType: "xlsx", type: "array" });
-    downloadFile(new Blob([buf]), "Contacts_Report.xlsx");
+  // Export the filtered messages in the chosen format
+  const exportContacts = (format) => {
+    exportSheets([{ name: "Contacts", columns: CONTACT_COLUMNS, rows: visible }], {
+      format,
+      filename: "Contacts_Report",
+    });
   };
 
+  const tabClass = (active) =>
+    `px-3 py-1.5 rounded-full text-xs font-semibold transition ${
+      active ? "bg-amber-600 text-white" : "bg-amber-900/40 text-amber-300 hover:bg-amber-800/60"
+    }`;
+
   return (
     <section className="p-4">
-      <div className="flex justify-between items-center mb-6">
+      <div className="flex justify-between items-center mb-4">
         <h1 className="text-lg sm:text-xl font-semibold text-amber-200">
           Contact Messages
+          {statusCounts.new > 0 && (
+            <span className="ml-2 text-xs font-medium text-blue-300">{statusCounts.new} unread</span>
+          )}
         </h1>
-        <button
-          onClick={exportContactsToExcel}
-          className="flex items-center gap-2 bg-blue-700 hover:bg-blue-600 text-white px-3 py-1.5 rounded-lg text-xs"
-        >
-          <FaFileExcel className="w-4 h-4" /> Export Excel
+        {can("data.export") && (
+          <ExportMenu
+            onExport={exportContacts}
+            disabled={!visible.length}
+            className="bg-blue-700 hover:bg-blue-600 text-white"
+          />
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button onClick={() => updateFilter({ status: "" })} className={tabClass(!filters.status)}>
+          All ({contacts.length})
         </button>
+        {Object.entries(CONTACT_STATUSES).map(([key, s]) => (
+          <button key={key} onClick={() => updateFilter({ status: key })} className={tabClass(filters.status === key)}>
+            {s.label} ({statusCounts[key]})
+          </button>
+        ))}
+
+        <div className="flex flex-wrap gap-2 sm:ml-auto">
+          <select value={filters.dish} onChange={(e) => updateFilter({ dish: e.target.value })} className={selectClass}>
+            <option value="">All dishes</option>
+            {dishes.map((dish) => (
+              <option key={dish} value={dish}>
+                {dish}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.assignee}
+            onChange={(e) => updateFilter({ assignee: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">Anyone</option>
+            <option value="none">Unassigned</option>
+            {assignees.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="search"
+            value={filters.search}
+            onChange={(e) => updateFilter({ search: e.target.value })}
+            placeholder="Search messages"
+            className={`${selectClass} placeholder-amber-500`}
+          />
+        </div>
       </div>
 
       <div className="rounded-xl border border-amber-800/40 bg-amber-900/30 shadow-sm overflow-hidden">
         <div className="overflow-x-auto scrollbar-thin scrollbar-thumb-amber-700/60 scrollbar-track-transparent">
-          <table className="min-w-[720px] w-full text-left text-xs sm:text-sm">
+          <table className="min-w-[820px] w-full text-left text-xs sm:text-sm">
             <thead className="sticky top-0 bg-amber-950/90">
               <tr className="text-amber-300">
-                <th className="px-3 py-3 font-semibold">Full Name</th>
-                <th className="px-3 py-3 font-semibold">Email</th>
-                <th className="px-3 py-3 font-semibold">Phone</th>
+                <th className="px-3 py-3 font-semibold">Status</th>
+                <th className="px-3 py-3 font-semibold">From</th>
                 <th className="px-3 py-3 font-semibold">Dish</th>
                 <th className="px-3 py-3 font-semibold">Query</th>
+                <th className="px-3 py-3 font-semibold">Assignee</th>
                 <th className="px-3 py-3 font-semibold">Date</th>
                 <th className="px-3 py-3 font-semibold">Delete</th>
               </tr>
             </thead>
             <tbody>
-              {loading ? (
+              {loading && !contacts.length ? (
                 <tr>
                   <td colSpan={7} className="py-6 text-center text-amber-200">
                     Loading contacts…
@@ -144,29 +202,47 @@ export default function ContactManagement() {
                     {error}
                   </td>
                 </tr>
-              ) : contacts.length ? (
-                contacts.map((c) => (
-                  <tr
-                    key={c._id}
-                    className="border-t border-amber-800/40 hover:bg-amber-900/40 transition-colors"
-                  >
-                    <td className="px-3 py-3 text-amber-200">{c.fullName}</td>
-                    <td className="px-3 py-3 text-amber-300">{c.emailAddress}</td>
-                    <td className="px-3 py-3 text-amber-300">{c.phoneNumber}</td>
-                    <td className="px-3 py-3 text-amber-300">{c.dishName}</td>
-                    <td className="px-3 py-3 text-amber-300">{c.query}</td>
-                    <td className="px-3 py-3 text-amber-300">{formatDate(c.createdAt)}</td>
-                    <td className="px-3 py-3 text-center">
-                      <button
-                        onClick={() => deleteContact(c._id)}
-                        className="text-red-400 hover:text-red-300 transition"
-                        title="Delete Contact"
-                      >
-                        <FaTrashAlt className="h-4 w-4" />
-                      </button>
-                    </td>
-                  </tr>
-                ))
+              ) : visible.length ? (
+                visible.map((c) => {
+                  const status = CONTACT_STATUSES[getContactStatus(c)];
+                  const unread = isUnread(c);
+                  return (
+                    <tr
+                      key={c._id}
+                      onClick={() => open(c._id)}
+                      className={`border-t border-amber-800/40 hover:bg-amber-900/40 transition-colors cursor-pointer ${
+                        unread ? "font-semibold" : ""
+                      }`}
+                    >
+                      <td className="px-3 py-3">
+                        <span className={`px-2 py-0.5 rounded-full text-[11px] whitespace-nowrap ${status.className}`}>
+                          {status.label}
+                        </span>
+                      </td>
+                      <td className="px-3 py-3">
+                        <div className="text-amber-200">{c.fullName}</div>
+                        <div className="text-amber-400 text-xs font-normal">{c.emailAddress}</div>
+                      </td>
+                      <td className="px-3 py-3 text-amber-300">{c.dishName}</td>
+                      <td className="px-3 py-3 text-amber-300 max-w-xs truncate">{c.query}</td>
+                      <td className="px-3 py-3 text-amber-300">{c.assignee || "—"}</td>
+                      <td className="px-3 py-3 text-amber-300 whitespace-nowrap">{formatDate(c.createdAt)}</td>
+                      <td className="px-3 py-3 text-center">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            deleteContact(c._id);
+                          }}
+                          disabled={!canDelete}
+                          className="text-red-400 hover:text-red-300 transition disabled:opacity-30 disabled:cursor-not-allowed"
+                          title={canDelete ? "Delete Contact" : "Your role cannot delete messages"}
+                        >
+                          <FaTrashAlt className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })
               ) : (
                 <tr>
                   <td colSpan={7} className="py-6 text-center text-amber-200">
@@ -178,6 +254,26 @@ export default function ContactManagement() {
           </table>
         </div>
       </div>
+
+      {openContact && (
+        <ContactDetail
+          key={openContact._id}
+          contact={openContact}
+          assignees={assignees}
+          onClose={close}
+        />
+      )}
+
+      {openId && !openContact && !loading && (
+        <div className="fixed inset-0 z-40 flex justify-end bg-black/50" onClick={close}>
+          <aside className="w-full max-w-md h-full bg-amber-950 border-l border-amber-800/60 p-5 shadow-2xl">
+            <p className="text-amber-200 text-sm text-center pt-12 pb-4">Message not found.</p>
+            <button onClick={close} className="block mx-auto text-xs text-orange-400 hover:underline">
+              Back to messages
+            </button>
+          </aside>
+        </div>
+      )}
     </section>
   );
 }
@@ -0,0 +1,317 @@
+/**
+ * @file ContactDetail.jsx
+ * @description Slide-over panel for one contact message: the message itself,
+ * its status and assignee, internal notes and the reply history, plus a reply
+ * composer with reusable templates.
+ */
+
+import React, { useState, useEffect } from "react";
+import { X, Send, StickyNote, Mail, User, Save } from "lucide-react";
+import { useContacts } from "../../context/contacts/useContacts";
+import { useAuth } from "../../context/auth/useAuth";
+import {
+  CONTACT_STATUSES,
+  getContactStatus,
+  REPLY_TEMPLATES,
+  loadCustomTemplates,
+  saveCustomTemplates,
+  fillTemplate,
+} from "./contactInbox";
+
+const formatDate = (d) =>
+  d ? new Date(d).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "—";
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-amber-900/40 border border-amber-800/60 text-amber-100 placeholder-amber-500 text-sm focus:outline-none focus:ring-2 focus:ring-amber-500";
+
+// Section wrapper
+function Section({ icon, title, children }) {
+  return (
+    <section className="mb-6">
+      <h3 className="flex items-center gap-2 text-amber-300 text-sm font-semibold mb-2">
+        {icon}
+        {title}
+      </h3>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * ContactDetail Component
+ *
+ * @component
+ * @param {object} contact - Message to show.
+ * @param {Array<string>} assignees - Known assignees, offered as suggestions.
+ * @param {Function} onClose - Closes the panel.
+ */
+export default function ContactDetail({ contact, assignees, onClose }) {
+  const { saveContact, sendReply } = useContacts();
+  const { user } = useAuth();
+  const me = user?.name || user?.email || "Admin";
+
+  const [assignee, setAssignee] = useState(contact.assignee || "");
+  const [note, setNote] = useState("");
+  const [templates, setTemplates] = useState(() => [...REPLY_TEMPLATES, ...loadCustomTemplates()]);
+  const [reply, setReply] = useState({ subject: "", body: "" });
+  const [busy, setBusy] = useState("");
+
+  const status = getContactStatus(contact);
+  const notes = contact.notes || [];
+  const replies = contact.replies || [];
+
+  // Close on Escape
+  useEffect(() => {
+    const handleEsc = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleEsc);
+    return () => window.removeEventListener("keydown", handleEsc);
+  }, [onClose]);
+
+  /**
+   * Runs an inbox action, reporting failures.
+   * @param {string} action - Name of the running action, used to disable its button.
+   * @param {Function} task - Async action.
+   */
+  const run = async (action, task) => {
+    try {
+      setBusy(action);
+      await task();
+      return true;
+    } catch (err) {
+      console.error(`Contact ${action} error:`, err);
+      alert(`Could not ${action}: ${err.message}`);
+      return false;
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const saveAssignee = (value) => {
+    if (value.trim() === (contact.assignee || "")) return;
+    run("assign", () => saveContact(contact, { assignee: value.trim() }));
+  };
+
+  const addNote = async () => {
+    if (!note.trim()) return;
+    const entry = { text: note.trim(), author: me, createdAt: new Date().toISOString() };
+    if (await run("add note", () => saveContact(contact, { notes: [...notes, entry] }))) setNote("");
+  };
+
+  const applyTemplate = (id) => {
+    const template = templates.find((t) => t.id === id);
+    if (!template) return;
+    setReply({ subject: fillTemplate(template.subject, contact, me), body: fillTemplate(template.body, contact, me) });
+  };
+
+  const saveTemplate = () => {
+    const name = window.prompt("Template name");
+    if (!name?.trim()) return;
+    const custom = [
+      ...loadCustomTemplates(),
+      // Keep placeholders for the sender so the template can be reused
+      {
+        id: `custom-${Date.now()}`,
+        name: name.trim(),
+        subject: reply.subject,
+        body: contact.fullName ? reply.body.replaceAll(contact.fullName, "{{name}}") : reply.body,
+      },
+    ];
+    saveCustomTemplates(custom);
+    setTemplates([...REPLY_TEMPLATES, ...custom]);
+  };
+
+  /**
+   * Sends the reply to the sender's email address. An open message moves to
+   * "In progress" unless it is already resolved.
+   */
+  const handleSend = async () => {
+    if (!reply.subject.trim() || !reply.body.trim()) {
+      alert("A reply needs a subject and a message.");
+      return;
+    }
+    const sent = await run("send reply", async () => {
+      await sendReply(contact, { ...reply, sentBy: me });
+      if (status === "new" || status === "read") await saveContact(contact, { status: "in_progress" });
+    });
+    if (sent) setReply({ subject: "", body: "" });
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/50" onClick={onClose}>
+      <aside
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-md h-full overflow-y-auto bg-amber-950 border-l border-amber-800/60 p-5 shadow-2xl"
+      >
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-lg font-semibold text-amber-200">{contact.fullName || "Contact message"}</h2>
+            <p className="text-xs text-amber-400">{formatDate(contact.createdAt)}</p>
+          </div>
+          <button onClick={onClose} className="text-amber-400 hover:text-amber-200" aria-label="Close">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {/* Message */}
+        <Section icon={<Mail className="h-4 w-4" />} title="Message">
+          <dl className="grid grid-cols-[70px_1fr] gap-y-1 text-xs mb-3">
+            <dt className="text-amber-400">Email</dt>
+            <dd className="text-amber-100 break-all">{contact.emailAddress || "—"}</dd>
+            <dt className="text-amber-400">Phone</dt>
+            <dd className="text-amber-100">{contact.phoneNumber || "—"}</dd>
+            <dt className="text-amber-400">Dish</dt>
+            <dd className="text-amber-100">{contact.dishName || "—"}</dd>
+            <dt className="text-amber-400">Address</dt>
+            <dd className="text-amber-100">{contact.address || "—"}</dd>
+          </dl>
+          <p className="text-sm text-amber-100 whitespace-pre-wrap rounded-lg bg-amber-900/30 p-3">{contact.query}</p>
+        </Section>
+
+        {/* Workflow */}
+        <Section icon={<User className="h-4 w-4" />} title="Handling">
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-xs text-amber-400">
+              Status
+              <select
+                value={status}
+                onChange={(e) => run("change status", () => saveContact(contact, { status: e.target.value }))}
+                className={`${inputClass} mt-1`}
+              >
+                {Object.entries(CONTACT_STATUSES).map(([key, s]) => (
+                  <option key={key} value={key}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-amber-400">
+              Assignee
+              <input
+                list="contact-assignees"
+                value={assignee}
+                placeholder="Unassigned"
+                onChange={(e) => setAssignee(e.target.value)}
+                onBlur={(e) => saveAssignee(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                className={`${inputClass} mt-1`}
+              />
+              <datalist id="contact-assignees">
+                {[...new Set([me, ...assignees])].map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+            </label>
+          </div>
+          {contact.assignee !== me && (
+            <button
+              type="button"
+              onClick={() => {
+                setAssignee(me);
+                saveAssignee(me);
+              }}
+              className="mt-2 text-xs text-orange-400 hover:underline"
+            >
+              Assign to me
+            </button>
+          )}
+        </Section>
+
+        {/* Internal notes */}
+        <Section icon={<StickyNote className="h-4 w-4" />} title="Internal notes">
+          {notes.length > 0 && (
+            <ul className="space-y-2 mb-3">
+              {notes.map((n, idx) => (
+                <li key={idx} className="text-xs rounded-lg bg-amber-900/30 p-2">
+                  <p className="text-amber-100 whitespace-pre-wrap">{n.text}</p>
+                  <p className="text-amber-400 mt-1">
+                    {n.author} · {formatDate(n.createdAt)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Only visible to admins"
+            rows={2}
+            className={`${inputClass} resize-none`}
+          />
+          <button
+            type="button"
+            onClick={addNote}
+            disabled={!note.trim() || busy === "add note"}
+            className="mt-2 px-3 py-1.5 rounded-lg text-xs bg-amber-700 hover:bg-amber-600 text-white disabled:opacity-50"
+          >
+            Add note
+          </button>
+        </Section>
+
+        {/* Replies */}
+        <Section icon={<Send className="h-4 w-4" />} title="Reply">
+          {replies.length > 0 && (
+            <ul className="space-y-2 mb-3">
+              {replies.map((r, idx) => (
+                <li key={idx} className="text-xs rounded-lg border border-amber-800/40 p-2">
+                  <p className="text-amber-200 font-semibold">{r.subject}</p>
+                  <p className="text-amber-100 whitespace-pre-wrap mt-1">{r.body}</p>
+                  <p className="text-amber-400 mt-1">
+                    Sent{r.sentBy ? ` by ${r.sentBy}` : ""} · {formatDate(r.sentAt)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {contact.emailAddress ? (
+            <div className="space-y-2">
+              <select value="" onChange={(e) => applyTemplate(e.target.value)} className={inputClass}>
+                <option value="">Start from a template…</option>
+                {templates.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+              <input
+                value={reply.subject}
+                onChange={(e) => setReply((prev) => ({ ...prev, subject: e.target.value }))}
+                placeholder="Subject"
+                className={inputClass}
+              />
+              <textarea
+                value={reply.body}
+                onChange={(e) => setReply((prev) => ({ ...prev, body: e.target.value }))}
+                placeholder={`Reply to ${contact.emailAddress}`}
+                rows={6}
+                className={`${inputClass} resize-y`}
+              />
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={handleSend}
+                  disabled={busy === "send reply"}
+                  className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-orange-600 hover:bg-orange-700 text-white disabled:opacity-50"
+                >
+                  <Send className="h-4 w-4" /> {busy === "send reply" ? "Sending…" : "Send reply"}
+                </button>
+                <button
+                  type="button"
+                  onClick={saveTemplate}
+                  disabled={!reply.body.trim()}
+                  className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs text-amber-300 hover:bg-amber-900/50 disabled:opacity-50"
+                >
+                  <Save className="h-3.5 w-3.5" /> Save as template
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-xs text-amber-400">This message has no email address to reply to.</p>
+          )}
+        </Section>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+/**
+ * @file contactInbox.js
+ * @description Support inbox helpers for contact messages: workflow status,
+ * filters and reply templates.
+ *
+ * Inbox fields stored on a message: `status`, `assignee`,
+ * `notes: [{ text, author, createdAt }]` and `replies: [{ subject, body, sentBy, sentAt }]`.
+ */
+
+export const CONTACT_STATUSES = {
+  new: { label: "New", className: "bg-blue-700/60 text-blue-100" },
+  read: { label: "Read", className: "bg-gray-700/60 text-gray-200" },
+  in_progress: { label: "In progress", className: "bg-amber-700/60 text-amber-100" },
+  resolved: { label: "Resolved", className: "bg-green-700/60 text-green-100" },
+};
+
+/**
+ * Workflow status of a message; messages from before the inbox are "new".
+ * @param {object} contact - Contact message.
+ * @returns {"new"|"read"|"in_progress"|"resolved"}
+ */
+export const getContactStatus = (contact) => (CONTACT_STATUSES[contact.status] ? contact.status : "new");
+
+export const isUnread = (contact) => getContactStatus(contact) === "new";
+
+export const countUnread = (contacts) => contacts.filter(isUnread).length;
+
+/**
+ * Reads inbox filters from the query string.
+ * @param {URLSearchParams} params
+ * @returns {{ status: string, dish: string, assignee: string, search: string }}
+ */
+export const readContactFilters = (params) => ({
+  status: CONTACT_STATUSES[params.get("status")] ? params.get("status") : "",
+  dish: params.get("dish") || "",
+  assignee: params.get("assignee") || "",
+  search: params.get("q") || "",
+});
+
+/**
+ * Filters messages by status, dish, assignee and free text.
+ * @param {Array<object>} contacts
+ * @param {{ status?: string, dish?: string, assignee?: string, search?: string }} filters -
+ *   Empty values match everything; `assignee: "none"` matches unassigned messages.
+ */
+export function filterContacts(contacts, { status, dish, assignee, search }) {
+  const q = (search || "").trim().toLowerCase();
+  return contacts.filter((c) => {
+    if (status && getContactStatus(c) !== status) return false;
+    if (dish && c.dishName !== dish) return false;
+    if (assignee === "none" ? c.assignee : assignee && c.assignee !== assignee) return false;
+    if (!q) return true;
+    return [c.fullName, c.emailAddress, c.phoneNumber, c.dishName, c.query]
+      .some((value) => String(value || "").toLowerCase().includes(q));
+  });
+}
+
+/** Distinct non-empty values of a field, sorted, for filter options. */
+export const distinctValues = (contacts, field) =>
+  [...new Set(contacts.map((c) => c[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// Built-in reply templates; {{name}}, {{dish}} and {{admin}} are filled in
+export const REPLY_TEMPLATES = [
+  {
+    id: "thanks",
+    name: "Thanks for reaching out",
+    subject: "We received your message",
+    body: "Hi {{name}},\n\nThanks for getting in touch. We have received your message and will get back to you shortly.\n\nBest regards,\n{{admin}}",
+  },
+  {
+    id: "dish",
+    name: "Dish feedback",
+    subject: "About {{dish}}",
+    body: "Hi {{name}},\n\nThank you for your feedback on {{dish}}. We have shared it with our kitchen team.\n\nBest regards,\n{{admin}}",
+  },
+  {
+    id: "apology",
+    name: "Apology",
+    subject: "Sorry about your experience",
+    body: "Hi {{name}},\n\nWe are sorry your order did not meet expectations. We would like to make it right; please reply with your order details.\n\nBest regards,\n{{admin}}",
+  },
+  {
+    id: "resolved",
+    name: "Resolved",
+    subject: "Your request has been resolved",
+    body: "Hi {{name}},\n\nYour request has been resolved. Let us know if there is anything else we can help with.\n\nBest regards,\n{{admin}}",
+  },
+];
+
+const TEMPLATES_KEY = "contactReplyTemplates";
+
+/** Templates saved by admins in this browser. */
+export function loadCustomTemplates() {
+  try {
+    const list = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persists the admin's own templates.
+ * @param {Array<{ id: string, name: string, subject: string, body: string }>} templates
+ */
+export const saveCustomTemplates = (templates) => localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+
+/**
+ * Fills the placeholders of a template text.
+ * @param {string} text - Template subject or body.
+ * @param {object} contact - Message being answered.
+ * @param {string} admin - Name signing the reply.
+ */
+export const fillTemplate = (text, contact, admin) =>
+  text
+    .replace(/\{\{name\}\}/g, contact.fullName || "there")
+    .replace(/\{\{dish\}\}/g, contact.dishName || "your order")
+    .replace(/\{\{admin\}\}/g, admin || "The Foodie-Frenzy team");
@@ -0,0 +1,12 @@
+import React from "react";
+import ContactManagement from "../contact-manage/Contact-management";
+
+export default function ContactPage() {
+  return (
+    <div className="min-h-screen bg-amber-950 text-amber-100 flex flex-col">
+      <main className="flex-1 overflow-auto px-2 sm:px-4 pt-6 pb-8 max-w-7xl mx-auto w-full">
+        <ContactManagement />
+      </main>
+    </div>
+  );
+}
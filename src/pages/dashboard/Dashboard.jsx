@@ -0,0 +1,379 @@
+/**
+ * @file Dashboard.jsx
+ * @description Sales overview for admins: revenue and order volume over time,
+ * average order value, COD vs online split, best-selling dishes, cancellation
+ * rate and busiest hours. Every figure is compared with the previous period of
+ * the same length. The selected range lives in the URL query string.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import { TrendingUp, TrendingDown, DollarSign, ShoppingBag, Receipt, XCircle, RefreshCw } from "lucide-react";
+import { fetchOrders } from "../../api/orders";
+import { fetchMenuItems } from "../../api/menu";
+import BarChart from "../../components/charts/BarChart";
+import { useCategories } from "../../context/categories/useCategories";
+import { currency, PAYMENT_BUCKETS } from "../order-manage/orderUtils";
+import {
+  GRANULARITIES,
+  RANGE_PRESETS,
+  resolveRange,
+  previousRange,
+  ordersInRange,
+  computeKpis,
+  revenueSeries,
+  dishStats,
+  ordersByHour,
+  categoryStats,
+  percentChange,
+  toDateInput,
+} from "./analytics";
+
+const inputClass =
+  "p-2 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-amber-500 transition";
+
+const cardClass = "bg-gray-800/90 backdrop-blur-sm border border-gray-700 rounded-xl shadow-lg p-5";
+
+const TOP_DISHES = 8;
+
+const percent = (v) => `${(v * 100).toFixed(1)}%`;
+
+/**
+ * Up/down badge for a period-over-period change.
+ * @param {number|null} change - Fraction from percentChange.
+ * @param {boolean} [inverse] - A decrease is good (e.g. cancellations).
+ */
+function ChangeBadge({ change, inverse = false }) {
+  if (change === null) return <span className="text-xs text-gray-500">No previous data</span>;
+  const up = change >= 0;
+  const good = inverse ? !up : up;
+  const Icon = up ? TrendingUp : TrendingDown;
+  return (
+    <span className={`inline-flex items-center gap-1 text-xs ${good ? "text-green-400" : "text-red-400"}`}>
+      <Icon className="w-3 h-3" />
+      {up ? "+" : ""}
+      {percent(change)} vs previous
+    </span>
+  );
+}
+
+/**
+ * Headline number card.
+ */
+function KpiCard({ icon, label, value, change, inverse }) {
+  const Icon = icon;
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center gap-2 text-amber-400 text-sm mb-2">
+        <Icon className="w-4 h-4" />
+        {label}
+      </div>
+      <div className="text-2xl font-bold text-white mb-1">{value}</div>
+      <ChangeBadge change={change} inverse={inverse} />
+    </div>
+  );
+}
+
+export default function DashboardPage() {
+  const [orders, setOrders] = useState([]);
+  const [menu, setMenu] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { categories } = useCategories();
+
+  const preset = RANGE_PRESETS[searchParams.get("range")] ? searchParams.get("range") : "30";
+  const granularity = GRANULARITIES[searchParams.get("by")] ? searchParams.get("by") : "day";
+  const rankBy = searchParams.get("rank") === "revenue" ? "revenue" : "quantity";
+  const customFrom = searchParams.get("from") || "";
+  const customTo = searchParams.get("to") || "";
+
+  /**
+   * Loads orders and the menu. The menu only enriches dish stats,
+   * so a failure there does not block the dashboard.
+   */
+  const loadData = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const [orderList, menuList] = await Promise.all([fetchOrders(), fetchMenuItems().catch(() => [])]);
+      setOrders(orderList);
+      setMenu(menuList);
+    } catch (err) {
+      console.error("Failed to load dashboard data:", err);
+      setError(err.message || "Failed to load dashboard data");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  /**
+   * Writes controls to the query string; empty values are removed.
+   * @param {object} patch - Partial `{ key: value }` update.
+   */
+  const updateParams = (patch) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === "" || value === null || value === undefined) next.delete(key);
+      else next.set(key, value);
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  /**
+   * Switches presets. Choosing "custom" seeds the date inputs with the
+   * current range so the charts do not jump.
+   */
+  const handlePresetChange = (value) => {
+    if (value !== "custom") return updateParams({ range: value, from: "", to: "" });
+    const current = resolveRange(preset, customFrom, customTo);
+    updateParams({ range: value, from: toDateInput(current.from), to: toDateInput(current.to - 1) });
+  };
+
+  const stats = useMemo(() => {
+    const range = resolveRange(preset, customFrom, customTo);
+    const prevRange = previousRange(range);
+    const current = ordersInRange(orders, range);
+    const previous = ordersInRange(orders, prevRange);
+
+    const series = revenueSeries(current, range, granularity);
+    const prevSeries = revenueSeries(previous, prevRange, granularity);
+    const compareAt = (idx, key) => prevSeries[idx]?.[key] || 0;
+
+    const hours = ordersByHour(current);
+    const prevHours = ordersByHour(previous);
+
+    return {
+      kpis: computeKpis(current),
+      prevKpis: computeKpis(previous),
+      revenue: series.map((b, idx) => ({ label: b.label, value: b.revenue, compare: compareAt(idx, "revenue") })),
+      volume: series.map((b, idx) => ({ label: b.label, value: b.count, compare: compareAt(idx, "count") })),
+      hours: hours.map((h) => ({ label: h.label, value: h.count, compare: prevHours[h.hour].count })),
+      dishes: dishStats(current, menu),
+    };
+  }, [orders, menu, preset, customFrom, customTo, granularity]);
+
+  const byCategory = useMemo(() => categoryStats(stats.dishes, categories), [stats.dishes, categories]);
+
+  const { kpis, prevKpis } = stats;
+  const topDishes = [...stats.dishes].sort((a, b) => b[rankBy] - a[rankBy]).slice(0, TOP_DISHES);
+  const topValue = Math.max(1, ...topDishes.map((d) => d[rankBy]));
+  const labelEvery = Math.max(1, Math.ceil(stats.revenue.length / 12));
+  const paidOrders = kpis.payment.cod.count + kpis.payment.online.count + kpis.payment.other.count;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header + range controls */}
+        <div className={`${cardClass} flex flex-wrap items-end gap-4`}>
+          <h1 className="text-2xl font-bold text-amber-400 mr-auto">Sales Dashboard</h1>
+
+          <div>
+            <label className="block text-amber-400 text-xs font-medium mb-1">Period</label>
+            <select value={preset} onChange={(e) => handlePresetChange(e.target.value)} className={inputClass}>
+              {Object.entries(RANGE_PRESETS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {preset === "custom" && (
+            <>
+              <div>
+                <label className="block text-amber-400 text-xs font-medium mb-1">From</label>
+                <input
+                  type="date"
+                  value={customFrom}
+                  max={customTo || undefined}
+                  onChange={(e) => updateParams({ from: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-amber-400 text-xs font-medium mb-1">To</label>
+                <input
+                  type="date"
+                  value={customTo}
+                  min={customFrom || undefined}
+                  onChange={(e) => updateParams({ to: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </>
+          )}
+
+          <div>
+            <label className="block text-amber-400 text-xs font-medium mb-1">Group by</label>
+            <select value={granularity} onChange={(e) => updateParams({ by: e.target.value })} className={inputClass}>
+              {Object.entries(GRANULARITIES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <button
+            onClick={loadData}
+            disabled={loading}
+            className="flex items-center gap-1 px-3 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-gray-700 transition disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} /> Refresh
+          </button>
+        </div>
+
+        {error && <p className="text-red-300 bg-red-900/40 border border-red-700 rounded-lg p-3 text-sm">{error}</p>}
+
+        {/* KPIs */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <KpiCard
+            icon={DollarSign}
+            label="Revenue"
+            value={currency(kpis.revenue)}
+            change={percentChange(kpis.revenue, prevKpis.revenue)}
+          />
+          <KpiCard
+            icon={ShoppingBag}
+            label="Orders"
+            value={kpis.orderCount}
+            change={percentChange(kpis.orderCount, prevKpis.orderCount)}
+          />
+          <KpiCard
+            icon={Receipt}
+            label="Average order value"
+            value={currency(kpis.averageOrderValue)}
+            change={percentChange(kpis.averageOrderValue, prevKpis.averageOrderValue)}
+          />
+          <KpiCard
+            icon={XCircle}
+            label="Cancellation rate"
+            value={percent(kpis.cancellationRate)}
+            change={percentChange(kpis.cancellationRate, prevKpis.cancellationRate)}
+            inverse
+          />
+        </div>
+
+        {/* Revenue + volume over time */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div className={cardClass}>
+            <h2 className="text-amber-400 font-semibold mb-4">Revenue</h2>
+            <BarChart data={stats.revenue} format={currency} labelEvery={labelEvery} />
+          </div>
+          <div className={cardClass}>
+            <h2 className="text-amber-400 font-semibold mb-4">Orders</h2>
+            <BarChart data={stats.volume} labelEvery={labelEvery} />
+          </div>
+        </div>
+        <p className="text-xs text-amber-200/70 -mt-3">
+          Grey bars show the previous period of the same length. Revenue excludes cancelled and refunded orders.
+        </p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {/* Payment split */}
+          <div className={cardClass}>
+            <h2 className="text-amber-400 font-semibold mb-4">Payment methods</h2>
+            {paidOrders ? (
+              <>
+                <div className="flex h-3 rounded-full overflow-hidden bg-gray-700 mb-4">
+                  <div className="bg-amber-500" style={{ width: `${(kpis.payment.cod.count / paidOrders) * 100}%` }} />
+                  <div className="bg-green-500" style={{ width: `${(kpis.payment.online.count / paidOrders) * 100}%` }} />
+                  <div className="bg-gray-400" style={{ width: `${(kpis.payment.other.count / paidOrders) * 100}%` }} />
+                </div>
+                <ul className="space-y-2 text-sm">
+                  {[
+                    ["cod", "bg-amber-500"],
+                    ["online", "bg-green-500"],
+                    ["other", "bg-gray-400"],
+                  ].map(([bucket, color]) => (
+                    <li key={bucket} className="flex items-center gap-2 text-gray-200">
+                      <span className={`w-2.5 h-2.5 rounded-full ${color}`} />
+                      <span className="mr-auto">{PAYMENT_BUCKETS[bucket]}</span>
+                      <span>{kpis.payment[bucket].count}</span>
+                      <span className="w-24 text-right text-gray-400">{currency(kpis.payment[bucket].revenue)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            ) : (
+              <p className="text-center text-gray-400 text-sm py-12">No data for this period.</p>
+            )}
+          </div>
+
+          {/* Top dishes */}
+          <div className={`${cardClass} lg:col-span-2`}>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-amber-400 font-semibold">Top dishes</h2>
+              <select value={rankBy} onChange={(e) => updateParams({ rank: e.target.value })} className={`${inputClass} text-sm py-1`}>
+                <option value="quantity">By quantity</option>
+                <option value="revenue">By revenue</option>
+              </select>
+            </div>
+            {topDishes.length ? (
+              <ul className="space-y-3">
+                {topDishes.map((dish) => (
+                  <li key={dish.name} className="text-sm">
+                    <div className="flex justify-between text-gray-200 mb-1">
+                      <span className="truncate">
+                        {dish.name}
+                        {dish.category && <span className="text-gray-500 ml-2 text-xs">{dish.category}</span>}
+                      </span>
+                      <span className="text-gray-400 shrink-0 ml-2">
+                        {dish.quantity} sold · {currency(dish.revenue)}
+                      </span>
+                    </div>
+                    <div className="h-2 rounded-full bg-gray-700 overflow-hidden">
+                      <div
+                        className="h-full rounded-full bg-gradient-to-r from-amber-600 to-amber-400"
+                        style={{ width: `${(dish[rankBy] / topValue) * 100}%` }}
+                      />
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-center text-gray-400 text-sm py-12">No dishes sold in this period.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {/* Sales by category */}
+          <div className={cardClass}>
+            <h2 className="text-amber-400 font-semibold mb-4">Sales by category</h2>
+            {byCategory.length ? (
+              <ul className="space-y-2 text-sm">
+                {byCategory.map((row) => (
+                  <li key={row.name} className="flex items-center gap-2 text-gray-200">
+                    <span className="w-5 text-center">{row.icon}</span>
+                    <span className="mr-auto truncate">{row.name}</span>
+                    <span className="text-gray-400">{row.quantity} sold</span>
+                    <span className="w-24 text-right">{currency(row.revenue)}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-center text-gray-400 text-sm py-12">No data for this period.</p>
+            )}
+          </div>
+
+          {/* Busiest hours */}
+          <div className={`${cardClass} lg:col-span-2`}>
+            <h2 className="text-amber-400 font-semibold mb-4">Busiest hours</h2>
+            <BarChart data={stats.hours} labelEvery={3} height={140} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+/**
+ * @file analytics.js
+ * @description Pure aggregation helpers for the sales dashboard. Everything is
+ * computed on the client from `/api/orders` (and `/api/menu` for enrichment).
+ * Revenue only counts orders that were not cancelled or refunded.
+ */
+
+import { getPaymentBucket, getLineItem } from "../order-manage/orderUtils";
+import { normalizeStatus } from "../order-manage/orderStatus";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses excluded from revenue
+const VOID_STATUSES = ["cancelled", "refunded"];
+
+export const GRANULARITIES = {
+  day: "Daily",
+  week: "Weekly",
+  month: "Monthly",
+};
+
+export const RANGE_PRESETS = {
+  7: "Last 7 days",
+  30: "Last 30 days",
+  90: "Last 90 days",
+  365: "Last 12 months",
+  custom: "Custom",
+};
+
+/** Start of the local day for a date. */
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Local midnight `days` days after a date (negative = before). Steps by
+ * calendar day, so ranges stay aligned across daylight saving changes.
+ * @returns {number} Timestamp.
+ */
+const addDays = (date, days) => {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() + days);
+  return d.getTime();
+};
+
+/** Formats a date as YYYY-MM-DD in local time. */
+export const toDateInput = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+/**
+ * Resolves a preset or custom range to `[from, to)` timestamps.
+ * @param {string} preset - Key of RANGE_PRESETS.
+ * @param {string} [from] - Custom start (YYYY-MM-DD).
+ * @param {string} [to] - Custom end, inclusive (YYYY-MM-DD).
+ * @param {Date} [now] - Reference time.
+ * @returns {{ from: number, to: number }}
+ */
+export function resolveRange(preset, from, to, now = new Date()) {
+  if (preset === "custom" && from && to) {
+    return {
+      from: new Date(`${from}T00:00:00`).getTime(),
+      to: addDays(new Date(`${to}T00:00:00`), 1),
+    };
+  }
+  const days = Number(preset) || 30;
+  return { from: addDays(now, 1 - days), to: addDays(now, 1) };
+}
+
+/**
+ * The range with the same number of days immediately before the given one.
+ * @param {{ from: number, to: number }} range - Midnight-aligned range.
+ */
+export const previousRange = ({ from, to }) => ({
+  from: addDays(from, -Math.round((to - from) / DAY_MS)),
+  to: from,
+});
+
+/** Order creation time in milliseconds (NaN when missing). */
+const createdAt = (order) => new Date(order.createdAt).getTime();
+
+/**
+ * Orders created within `[from, to)`.
+ * @param {Array<object>} orders
+ * @param {{ from: number, to: number }} range
+ */
+export const ordersInRange = (orders, { from, to }) =>
+  orders.filter((o) => {
+    const t = createdAt(o);
+    return t >= from && t < to;
+  });
+
+/** Whether an order counts toward revenue. */
+export const isRevenueOrder = (order) => !VOID_STATUSES.includes(normalizeStatus(order.status));
+
+/**
+ * Headline numbers for a set of orders.
+ * @param {Array<object>} orders
+ * @returns {{ revenue: number, orderCount: number, averageOrderValue: number,
+ *   cancellationRate: number, payment: object }}
+ */
+export function computeKpis(orders) {
+  const valid = orders.filter(isRevenueOrder);
+  const revenue = valid.reduce((sum, o) => sum + (Number(o.totalPrice) || 0), 0);
+  const cancelled = orders.filter((o) => normalizeStatus(o.status) === "cancelled").length;
+
+  const payment = { cod: { count: 0, revenue: 0 }, online: { count: 0, revenue: 0 }, other: { count: 0, revenue: 0 } };
+  valid.forEach((o) => {
+    const bucket = payment[getPaymentBucket(o.paymentMethod)];
+    bucket.count += 1;
+    bucket.revenue += Number(o.totalPrice) || 0;
+  });
+
+  return {
+    revenue,
+    orderCount: orders.length,
+    averageOrderValue: valid.length ? revenue / valid.length : 0,
+    cancellationRate: orders.length ? cancelled / orders.length : 0,
+    payment,
+  };
+}
+
+/**
+ * Start of the bucket a timestamp falls into.
+ * Weeks start on Monday.
+ * @param {number} time - Timestamp.
+ * @param {"day"|"week"|"month"} granularity
+ * @returns {Date}
+ */
+const bucketStart = (time, granularity) => {
+  const d = startOfDay(time);
+  if (granularity === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (granularity === "month") d.setDate(1);
+  return d;
+};
+
+/** Advances a bucket start to the next bucket. */
+const nextBucket = (date, granularity) => {
+  const d = new Date(date);
+  if (granularity === "day") d.setDate(d.getDate() + 1);
+  if (granularity === "week") d.setDate(d.getDate() + 7);
+  if (granularity === "month") d.setMonth(d.getMonth() + 1);
+  return d;
+};
+
+/** Short label for a bucket. */
+const bucketLabel = (date, granularity) =>
+  granularity === "month"
+    ? date.toLocaleDateString("en-US", { month: "short", year: "2-digit" })
+    : date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+/**
+ * Revenue and order count per day, week or month, including empty buckets.
+ * @param {Array<object>} orders - Orders already limited to the range.
+ * @param {{ from: number, to: number }} range
+ * @param {"day"|"week"|"month"} granularity
+ * @returns {Array<{ key: string, label: string, revenue: number, count: number }>}
+ */
+export function revenueSeries(orders, range, granularity) {
+  const buckets = new Map();
+  for (let d = bucketStart(range.from, granularity); d.getTime() < range.to; d = nextBucket(d, granularity)) {
+    buckets.set(toDateInput(d), { key: toDateInput(d), label: bucketLabel(d, granularity), revenue: 0, count: 0 });
+  }
+  orders.forEach((o) => {
+    const bucket = buckets.get(toDateInput(bucketStart(createdAt(o), granularity)));
+    if (!bucket) return;
+    bucket.count += 1;
+    if (isRevenueOrder(o)) bucket.revenue += Number(o.totalPrice) || 0;
+  });
+  return [...buckets.values()];
+}
+
+/**
+ * Best-selling dishes from `order.items`.
+ * @param {Array<object>} orders
+ * @param {Array<object>} [menu] - Menu items, used to attach category and image.
+ * @returns {Array<{ name: string, quantity: number, revenue: number, category?: string, image?: string }>}
+ */
+export function dishStats(orders, menu = []) {
+  const byName = new Map(menu.map((m) => [String(m.name || "").toLowerCase(), m]));
+  const stats = new Map();
+  orders.filter(isRevenueOrder).forEach((o) => {
+    (o.items || []).map(getLineItem).forEach((line) => {
+      const key = line.name.toLowerCase();
+      const entry = stats.get(key) || {
+        name: line.name,
+        quantity: 0,
+        revenue: 0,
+        category: byName.get(key)?.category,
+        image: line.image || byName.get(key)?.image,
+      };
+      entry.quantity += line.quantity;
+      entry.revenue += line.lineTotal;
+      stats.set(key, entry);
+    });
+  });
+  return [...stats.values()];
+}
+
+/**
+ * Dish sales rolled up by category, in category display order.
+ * Dishes whose category is unknown are grouped as "Uncategorised".
+ * @param {Array<object>} dishes - Output of dishStats.
+ * @param {Array<object>} categories - Categories from useCategories.
+ * @returns {Array<{ name: string, icon: string, quantity: number, revenue: number }>}
+ */
+export function categoryStats(dishes, categories) {
+  const rows = categories.map((c) => ({ name: c.name, icon: c.icon || "", quantity: 0, revenue: 0 }));
+  const other = { name: "Uncategorised", icon: "", quantity: 0, revenue: 0 };
+  dishes.forEach((dish) => {
+    const row = rows.find((r) => r.name === dish.category) || other;
+    row.quantity += dish.quantity;
+    row.revenue += dish.revenue;
+  });
+  return [...rows, other].filter((r) => r.quantity);
+}
+
+/**
+ * Order count per hour of day (local time).
+ * @param {Array<object>} orders
+ * @returns {Array<{ hour: number, label: string, count: number }>}
+ */
+export function ordersByHour(orders) {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, label: `${hour}:00`, count: 0 }));
+  orders.forEach((o) => {
+    const t = createdAt(o);
+    if (!Number.isNaN(t)) hours[new Date(t).getHours()].count += 1;
+  });
+  return hours;
+}
+
+/**
+ * Relative change between two values.
+ * @returns {number|null} Fraction (0.1 = +10%), or null when there is no baseline.
+ */
+export const percentChange = (current, previous) => (previous ? (current - previous) / previous : null);
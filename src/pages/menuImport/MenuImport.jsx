@@ -0,0 +1,300 @@
+/**
+ * @file MenuImport.jsx
+ * @description Bulk import of menu items from an Excel or CSV file.
+ * Every row is validated with the AddItem rules and shown in a preview with
+ * its errors; valid rows are then created through `/api/menu` with progress
+ * reporting, and rejected or failed rows can be downloaded as an error report.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Upload, FileDown, CircleCheck, CircleX, ArrowLeft } from "lucide-react";
+import { parseMenuFile, importMenuRow, IMPORT_FIELDS } from "./menuImport";
+import { runBatch } from "../../utils/runBatch";
+import { recordAudit } from "../../utils/auditLog";
+import { exportSheets } from "../../utils/exporter";
+import ExportMenu from "../../components/exportMenu/ExportMenu";
+import { useCategories } from "../../context/categories/useCategories";
+
+const ACCEPTED_TYPES = ".xlsx,.xls,.csv";
+
+const FIELD_LABELS = {
+  name: "Name",
+  description: "Description",
+  category: "Category",
+  price: "Price",
+  rating: "Rating",
+  popularity: "Popularity",
+  imageUrl: "Image URL",
+};
+
+// Columns of the downloadable error report
+const REPORT_COLUMNS = [
+  { header: "Row", value: (r) => r.rowNumber, type: "number" },
+  ...IMPORT_FIELDS.map((field) => ({ header: FIELD_LABELS[field], value: (r) => r.values[field], width: 20 })),
+  { header: "Errors", value: (r) => r.message, width: 60 },
+];
+
+const rowErrorText = (errors) => Object.values(errors).join("; ");
+
+export default function MenuImportPage() {
+  const navigate = useNavigate();
+  const { categoryNames } = useCategories();
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState([]);
+  const [missingColumns, setMissingColumns] = useState([]);
+  const [parseError, setParseError] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const validRows = rows.filter((r) => !Object.keys(r.errors).length);
+  const invalidRows = rows.filter((r) => Object.keys(r.errors).length);
+  const importing = Boolean(progress);
+
+  /**
+   * Parses the chosen file and resets any previous import.
+   * @param {File} file
+   */
+  const handleFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name);
+    setParseError("");
+    setResults(null);
+    try {
+      const parsed = await parseMenuFile(file, categoryNames);
+      setRows(parsed.rows);
+      setMissingColumns(parsed.missingColumns);
+    } catch (err) {
+      console.error("Import parse error:", err);
+      setRows([]);
+      setMissingColumns([]);
+      setParseError("Could not read this file: " + err.message);
+    }
+  };
+
+  /**
+   * Creates every valid row, a few at a time.
+   */
+  const handleImport = async () => {
+    if (!validRows.length) return;
+    setResults(null);
+    setProgress({ done: 0, total: validRows.length, failed: 0 });
+    const batch = await runBatch(validRows, importMenuRow, { onProgress: setProgress });
+    batch
+      .filter((r) => r.ok)
+      .forEach((r) =>
+        recordAudit({
+          action: "menuItem.import",
+          entityType: "menuItem",
+          entityId: r.value?.data?._id,
+          label: r.item.values.name,
+          after: r.item.values,
+        })
+      );
+    setProgress(null);
+    setResults(batch);
+  };
+
+  /**
+   * Downloads every rejected row (validation) and failed row (API) with its errors.
+   * @param {"xlsx"|"csv"|"json"} format
+   */
+  const downloadErrorReport = (format) => {
+    const failed = (results || []).filter((r) => !r.ok).map((r) => ({ ...r.item, message: r.error }));
+    const rejected = invalidRows.map((r) => ({ ...r, message: rowErrorText(r.errors) }));
+    const reportRows = [...rejected, ...failed].sort((a, b) => a.rowNumber - b.rowNumber);
+    exportSheets([{ name: "Import errors", columns: REPORT_COLUMNS, rows: reportRows }], {
+      format,
+      filename: `Menu_Import_Errors_${fileName.replace(/\.[^.]+$/, "")}`,
+    });
+  };
+
+  /** Downloads an empty template with the expected headers. */
+  const downloadTemplate = () => {
+    exportSheets(
+      [{ name: "Menu", columns: IMPORT_FIELDS.map((field) => ({ header: FIELD_LABELS[field], value: () => "" })), rows: [] }],
+      { format: "xlsx", filename: "Menu_Import_Template" }
+    );
+  };
+
+  const imported = results ? results.filter((r) => r.ok).length : 0;
+  const failedCount = results ? results.length - imported : 0;
+  const resultFor = (row) => results?.find((r) => r.item === row);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-gray-800/90 backdrop-blur-sm border border-gray-700 p-8 rounded-xl shadow-lg">
+          <div className="flex items-center justify-between mb-8">
+            <button
+              onClick={() => navigate("/listitem")}
+              className="flex items-center gap-1 text-sm text-gray-300 hover:text-white transition"
+            >
+              <ArrowLeft className="w-4 h-4" /> Back to menu
+            </button>
+            <h1 className="text-2xl font-bold text-amber-400">Import Menu Items</h1>
+            <button
+              onClick={downloadTemplate}
+              className="flex items-center gap-1 text-sm text-amber-400 hover:text-amber-300 transition"
+            >
+              <FileDown className="w-4 h-4" /> Template
+            </button>
+          </div>
+
+          {/* File picker / drop zone */}
+          <label
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={(e) => {
+              e.preventDefault();
+              setDragging(false);
+              handleFile(e.dataTransfer.files?.[0]);
+            }}
+            className={`flex flex-col items-center justify-center h-32 border-2 border-dashed rounded-lg cursor-pointer transition-colors bg-gray-700/50 ${
+              dragging ? "border-amber-400" : "border-amber-600 hover:border-amber-500"
+            }`}
+          >
+            <Upload className="w-8 h-8 text-amber-500 mb-2" />
+            <span className="text-amber-400 text-sm">
+              {fileName || "Drop an .xlsx or .csv file here, or click to choose"}
+            </span>
+            <span className="text-gray-400 text-xs mt-1">
+              Columns: {IMPORT_FIELDS.map((f) => FIELD_LABELS[f]).join(", ")}
+            </span>
+            <input
+              type="file"
+              accept={ACCEPTED_TYPES}
+              disabled={importing}
+              onChange={(e) => {
+                handleFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+              className="hidden"
+            />
+          </label>
+
+          {parseError && <p className="mt-4 text-sm text-red-300">{parseError}</p>}
+          {missingColumns.length > 0 && (
+            <p className="mt-4 text-sm text-red-300">
+              Missing required columns: {missingColumns.map((f) => FIELD_LABELS[f]).join(", ")}
+            </p>
+          )}
+
+          {rows.length > 0 && (
+            <>
+              {/* Summary + actions */}
+              <div className="flex flex-wrap items-center gap-4 mt-6 mb-4 text-sm">
+                <span className="text-gray-300">{rows.length} rows</span>
+                <span className="text-green-400">{validRows.length} valid</span>
+                <span className="text-red-400">{invalidRows.length} with errors</span>
+                {results && (
+                  <span className="text-amber-300">
+                    Imported {imported}
+                    {failedCount ? `, ${failedCount} failed` : ""}
+                  </span>
+                )}
+                <div className="ml-auto flex items-center gap-2">
+                  {(invalidRows.length > 0 || failedCount > 0) && (
+                    <ExportMenu
+                      onExport={downloadErrorReport}
+                      label="Error report"
+                      className="bg-red-800 hover:bg-red-700 text-white"
+                    />
+                  )}
+                  <button
+                    onClick={handleImport}
+                    disabled={importing || !validRows.length || Boolean(results)}
+                    className="px-4 py-1.5 rounded-lg text-xs font-semibold bg-orange-600 hover:bg-orange-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Import {validRows.length} valid rows
+                  </button>
+                </div>
+              </div>
+
+              {/* Progress */}
+              {progress && (
+                <div className="mb-4">
+                  <div className="h-2 rounded-full bg-gray-700 overflow-hidden">
+                    <div
+                      className="h-full bg-amber-500 transition-all"
+                      style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-400 mt-1">
+                    {progress.done} of {progress.total} processed
+                    {progress.failed ? ` · ${progress.failed} failed` : ""}
+                  </p>
+                </div>
+              )}
+
+              {/* Preview */}
+              <div className="overflow-x-auto">
+                <table className="min-w-[900px] w-full text-left text-xs">
+                  <thead>
+                    <tr className="text-amber-400 border-b border-gray-600">
+                      <th className="py-2 pr-2 font-medium">Row</th>
+                      {IMPORT_FIELDS.map((field) => (
+                        <th key={field} className="py-2 pr-2 font-medium">
+                          {FIELD_LABELS[field]}
+                        </th>
+                      ))}
+                      <th className="py-2 font-medium">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row) => {
+                      const result = resultFor(row);
+                      const hasErrors = Object.keys(row.errors).length > 0;
+                      return (
+                        <tr key={row.rowNumber} className={`border-b border-gray-700 ${hasErrors ? "bg-red-900/20" : ""}`}>
+                          <td className="py-2 pr-2 text-gray-400">{row.rowNumber}</td>
+                          {IMPORT_FIELDS.map((field) => (
+                            <td
+                              key={field}
+                              title={row.errors[field]}
+                              className={`py-2 pr-2 max-w-[180px] truncate ${
+                                row.errors[field] ? "text-red-300 underline decoration-dotted" : "text-gray-200"
+                              }`}
+                            >
+                              {row.values[field] || "—"}
+                            </td>
+                          ))}
+                          <td className="py-2 min-w-[200px]">
+                            {hasErrors ? (
+                              <span className="text-red-300">{rowErrorText(row.errors)}</span>
+                            ) : result ? (
+                              result.ok ? (
+                                <span className="flex items-center gap-1 text-green-400">
+                                  <CircleCheck className="w-3.5 h-3.5" /> Imported
+                                </span>
+                              ) : (
+                                <span className="flex items-center gap-1 text-red-300">
+                                  <CircleX className="w-3.5 h-3.5" /> {result.error}
+                                </span>
+                              )
+                            ) : (
+                              <span className="text-gray-400">Ready</span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+/**
+ * @file menuImport.js
+ * @description Reads menu items from an .xlsx or .csv file, validates every
+ * row with the AddItem rules and turns valid rows into `/api/menu` requests.
+ */
+
+import * as XLSX from "xlsx";
+import { validateMenuItem } from "../addItem/menuItemRules";
+import { createMenuItem } from "../../api/menu";
+
+export const IMPORT_FIELDS = ["name", "description", "category", "price", "rating", "popularity", "imageUrl"];
+
+// Accepted spellings for each column header (compared lowercased, without spaces/underscores)
+const HEADER_ALIASES = {
+  name: ["name", "dish", "dishname", "item", "itemname"],
+  description: ["description", "desc"],
+  category: ["category"],
+  price: ["price"],
+  rating: ["rating", "stars"],
+  popularity: ["popularity", "hearts", "likes"],
+  imageUrl: ["imageurl", "image", "imagelink", "photo", "url"],
+};
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[\s_-]/g, "");
+
+/**
+ * Maps raw spreadsheet headers to import fields.
+ * @param {Array<string>} headers
+ * @returns {object} `{ field: header }` for every recognised column.
+ */
+const mapHeaders = (headers) => {
+  const mapping = {};
+  headers.forEach((header) => {
+    const key = headerKey(header);
+    const field = Object.keys(HEADER_ALIASES).find((f) => HEADER_ALIASES[f].includes(key));
+    if (field && !mapping[field]) mapping[field] = header;
+  });
+  return mapping;
+};
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} rowNumber - Spreadsheet row number (header is row 1).
+ * @property {object} values - Trimmed field values.
+ * @property {object} errors - `{ field: message }` from validateMenuItem.
+ */
+
+/**
+ * Parses and validates the first sheet of a workbook file.
+ * @param {File} file - .xlsx, .xls or .csv file.
+ * @param {Array<string>} categoryNames - Known categories (from useCategories).
+ * @returns {Promise<{ rows: Array<ImportRow>, missingColumns: Array<string> }>}
+ */
+export async function parseMenuFile(file, categoryNames) {
+  const workbook = XLSX.read(await file.arrayBuffer());
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new Error("The file does not contain any sheets");
+
+  const records = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+  const headers = XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || [];
+  const mapping = mapHeaders(headers);
+  const missingColumns = ["name", "category", "price"].filter((field) => !mapping[field]);
+
+  const rows = records
+    .map((record) => {
+      const values = Object.fromEntries(
+        IMPORT_FIELDS.map((field) => [field, mapping[field] ? String(record[mapping[field]]).trim() : ""])
+      );
+      // __rowNum__ is SheetJS's 0-based source row
+      return { rowNumber: record.__rowNum__ + 1, values, errors: validateMenuItem(values, categoryNames) };
+    })
+    .filter((row) => Object.values(row.values).some(Boolean)); // skip blank lines
+
+  return { rows, missingColumns };
+}
+
+/**
+ * Attaches the image from `imageUrl`. The file is downloaded so the backend
+ * receives a normal upload; when the host blocks that (CORS), the URL is
+ * sent as an `imageUrl` field instead.
+ * @param {FormData} data - Request body to append to.
+ * @param {string} imageUrl - Absolute image URL.
+ */
+export const appendImageFromUrl = async (data, imageUrl) => {
+  try {
+    const response = await fetch(imageUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    const name = imageUrl.split("/").pop().split("?")[0] || "image";
+    data.append("image", new File([blob], name, { type: blob.type }));
+  } catch {
+    data.append("imageUrl", imageUrl);
+  }
+};
+
+/**
+ * Creates one menu item from a validated import row.
+ * @param {ImportRow} row
+ */
+export async function importMenuRow(row) {
+  const { imageUrl, ...fields } = row.values;
+  const data = new FormData();
+  data.append("name", fields.name);
+  data.append("description", fields.description);
+  data.append("category", fields.category);
+  data.append("price", Number(fields.price));
+  data.append("rating", Number(fields.rating) || 0);
+  data.append("popularity", Number(fields.popularity) || 0);
+  if (imageUrl) await appendImageFromUrl(data, imageUrl);
+  return createMenuItem(data);
+}
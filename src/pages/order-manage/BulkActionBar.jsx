@@ -0,0 +1,124 @@
+/**
+ * @file BulkActionBar.jsx
+ * @description Actions for the orders selected in OrderManagement, with a
+ * progress bar while a bulk action runs and a per-order result report.
+ */
+
+import { CircleCheck, CircleX, Trash2, FileSpreadsheet, X } from "lucide-react"
+import { orderRef } from "./orderDocuments"
+
+const BULK_ACTIONS = {
+  deliver: { label: "Mark delivered", icon: CircleCheck, className: "bg-green-700 hover:bg-green-600" },
+  cancel: { label: "Cancel", icon: CircleX, className: "bg-red-800 hover:bg-red-700" },
+  delete: { label: "Move to Trash", icon: Trash2, className: "bg-red-900 hover:bg-red-800" },
+  export: { label: "Export selected", icon: FileSpreadsheet, className: "bg-amber-700 hover:bg-amber-600" },
+}
+
+/**
+ * BulkActionBar Component
+ *
+ * @component
+ * @param {number} count - Number of selected orders.
+ * @param {{ done: number, total: number, failed: number }|null} progress - Running action progress.
+ * @param {{ action: string, results: Array<object> }|null} report - Last finished action.
+ * @param {Array<string>} [actions] - BULK_ACTIONS keys the user may run; all by default.
+ * @param {Function} onAction - Called with a BULK_ACTIONS key.
+ * @param {Function} onClearSelection - Deselects every order.
+ * @param {Function} onSelectFailed - Selects only the orders that failed in the report.
+ * @param {Function} onDismissReport - Hides the report.
+ */
+export default function BulkActionBar({
+  count,
+  progress,
+  report,
+  actions = Object.keys(BULK_ACTIONS),
+  onAction,
+  onClearSelection,
+  onSelectFailed,
+  onDismissReport,
+}) {
+  if (!count && !progress && !report) return null
+
+  const running = Boolean(progress)
+  const failed = report ? report.results.filter((r) => !r.ok) : []
+
+  return (
+    <div className="mb-4 rounded-xl border border-amber-700/60 bg-amber-900/40 p-3 text-xs text-amber-100">
+      {/* Actions */}
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold mr-2">{count} selected</span>
+        {actions.map((key) => {
+          const { label, icon, className } = BULK_ACTIONS[key]
+          const Icon = icon
+          return (
+            <button
+              key={key}
+              onClick={() => onAction(key)}
+              disabled={running || !count}
+              className={`flex items-center gap-1 text-white px-2.5 py-1.5 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+            >
+              <Icon className="h-3.5 w-3.5" /> {label}
+            </button>
+          )
+        })}
+        <button
+          onClick={onClearSelection}
+          disabled={running || !count}
+          className="ml-auto text-amber-300 hover:text-white disabled:opacity-50"
+        >
+          Clear selection
+        </button>
+      </div>
+
+      {/* Progress */}
+      {running && (
+        <div className="mt-3">
+          <div className="flex justify-between mb-1">
+            <span>Working… {progress.done} / {progress.total}</span>
+            {progress.failed > 0 && <span className="text-red-300">{progress.failed} failed</span>}
+          </div>
+          <div className="h-2 rounded bg-amber-950 overflow-hidden">
+            <div
+              className="h-full bg-amber-500 transition-all"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Report */}
+      {report && !running && (
+        <div className="mt-3 border-t border-amber-800/60 pt-3">
+          <div className="flex items-center gap-3 mb-2">
+            <span className="font-semibold">
+              {BULK_ACTIONS[report.action].label}: {report.results.length - failed.length} succeeded
+              {failed.length > 0 && <span className="text-red-300">, {failed.length} failed</span>}
+            </span>
+            {failed.length > 0 && (
+              <button onClick={onSelectFailed} className="text-amber-300 hover:text-white underline">
+                Select failed
+              </button>
+            )}
+            <button onClick={onDismissReport} className="ml-auto text-amber-300 hover:text-white" aria-label="Dismiss report">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <ul className="max-h-40 overflow-y-auto space-y-1">
+            {report.results.map((r) => (
+              <li key={r.item._id} className="flex items-center gap-2">
+                {r.ok ? (
+                  <CircleCheck className="h-3.5 w-3.5 text-green-400 shrink-0" />
+                ) : (
+                  <CircleX className="h-3.5 w-3.5 text-red-400 shrink-0" />
+                )}
+                <span className="font-mono">{orderRef(r.item)}</span>
+                <span className="text-amber-300 truncate">{r.item.email || r.item.phone}</span>
+                {!r.ok && <span className="text-red-300">{r.error}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,54 @@
+/**
+ * @file LiveFeedControls.jsx
+ * @description Live feed status indicator with sound and notification toggles.
+ */
+
+import { Radio, Bell, BellOff, Volume2, VolumeX } from "lucide-react"
+
+const MODE_LABELS = {
+  idle: { label: "Paused", dot: "bg-slate-400" },
+  connecting: { label: "Connecting…", dot: "bg-amber-400" },
+  stream: { label: "Live", dot: "bg-green-400 animate-pulse" },
+  polling: { label: "Live (polling)", dot: "bg-green-400" },
+  offline: { label: "Reconnecting…", dot: "bg-red-400" },
+}
+
+/**
+ * LiveFeedControls Component
+ *
+ * @component
+ * @param {string} mode - Feed mode from useLiveOrders.
+ * @param {{ sound: boolean, notifications: boolean }} prefs - Alert preferences.
+ * @param {Function} onToggle - Called with "sound" or "notifications".
+ */
+export default function LiveFeedControls({ mode, prefs, onToggle }) {
+  const { label, dot } = MODE_LABELS[mode] || MODE_LABELS.idle
+  const toggleClass = (on) =>
+    `p-1.5 rounded-lg border transition ${
+      on ? "border-amber-500 text-amber-200 bg-amber-800/40" : "border-amber-800/40 text-amber-400 hover:text-amber-200"
+    }`
+
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <span className="inline-flex items-center gap-1.5 px-2 py-1 rounded border border-amber-800/40 text-amber-200">
+        <Radio className="h-3.5 w-3.5" />
+        <span className={`h-2 w-2 rounded-full ${dot}`} />
+        {label}
+      </span>
+      <button
+        onClick={() => onToggle("sound")}
+        className={toggleClass(prefs.sound)}
+        title={prefs.sound ? "Mute new-order sound" : "Play a sound for new orders"}
+      >
+        {prefs.sound ? <Volume2 className="h-4 w-4" /> : <VolumeX className="h-4 w-4" />}
+      </button>
+      <button
+        onClick={() => onToggle("notifications")}
+        className={toggleClass(prefs.notifications)}
+        title={prefs.notifications ? "Turn off browser notifications" : "Notify me about new orders"}
+      >
+        {prefs.notifications ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+      </button>
+    </div>
+  )
+}
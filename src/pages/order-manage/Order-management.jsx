@@ -1,96 +1,122 @@
-import { useState, useEffect, useMemo } from "react"
-import { Truck, CreditCard, Wallet, DollarSign, Trash2, FileSpreadsheet } from "lucide-react"
-import * as XLSX from "xlsx"
-
-// Detect environment for API URLs
-const BASE_URL =
-  import.meta.env.VITE_API_BASE_URL ||
-  "https://1e20a7ed-cc85-497b-b510-b41debc2f036-00-1p28dt788ywz9.pike.replit.dev"
-
-const API = `${BASE_URL}/api/orders`
-
-// ✅ Status Pill Component
-function StatusPill({ tone, icon, children }) {
-  const colors = {
-    green: "bg-green-800/30 text-green-300 border-green-700/40",
-    amber: "bg-amber-800/30 text-amber-300 border-amber-700/40",
-    red: "bg-red-800/30 text-red-300 border-red-700/40",
-    blue: "bg-blue-800/30 text-blue-300 border-blue-700/40",
-    slate: "bg-slate-800/30 text-slate-300 border-slate-700/40",
-  }
-  return (
-    <span
-      className={`inline-flex items-center gap-1 px-2 py-1 rounded text-xs border whitespace-nowrap ${colors[tone]}`}
-    >
-      {icon}
-      {children}
-    </span>
-  )
-}
+import { useState, useEffect, useMemo, useCallback, useRef } from "react"
+import { useSearchParams, useParams, useNavigate } from "react-router-dom"
+import { Trash2, ArrowUp, ArrowDown, ArrowUpDown } from "lucide-react"
+import { fetchOrders, updateOrderStatus, deleteOrder as deleteOrderRequest } from "../../api/orders"
+import OrderToolbar from "./OrderToolbar"
+import OrderDetailDrawer from "./OrderDetailDrawer"
+import { readOrderFilters, filterOrders, sortOrders } from "./orderFilters"
+import OrderStatusSelect from "./OrderStatusSelect"
+import { currency, totalQty, formatDate, mergeOrders, latestOrderTimestamp, isDeleted } from "./orderUtils"
+import { statusLabel, canTransition, requiresConfirmation, isTerminal } from "./orderStatus"
+import StatusPill from "./StatusPill"
+import { getDeliveryPill, getPaymentPill } from "./orderPills"
+import useLiveOrders from "./useLiveOrders"
+import LiveFeedControls from "./LiveFeedControls"
+import PrintMenu from "./PrintMenu"
+import BulkActionBar from "./BulkActionBar"
+import ExportMenu from "../../components/exportMenu/ExportMenu"
+import { exportOrders } from "./orderExport"
+import { runBatch } from "../../utils/runBatch"
+import { useAuth } from "../../context/auth/useAuth"
+import useUndoToast from "../../hooks/useUndoToast"
+import { restoreFromTrash } from "../trash/trashSources"
+import { recordAudit, pickFields } from "../../utils/auditLog"
+import { orderRef } from "./orderDocuments"
+import { readAlertPrefs, saveAlertPrefs, requestNotificationPermission, playChime, notifyNewOrders } from "./orderAlerts"
 
-// ✅ Helpers
-const getDeliveryPill = (status) => {
-  switch (status) {
-    case "delivered":
-      return { label: "Delivered", tone: "green", icon: <Truck className="h-3.5 w-3.5" /> }
-    case "cancelled":
-      return { label: "Cancelled", tone: "red", icon: <Truck className="h-3.5 w-3.5" /> }
-    default:
-      return { label: "Out for Delivery", tone: "blue", icon: <Truck className="h-3.5 w-3.5" /> }
-  }
-}
+// ✅ Applies a successful status update locally, preferring the server's copy
+const withStatus = (order, newStatus, response) =>
+  response?.data?._id
+    ? { ...order, ...response.data }
+    : {
+        ...order,
+        status: newStatus,
+        statusHistory: [...(order.statusHistory || []), { status: newStatus, changedAt: new Date().toISOString() }],
+      }
 
-const getPaymentPill = (method) => {
-  const m = (method || "").toLowerCase()
-  if (m.includes("cod") || m.includes("cash"))
-    return { label: "COD", tone: "amber", icon: <Wallet className="h-3.5 w-3.5" /> }
-  if (m.includes("online") || m.includes("card") || m.includes("upi"))
-    return { label: "Online", tone: "blue", icon: <CreditCard className="h-3.5 w-3.5" /> }
-  return { label: method || "Pending", tone: "slate", icon: <DollarSign className="h-3.5 w-3.5" /> }
-}
+// ✅ Audit trail entries for order changes
+const ORDER_AUDIT_FIELDS = ["status", "totalPrice", "paymentMethod", "email", "phone", "address", "city", "createdAt"]
+
+const auditStatusChange = (order, newStatus) =>
+  recordAudit({
+    action: "order.status",
+    entityType: "order",
+    entityId: order._id,
+    label: orderRef(order),
+    before: { status: order.status },
+    after: { status: newStatus },
+  })
+
+const auditDelete = (order) =>
+  recordAudit({
+    action: "order.delete",
+    entityType: "order",
+    entityId: order._id,
+    label: orderRef(order),
+    before: pickFields(order, ORDER_AUDIT_FIELDS),
+  })
 
-const currency = (v) =>
-  new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 2 }).format(v)
+// ✅ Warning added to status confirmations when nothing can follow the new status
+const finalNote = (status) => (isTerminal(status) ? " This cannot be undone." : "")
 
-const totalQty = (items = []) => items.reduce((n, i) => n + (i.quantity || 0), 0)
+// Target status for each bulk status action
+const BULK_STATUS = { deliver: "delivered", cancel: "cancelled" }
 
-const formatDate = (d) => (d ? new Date(d).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "—")
+// How long newly arrived orders stay highlighted
+const NEW_ORDER_HIGHLIGHT_MS = 30000
+
+// ✅ Sortable column header
+function SortHeader({ field, filters, onSort, className = "", children }) {
+  const active = filters.sortField === field
+  const Icon = !active ? ArrowUpDown : filters.sortDir === "asc" ? ArrowUp : ArrowDown
+  return (
+    <th className={`px-3 py-3 font-semibold ${className}`}>
+      <button
+        onClick={() => onSort(field)}
+        className={`inline-flex items-center gap-1 hover:text-amber-100 ${active ? "text-amber-100" : ""}`}
+      >
+        {children}
+        <Icon className="h-3 w-3" />
+      </button>
+    </th>
+  )
+}
 
 export default function OrderManagement() {
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filters = useMemo(() => readOrderFilters(searchParams), [searchParams])
+  const { id: selectedId } = useParams()
+  const navigate = useNavigate()
 
-  const token = localStorage.getItem("token")
+  // ✅ What the signed-in role may do here
+  const { can } = useAuth()
+  const offerUndo = useUndoToast()
+  const canUpdate = can("orders.update")
+  const canDelete = can("orders.delete")
+  const canExport = can("data.export")
+  const bulkActions = [canUpdate && "deliver", canUpdate && "cancel", canDelete && "delete", canExport && "export"].filter(Boolean)
 
-  // ✅ Safe JSON parse helper
-  async function parseJsonSafely(response) {
-    const text = await response.text()
-    try {
-      return JSON.parse(text)
-    } catch {
-      throw new Error("Invalid server response (not JSON).")
-    }
-  }
+  // ✅ Detail drawer lives at /orders/:id (filters are kept in the query string)
+  const openOrder = useCallback(
+    (id) => navigate({ pathname: `/orders/${id}`, search: searchParams.toString() }),
+    [navigate, searchParams]
+  )
+  const closeOrder = useCallback(
+    () => navigate({ pathname: "/orders", search: searchParams.toString() }),
+    [navigate, searchParams]
+  )
+  const selectedOrder = selectedId ? orders.find((o) => o._id === selectedId) || null : null
 
   // ✅ Fetch Orders
   useEffect(() => {
-    async function fetchOrders() {
+    async function loadOrders() {
       setLoading(true)
       setError(null)
       try {
-        const orderRes = await fetch(API, {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: token ? `Bearer ${token}` : "",
-          },
-        })
-
-        const orderData = await parseJsonSafely(orderRes)
-
-        if (!orderRes.ok) throw new Error(orderData.message || "Failed to fetch orders")
-
-        setOrders(orderData.data || [])
+        setOrders(await fetchOrders())
       } catch (err) {
         console.error("Fetch error:", err)
         setError(err.message)
@@ -98,73 +124,204 @@ export default function OrderManagement() {
         setLoading(false)
       }
     }
-    fetchOrders()
-  }, [token])
+    loadOrders()
+  }, [])
 
-  // ✅ Update order status
-  async function updateStatus(id, newStatus) {
-    try {
-      const res = await fetch(`${API}/${id}`, {
-        method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: token ? `Bearer ${token}` : "",
-        },
-        body: JSON.stringify({ status: newStatus }),
-      })
+  // ✅ Row selection (checkboxes)
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const selectedOrders = useMemo(() => orders.filter((o) => selectedIds.has(o._id)), [orders, selectedIds])
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
 
-      const data = await parseJsonSafely(res)
+  // ✅ Live updates: merge new/changed orders, highlight and announce new ones
+  const ordersRef = useRef(orders)
+  useEffect(() => {
+    ordersRef.current = orders
+  }, [orders])
+  const [newIds, setNewIds] = useState(() => new Set())
+  const [alertPrefs, setAlertPrefs] = useState(readAlertPrefs)
 
-      if (!res.ok || !data.success) throw new Error(data.message || "Failed to update order")
+  const handleLiveOrders = (incoming) => {
+    const known = new Set(ordersRef.current.map((o) => o._id))
+    const added = incoming.filter((o) => !known.has(o._id) && !isDeleted(o))
+    setOrders((prev) => mergeOrders(prev, incoming))
+    if (!added.length) return
 
-      setOrders((prev) => prev.map((o) => (o._id === id ? { ...o, status: newStatus } : o)))
-    } catch (err) {
-      console.error("Update Error:", err)
-      alert("Error updating status: " + err.message)
+    const ids = added.map((o) => o._id)
+    setNewIds((prev) => new Set([...prev, ...ids]))
+    setTimeout(() => {
+      setNewIds((prev) => new Set([...prev].filter((id) => !ids.includes(id))))
+    }, NEW_ORDER_HIGHLIGHT_MS)
+
+    if (alertPrefs.sound) playChime()
+    if (alertPrefs.notifications) notifyNewOrders(added, openOrder)
+  }
+
+  const liveMode = useLiveOrders({
+    enabled: !loading && !error,
+    getCursor: () => latestOrderTimestamp(ordersRef.current),
+    onOrders: handleLiveOrders,
+  })
+
+  const toggleAlert = async (key) => {
+    const next = { ...alertPrefs, [key]: !alertPrefs[key] }
+    if (key === "notifications" && next.notifications && !(await requestNotificationPermission())) {
+      alert("Browser notifications are blocked for this site.")
+      return
     }
+    if (key === "sound" && next.sound) playChime()
+    setAlertPrefs(next)
+    saveAlertPrefs(next)
   }
 
-  // ✅ Delete order
-  async function deleteOrder(id) {
-    if (!window.confirm("Delete this order?")) return
-    try {
-      const res = await fetch(`${API}/${id}`, {
-        method: "DELETE",
-        headers: { Authorization: token ? `Bearer ${token}` : "" },
-      })
+  // ✅ Write filter changes to the query string
+  const updateFilters = (patch) => {
+    const next = new URLSearchParams(searchParams)
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === "" || value === null || value === undefined) next.delete(key)
+      else next.set(key, value)
+    })
+    setSearchParams(next, { replace: true })
+  }
 
-      const data = await parseJsonSafely(res)
+  // ✅ Toggle sort direction on the active column, or sort a new column descending
+  const handleSort = (field) => {
+    const dir = filters.sortField === field && filters.sortDir === "desc" ? "asc" : "desc"
+    updateFilters({ sort: `${field}_${dir}` })
+  }
 
-      if (!res.ok || !data.success) throw new Error(data.message || "Failed to delete order")
+  // ✅ Filtered + sorted view
+  const cities = useMemo(
+    () => [...new Set(orders.map((o) => (o.city || "").trim()).filter(Boolean))].sort(),
+    [orders]
+  )
+  const filteredOrders = useMemo(
+    () => sortOrders(filterOrders(orders, filters), filters.sortField, filters.sortDir),
+    [orders, filters]
+  )
+
+  const allVisibleSelected = filteredOrders.length > 0 && filteredOrders.every((o) => selectedIds.has(o._id))
+  const toggleAllVisible = () =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev)
+      filteredOrders.forEach((o) => (allVisibleSelected ? next.delete(o._id) : next.add(o._id)))
+      return next
+    })
+
+  // ✅ Update order status (only transitions allowed by the state machine)
+  const updateStatus = useCallback(async (id, newStatus) => {
+    const order = orders.find((o) => o._id === id)
+    if (!order || !canTransition(order.status, newStatus)) {
+      alert(`Cannot move this order from ${statusLabel(order?.status)} to ${statusLabel(newStatus)}.`)
+      return
+    }
+    if (
+      requiresConfirmation(newStatus) &&
+      !window.confirm(`Mark this order as ${statusLabel(newStatus)}?${finalNote(newStatus)}`)
+    )
+      return
 
+    try {
+      const res = await updateOrderStatus(id, newStatus)
+      auditStatusChange(order, newStatus)
+      setOrders((prev) => prev.map((o) => (o._id === id ? withStatus(o, newStatus, res) : o)))
+    } catch (err) {
+      console.error("Update Error:", err)
+      alert("Error updating status: " + err.message)
+    }
+  }, [orders])
+
+  // ✅ Put restored orders back into the table
+  const reinsertOrders = useCallback((restored) => setOrders((prev) => mergeOrders(prev, restored)), [])
+
+  // ✅ Delete order (moves it to the trash; the toast offers Undo)
+  const deleteOrder = useCallback(async (id) => {
+    try {
+      await deleteOrderRequest(id)
+      const order = orders.find((o) => o._id === id)
+      if (id === selectedId) closeOrder()
       setOrders((prev) => prev.filter((o) => o._id !== id))
+      if (!order) return
+      auditDelete(order)
+      offerUndo({
+        message: `Order ${orderRef(order)} moved to Trash`,
+        undo: () => restoreFromTrash("orders", order),
+        onUndone: () => reinsertOrders([order]),
+      })
     } catch (err) {
       console.error("Delete Error:", err)
       alert("Error deleting order: " + err.message)
     }
+  }, [orders, selectedId, closeOrder, offerUndo, reinsertOrders])
+
+  // ✅ Bulk actions on the selected orders; failures stay selected and in the table
+  const [bulkProgress, setBulkProgress] = useState(null)
+  const [bulkReport, setBulkReport] = useState(null)
+
+  async function runBulkAction(action) {
+    const targets = selectedOrders
+    if (!targets.length) return
+    if (action === "export") {
+      exportOrders(targets, { filename: "Orders_Selected" })
+      return
+    }
+
+    const newStatus = BULK_STATUS[action]
+    const prompt =
+      action === "delete"
+        ? `Move ${targets.length} orders to Trash?`
+        : `Mark ${targets.length} orders as ${statusLabel(newStatus)}?${finalNote(newStatus)}`
+    if (!window.confirm(prompt)) return
+
+    setBulkReport(null)
+    setBulkProgress({ done: 0, total: targets.length, failed: 0 })
+
+    const results = await runBatch(
+      targets,
+      async (order) => {
+        if (action === "delete") {
+          await deleteOrderRequest(order._id)
+          auditDelete(order)
+          return null
+        }
+        if (!canTransition(order.status, newStatus))
+          throw new Error(`Cannot move from ${statusLabel(order.status)} to ${statusLabel(newStatus)}`)
+        const res = await updateOrderStatus(order._id, newStatus)
+        auditStatusChange(order, newStatus)
+        return res
+      },
+      { onProgress: setBulkProgress }
+    )
+
+    const succeeded = new Map(results.filter((r) => r.ok).map((r) => [r.item._id, r.value]))
+    setOrders((prev) =>
+      action === "delete"
+        ? prev.filter((o) => !succeeded.has(o._id))
+        : prev.map((o) => (succeeded.has(o._id) ? withStatus(o, newStatus, succeeded.get(o._id)) : o))
+    )
+    if (action === "delete" && succeeded.has(selectedId)) closeOrder()
+    setSelectedIds(new Set(results.filter((r) => !r.ok).map((r) => r.item._id)))
+    setBulkProgress(null)
+    setBulkReport({ action, results })
+    if (action === "delete" && succeeded.size) offerBulkUndo(targets.filter((o) => succeeded.has(o._id)))
   }
 
-  // ✅ Excel Export
-  const exportOrdersToExcel = () => {
-    const formatted = orders.map((o) => ({
-      ID: o._id,
-      Name: `${o.firstName || ""} ${o.lastName || ""}`,
-      Email: o.email,
-      Phone: o.phone,
-      Address: o.address,
-      City: o.city,
-      ZipCode: o.zipCode,
-      Payment: o.paymentMethod,
-      Status: o.status,
-      TotalItems: totalQty(o.items),
-      TotalPrice: o.totalPrice,
-      CreatedAt: formatDate(o.createdAt),
-    }))
-    const ws = XLSX.utils.json_to_sheet(formatted)
-    const wb = XLSX.utils.book_new()
-    XLSX.utils.book_append_sheet(wb, ws, "Orders")
-    const buf = XLSX.write(wb, { bookType: "xlsx", type: "array" })
-    downloadFile(new Blob([buf]), "Orders_Report.xlsx")
+  // ✅ Undo for a bulk delete; orders that fail to restore stay in the trash
+  function offerBulkUndo(deleted) {
+    offerUndo({
+      message: `${deleted.length} ${deleted.length === 1 ? "order" : "orders"} moved to Trash`,
+      undo: async () => {
+        const results = await runBatch(deleted, (order) => restoreFromTrash("orders", order))
+        reinsertOrders(results.filter((r) => r.ok).map((r) => r.item))
+        const failed = results.filter((r) => !r.ok)
+        if (failed.length) throw new Error(`${failed.length} of ${deleted.length} orders are still in Trash`)
+      },
+    })
   }
 
   // ✅ Orders Table Content
@@ -172,7 +329,7 @@ export default function OrderManagement() {
     if (loading)
       return (
         <tr>
-          <td colSpan={9} className="py-6 text-center text-amber-200">
+          <td colSpan={10} className="py-6 text-center text-amber-200">
             Loading orders…
           </td>
         </tr>
@@ -180,7 +337,7 @@ export default function OrderManagement() {
     if (error)
       return (
         <tr>
-          <td colSpan={9} className="py-6 text-center text-red-200">
+          <td colSpan={10} className="py-6 text-center text-red-200">
             {error}
           </td>
         </tr>
@@ -188,18 +345,46 @@ export default function OrderManagement() {
     if (!orders.length)
       return (
         <tr>
-          <td colSpan={9} className="py-6 text-center text-amber-200">
+          <td colSpan={10} className="py-6 text-center text-amber-200">
             No orders found
           </td>
         </tr>
       )
+    if (!filteredOrders.length)
+      return (
+        <tr>
+          <td colSpan={10} className="py-6 text-center text-amber-200">
+            No orders match these filters
+          </td>
+        </tr>
+      )
 
-    return orders.map((order) => {
+    return filteredOrders.map((order) => {
       const payment = getPaymentPill(order.paymentMethod)
       const delivery = getDeliveryPill(order.status)
       return (
-        <tr key={order._id} className="border-t border-amber-800/40 hover:bg-amber-900/40 transition-colors">
-          <td className="px-3 py-3 text-amber-200 text-xs">{order.email || order.phone || "—"}</td>
+        <tr
+          key={order._id}
+          onClick={() => openOrder(order._id)}
+          className={`border-t border-amber-800/40 hover:bg-amber-900/40 transition-colors cursor-pointer ${
+            order._id === selectedId ? "bg-amber-900/50" : newIds.has(order._id) ? "bg-green-900/40" : ""
+          }`}
+        >
+          <td className="px-3 py-3" onClick={(e) => e.stopPropagation()}>
+            <input
+              type="checkbox"
+              checked={selectedIds.has(order._id)}
+              onChange={() => toggleSelected(order._id)}
+              className="accent-amber-500"
+              aria-label="Select order"
+            />
+          </td>
+          <td className="px-3 py-3 text-amber-200 text-xs">
+            {newIds.has(order._id) && (
+              <span className="mr-1.5 px-1.5 py-0.5 rounded bg-green-700 text-white text-[10px] font-semibold">NEW</span>
+            )}
+            {order.email || order.phone || "—"}
+          </td>
           <td className="px-3 py-3 text-xs text-amber-300">
             {order.address}, {order.city}
           </td>
@@ -211,27 +396,20 @@ export default function OrderManagement() {
               {payment.label}
             </StatusPill>
           </td>
-          <td className="px-3 py-3">
-            <select
-              value={order.status}
-              onChange={(e) => updateStatus(order._id, e.target.value)}
-              className="bg-amber-900/40 text-amber-200 text-xs rounded px-2 py-1"
-            >
-              <option value="pending">Processing</option>
-              <option value="delivered">Delivered</option>
-              <option value="cancelled">Cancelled</option>
-            </select>
+          <td className="px-3 py-3" onClick={(e) => e.stopPropagation()}>
+            <OrderStatusSelect order={order} onChange={updateStatus} disabled={!canUpdate} />
           </td>
           <td className="px-3 py-3">
             <StatusPill tone={delivery.tone} icon={delivery.icon}>
               {delivery.label}
             </StatusPill>
           </td>
-          <td className="px-3 py-3">
+          <td className="px-3 py-3" onClick={(e) => e.stopPropagation()}>
             <button
               onClick={() => deleteOrder(order._id)}
-              className="text-red-400 hover:text-red-300 transition"
-              title="Delete Order"
+              disabled={!canDelete}
+              className="text-red-400 hover:text-red-300 transition disabled:opacity-30 disabled:cursor-not-allowed"
+              title={canDelete ? "Delete Order" : "Your role cannot delete orders"}
             >
               <Trash2 className="h-4 w-4" />
             </button>
@@ -239,30 +417,89 @@ export default function OrderManagement() {
         </tr>
       )
     })
-  }, [orders, loading, error])
+  }, [
+    orders,
+    filteredOrders,
+    loading,
+    error,
+    selectedId,
+    newIds,
+    selectedIds,
+    canUpdate,
+    canDelete,
+    openOrder,
+    updateStatus,
+    deleteOrder,
+  ])
 
   return (
     <section>
-      <div className="flex justify-between items-center mb-6">
-        <h1 className="text-lg sm:text-xl font-semibold text-amber-200">Orders Management</h1>
-        <button
-          onClick={exportOrdersToExcel}
-          className="flex items-center gap-2 bg-green-700 hover:bg-green-600 text-white px-3 py-1.5 rounded-lg text-xs"
-        >
-          <FileSpreadsheet className="w-4 h-4" /> Export Excel
-        </button>
+      <div className="flex flex-wrap gap-3 justify-between items-center mb-6">
+        <h1 className="text-lg sm:text-xl font-semibold text-amber-200">
+          Orders Management
+          {!loading && !error && (
+            <span className="ml-2 text-xs font-normal text-amber-400">
+              {filteredOrders.length} of {orders.length}
+            </span>
+          )}
+        </h1>
+        <div className="flex items-center gap-3">
+          <LiveFeedControls mode={liveMode} prefs={alertPrefs} onToggle={toggleAlert} />
+          <PrintMenu orders={selectedOrders} label={`Print selected (${selectedOrders.length})`} />
+          {canExport && (
+            <ExportMenu
+              onExport={(format) => exportOrders(filteredOrders, { format })}
+              disabled={!filteredOrders.length}
+            />
+          )}
+        </div>
       </div>
 
+      <OrderToolbar
+        filters={filters}
+        cities={cities}
+        onChange={updateFilters}
+        onReset={() => setSearchParams({}, { replace: true })}
+      />
+
+      <BulkActionBar
+        count={selectedOrders.length}
+        progress={bulkProgress}
+        report={bulkReport}
+        actions={bulkActions}
+        onAction={runBulkAction}
+        onClearSelection={() => setSelectedIds(new Set())}
+        onSelectFailed={() =>
+          setSelectedIds(new Set(bulkReport.results.filter((r) => !r.ok).map((r) => r.item._id)))
+        }
+        onDismissReport={() => setBulkReport(null)}
+      />
+
       <div className="rounded-xl border border-amber-800/40 bg-amber-900/30 shadow-sm overflow-hidden">
         <div className="overflow-x-auto scrollbar-thin scrollbar-thumb-amber-700/60 scrollbar-track-transparent">
           <table className="min-w-[960px] w-full text-left text-xs sm:text-sm">
             <thead className="sticky top-0 bg-amber-950/90">
               <tr className="text-amber-300">
+                <th className="px-3 py-3">
+                  <input
+                    type="checkbox"
+                    checked={allVisibleSelected}
+                    onChange={toggleAllVisible}
+                    className="accent-amber-500"
+                    aria-label="Select all shown orders"
+                  />
+                </th>
                 <th className="px-3 py-3 font-semibold">Login</th>
                 <th className="px-3 py-3 font-semibold">Address</th>
-                <th className="px-3 py-3 text-center font-semibold">Total Items</th>
-                <th className="px-3 py-3 font-semibold">Price</th>
-                <th className="px-3 py-3 font-semibold">Created</th>
+                <SortHeader field="items" filters={filters} onSort={handleSort} className="text-center">
+                  Total Items
+                </SortHeader>
+                <SortHeader field="price" filters={filters} onSort={handleSort}>
+                  Price
+                </SortHeader>
+                <SortHeader field="createdAt" filters={filters} onSort={handleSort}>
+                  Created
+                </SortHeader>
                 <th className="px-3 py-3 font-semibold">Payment</th>
                 <th className="px-3 py-3 font-semibold">Status</th>
                 <th className="px-3 py-3 font-semibold">Delivery</th>
@@ -273,6 +510,15 @@ export default function OrderManagement() {
           </table>
         </div>
       </div>
+
+      <OrderDetailDrawer
+        isOpen={Boolean(selectedId)}
+        order={selectedOrder}
+        loading={loading}
+        onClose={closeOrder}
+        onStatusChange={canUpdate ? updateStatus : null}
+        onDelete={canDelete ? deleteOrder : null}
+      />
     </section>
   )
 }
@@ -0,0 +1,210 @@
+/**
+ * @file OrderDetailDrawer.jsx
+ * @description Slide-over panel showing a single order: line items with
+ * quantities and unit prices, customer and address block, payment method and
+ * status history. Status changes, printing and delete are available from here.
+ */
+
+import { useEffect } from "react"
+import { motion, AnimatePresence } from "framer-motion"
+import { X, Trash2, User, MapPin, Clock, Package } from "lucide-react"
+import StatusPill from "./StatusPill"
+import { getDeliveryPill, getPaymentPill } from "./orderPills"
+import OrderStatusSelect from "./OrderStatusSelect"
+import PrintMenu from "./PrintMenu"
+import { currency, formatDate, getLineItem, formatLineOptions, customerName, getStatusHistory } from "./orderUtils"
+import { statusLabel } from "./orderStatus"
+
+// ✅ Section wrapper
+function Section({ icon, title, children }) {
+  return (
+    <section className="mb-6">
+      <h3 className="flex items-center gap-2 text-amber-300 text-sm font-semibold mb-2">
+        {icon}
+        {title}
+      </h3>
+      {children}
+    </section>
+  )
+}
+
+/**
+ * OrderDetailDrawer Component
+ *
+ * @component
+ * @param {object|null} order - Order to show (null while loading or when not found).
+ * @param {boolean} isOpen - Whether the drawer is visible.
+ * @param {boolean} loading - Orders are still loading.
+ * @param {Function} onClose - Closes the drawer.
+ * @param {Function|null} onStatusChange - Called with (id, status); null makes the status read-only.
+ * @param {Function|null} onDelete - Called with the order id; null hides the delete button.
+ */
+export default function OrderDetailDrawer({ order, isOpen, loading, onClose, onStatusChange, onDelete }) {
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return undefined
+    const handleEsc = (e) => {
+      if (e.key === "Escape") onClose()
+    }
+    window.addEventListener("keydown", handleEsc)
+    return () => window.removeEventListener("keydown", handleEsc)
+  }, [isOpen, onClose])
+
+  const renderBody = () => {
+    if (!order)
+      return (
+        <p className="text-amber-200 text-sm text-center py-12">{loading ? "Loading order…" : "Order not found."}</p>
+      )
+
+    const lines = (order.items || []).map(getLineItem)
+    const subtotal = lines.reduce((sum, l) => sum + l.lineTotal, 0)
+    const payment = getPaymentPill(order.paymentMethod)
+    const delivery = getDeliveryPill(order.status)
+
+    return (
+      <>
+        {/* Status + actions */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <StatusPill tone={delivery.tone} icon={delivery.icon}>
+            {delivery.label}
+          </StatusPill>
+          <StatusPill tone={payment.tone} icon={payment.icon}>
+            {payment.label}
+          </StatusPill>
+          <OrderStatusSelect
+            order={order}
+            onChange={onStatusChange}
+            disabled={!onStatusChange}
+            className="ml-auto"
+          />
+          <PrintMenu orders={[order]} />
+          {onDelete && (
+            <button
+              onClick={() => onDelete(order._id)}
+              className="flex items-center gap-1 text-red-400 hover:text-red-300 text-xs transition"
+            >
+              <Trash2 className="h-4 w-4" /> Delete
+            </button>
+          )}
+        </div>
+
+        {/* Line items */}
+        <Section icon={<Package className="h-4 w-4" />} title="Items">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-amber-400 text-left">
+                <th className="py-1 font-medium">Dish</th>
+                <th className="py-1 font-medium text-center">Qty</th>
+                <th className="py-1 font-medium text-right">Unit</th>
+                <th className="py-1 font-medium text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((l, idx) => (
+                <tr key={`${l.id}-${idx}`} className="border-t border-amber-800/40 text-amber-100">
+                  <td className="py-2">
+                    {l.name}
+                    {l.options.length > 0 && (
+                      <p className="text-[11px] text-amber-300/80 mt-0.5">{formatLineOptions(l)}</p>
+                    )}
+                  </td>
+                  <td className="py-2 text-center">{l.quantity}</td>
+                  <td className="py-2 text-right">{currency(l.unitPrice)}</td>
+                  <td className="py-2 text-right">{currency(l.lineTotal)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              {Math.abs(subtotal - Number(order.totalPrice || 0)) > 0.005 && (
+                <tr className="border-t border-amber-800/40 text-amber-300">
+                  <td colSpan={3} className="py-1 text-right">Items subtotal</td>
+                  <td className="py-1 text-right">{currency(subtotal)}</td>
+                </tr>
+              )}
+              <tr className="border-t border-amber-800/40 text-amber-100 font-semibold">
+                <td colSpan={3} className="py-2 text-right">Order total</td>
+                <td className="py-2 text-right">{currency(order.totalPrice || 0)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </Section>
+
+        {/* Customer */}
+        <Section icon={<User className="h-4 w-4" />} title="Customer">
+          <dl className="grid grid-cols-[90px_1fr] gap-y-1 text-xs">
+            <dt className="text-amber-400">Name</dt>
+            <dd className="text-amber-100">{customerName(order)}</dd>
+            <dt className="text-amber-400">Email</dt>
+            <dd className="text-amber-100 break-all">{order.email || "—"}</dd>
+            <dt className="text-amber-400">Phone</dt>
+            <dd className="text-amber-100">{order.phone || "—"}</dd>
+            <dt className="text-amber-400">Payment</dt>
+            <dd className="text-amber-100">{order.paymentMethod || "—"}</dd>
+          </dl>
+        </Section>
+
+        {/* Address */}
+        <Section icon={<MapPin className="h-4 w-4" />} title="Delivery address">
+          <p className="text-xs text-amber-100">
+            {order.address || "—"}
+            <br />
+            {[order.city, order.zipCode].filter(Boolean).join(" ")}
+          </p>
+          {order.notes && (
+            <p className="mt-2 text-xs text-amber-200 bg-amber-900/40 rounded p-2">
+              <span className="text-amber-400">Notes: </span>
+              {order.notes}
+            </p>
+          )}
+        </Section>
+
+        {/* Status history */}
+        <Section icon={<Clock className="h-4 w-4" />} title="Status history">
+          <ol className="border-l border-amber-800/60 ml-1 space-y-2">
+            {getStatusHistory(order).map((h, idx) => (
+              <li key={idx} className="pl-3 text-xs">
+                <span className="text-amber-100 font-medium">
+                  {h.status === "placed" ? "Order placed" : statusLabel(h.status)}
+                </span>
+                <span className="text-amber-400 ml-2">{formatDate(h.changedAt)}</span>
+                {h.changedBy && <span className="text-amber-400/80 ml-2">by {h.changedBy}</span>}
+              </li>
+            ))}
+          </ol>
+        </Section>
+      </>
+    )
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-40 flex justify-end bg-black/50" onClick={onClose}>
+          <motion.aside
+            initial={{ x: "100%" }}
+            animate={{ x: 0 }}
+            exit={{ x: "100%" }}
+            transition={{ duration: 0.25, ease: "easeOut" }}
+            onClick={(e) => e.stopPropagation()}
+            className="w-full max-w-md h-full overflow-y-auto bg-amber-950 border-l border-amber-800/60 p-5 shadow-2xl"
+          >
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-amber-200">Order details</h2>
+                {order && (
+                  <p className="text-xs text-amber-400">
+                    #{order._id} · {formatDate(order.createdAt)}
+                  </p>
+                )}
+              </div>
+              <button onClick={onClose} className="text-amber-400 hover:text-amber-200" aria-label="Close">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            {renderBody()}
+          </motion.aside>
+        </div>
+      )}
+    </AnimatePresence>
+  )
+}
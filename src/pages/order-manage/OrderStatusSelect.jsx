@@ -0,0 +1,38 @@
+/**
+ * @file OrderStatusSelect.jsx
+ * @description Status dropdown that only offers the transitions allowed by
+ * the order state machine from the order's current status.
+ */
+
+import { ORDER_STATUSES, normalizeStatus, getNextStatuses } from "./orderStatus"
+
+/**
+ * OrderStatusSelect Component
+ *
+ * @component
+ * @param {object} order - Order whose status is edited.
+ * @param {Function} onChange - Called with (id, nextStatus).
+ * @param {boolean} [disabled] - Read-only, e.g. when the user's role cannot change orders.
+ * @param {string} [className] - Extra classes.
+ */
+export default function OrderStatusSelect({ order, onChange, disabled = false, className = "" }) {
+  const current = normalizeStatus(order.status)
+  const next = getNextStatuses(current)
+
+  return (
+    <select
+      value={current}
+      disabled={disabled || !next.length}
+      onChange={(e) => onChange(order._id, e.target.value)}
+      className={`bg-amber-900/40 text-amber-200 text-xs rounded px-2 py-1 disabled:opacity-60 ${className}`}
+      title={disabled ? "Your role cannot change order status" : next.length ? "Change status" : "No further status changes"}
+    >
+      <option value={current}>{ORDER_STATUSES[current].label}</option>
+      {next.map((status) => (
+        <option key={status} value={status}>
+          → {ORDER_STATUSES[status].label}
+        </option>
+      ))}
+    </select>
+  )
+}
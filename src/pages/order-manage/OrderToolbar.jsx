@@ -0,0 +1,113 @@
+/**
+ * @file OrderToolbar.jsx
+ * @description Search and filter toolbar for OrderManagement.
+ * Values come from (and are written back to) the URL query string.
+ */
+
+import { Search, X } from "lucide-react"
+import { PAYMENT_BUCKETS } from "./orderUtils"
+import { ORDER_STATUSES } from "./orderStatus"
+
+const inputClass =
+  "bg-amber-900/40 border border-amber-800/40 text-amber-100 placeholder-amber-400/60 text-xs rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-amber-500"
+
+const labelClass = "block text-amber-300 text-xs font-medium mb-1"
+
+/**
+ * OrderToolbar Component
+ *
+ * @component
+ * @param {object} filters - Current state from readOrderFilters.
+ * @param {Array<string>} cities - City names offered in the filter.
+ * @param {Function} onChange - Called with a partial `{ key: value }` update.
+ * @param {Function} onReset - Clears every filter.
+ */
+export default function OrderToolbar({ filters, cities, onChange, onReset }) {
+  return (
+    <div className="flex flex-wrap items-end gap-3 mb-4">
+      {/* Text search */}
+      <div className="flex-1 min-w-[200px]">
+        <label className={labelClass}>Search</label>
+        <div className="relative">
+          <Search className="w-3.5 h-3.5 text-amber-400 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            placeholder="Email, phone or address"
+            value={filters.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+            className={`${inputClass} w-full pl-7`}
+          />
+        </div>
+      </div>
+
+      {/* Status */}
+      <div>
+        <label className={labelClass}>Status</label>
+        <select value={filters.status} onChange={(e) => onChange({ status: e.target.value })} className={inputClass}>
+          <option value="">All statuses</option>
+          {Object.entries(ORDER_STATUSES).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Payment bucket */}
+      <div>
+        <label className={labelClass}>Payment</label>
+        <select value={filters.payment} onChange={(e) => onChange({ payment: e.target.value })} className={inputClass}>
+          <option value="">All payments</option>
+          {Object.entries(PAYMENT_BUCKETS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* City */}
+      <div>
+        <label className={labelClass}>City</label>
+        <select value={filters.city} onChange={(e) => onChange({ city: e.target.value })} className={inputClass}>
+          <option value="">All cities</option>
+          {cities.map((city) => (
+            <option key={city} value={city}>
+              {city}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Created date range */}
+      <div>
+        <label className={labelClass}>Created</label>
+        <div className="flex items-center gap-1">
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => onChange({ from: e.target.value })}
+            className={inputClass}
+          />
+          <span className="text-amber-400">–</span>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => onChange({ to: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <button
+        type="button"
+        onClick={onReset}
+        className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-xs text-amber-300 hover:text-white hover:bg-amber-900/40 transition"
+      >
+        <X className="w-3.5 h-3.5" /> Clear
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,111 @@
+/**
+ * @file PrintMenu.jsx
+ * @description Dropdown for printing kitchen tickets or customer receipts,
+ * or downloading them as PDF, for one or more orders.
+ */
+
+import { useState, useEffect, useRef } from "react"
+import { Printer, FileDown, ChevronDown } from "lucide-react"
+import { DOCUMENT_TYPES, PAPER_SIZES, printDocuments } from "./orderDocuments"
+
+const PAPER_KEY = "printPaper"
+
+/**
+ * PrintMenu Component
+ *
+ * @component
+ * @param {Array<object>} orders - Orders to print.
+ * @param {string} [label] - Button label.
+ */
+export default function PrintMenu({ orders, label = "Print" }) {
+  const [open, setOpen] = useState(false)
+  const [paper, setPaper] = useState(() => (Object.hasOwn(PAPER_SIZES, localStorage.getItem(PAPER_KEY)) ? localStorage.getItem(PAPER_KEY) : "thermal"))
+  const [busy, setBusy] = useState(false)
+  const ref = useRef(null)
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return undefined
+    const handleClick = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener("mousedown", handleClick)
+    return () => document.removeEventListener("mousedown", handleClick)
+  }, [open])
+
+  const choosePaper = (value) => {
+    setPaper(value)
+    localStorage.setItem(PAPER_KEY, value)
+  }
+
+  const handlePrint = (type) => {
+    setOpen(false)
+    printDocuments(orders, { type, paper })
+  }
+
+  const handlePdf = async (type) => {
+    setBusy(true)
+    try {
+      const { downloadDocumentsPdf } = await import("./orderPdf")
+      downloadDocumentsPdf(orders, { type, paper })
+      setOpen(false)
+    } catch (err) {
+      console.error("PDF error:", err)
+      alert("Could not create PDF: " + err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="relative" ref={ref} onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        disabled={!orders.length}
+        className="flex items-center gap-1.5 bg-amber-800/60 hover:bg-amber-700/60 text-amber-100 px-3 py-1.5 rounded-lg text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Printer className="w-4 h-4" /> {label}
+        <ChevronDown className="w-3 h-3" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-60 z-30 rounded-lg border border-amber-800/60 bg-amber-950 shadow-xl p-3 text-xs text-amber-100">
+          <div className="flex gap-1 mb-3">
+            {Object.entries(PAPER_SIZES).map(([value, { label: paperLabel }]) => (
+              <button
+                key={value}
+                onClick={() => choosePaper(value)}
+                className={`flex-1 px-2 py-1 rounded border ${
+                  paper === value ? "border-amber-500 bg-amber-800/50" : "border-amber-800/40 hover:border-amber-600"
+                }`}
+              >
+                {paperLabel}
+              </button>
+            ))}
+          </div>
+
+          {Object.entries(DOCUMENT_TYPES).map(([type, typeLabel]) => (
+            <div key={type} className="flex items-center justify-between py-1.5 border-t border-amber-800/40">
+              <span>{typeLabel}</span>
+              <span className="flex gap-1">
+                <button onClick={() => handlePrint(type)} className="p-1 rounded hover:bg-amber-800/50" title="Print">
+                  <Printer className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handlePdf(type)}
+                  disabled={busy}
+                  className="p-1 rounded hover:bg-amber-800/50 disabled:opacity-50"
+                  title="Download PDF"
+                >
+                  <FileDown className="w-4 h-4" />
+                </button>
+              </span>
+            </div>
+          ))}
+
+          {orders.length > 1 && <p className="mt-2 text-amber-400">{orders.length} orders, one per page</p>}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+/**
+ * @file StatusPill.jsx
+ * @description Small coloured badge used for order status and payment labels.
+ */
+
+export default function StatusPill({ tone, icon, children }) {
+  const colors = {
+    green: "bg-green-800/30 text-green-300 border-green-700/40",
+    amber: "bg-amber-800/30 text-amber-300 border-amber-700/40",
+    red: "bg-red-800/30 text-red-300 border-red-700/40",
+    blue: "bg-blue-800/30 text-blue-300 border-blue-700/40",
+    slate: "bg-slate-800/30 text-slate-300 border-slate-700/40",
+  }
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-1 rounded text-xs border whitespace-nowrap ${colors[tone]}`}
+    >
+      {icon}
+      {children}
+    </span>
+  )
+}
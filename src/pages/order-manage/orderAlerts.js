@@ -0,0 +1,83 @@
+/**
+ * @file orderAlerts.js
+ * @description Sound and browser notification alerts for new orders.
+ * Preferences are remembered per browser in localStorage.
+ */
+
+import { currency, customerName } from "./orderUtils"
+
+const PREFS_KEY = "orderAlerts"
+
+/**
+ * Reads the saved alert preferences.
+ * @returns {{ sound: boolean, notifications: boolean }}
+ */
+export function readAlertPrefs() {
+  try {
+    return { sound: false, notifications: false, ...JSON.parse(localStorage.getItem(PREFS_KEY)) }
+  } catch {
+    return { sound: false, notifications: false }
+  }
+}
+
+/**
+ * Saves alert preferences.
+ * @param {{ sound: boolean, notifications: boolean }} prefs
+ */
+export function saveAlertPrefs(prefs) {
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs))
+}
+
+/**
+ * Asks for browser notification permission.
+ * @returns {Promise<boolean>} Whether notifications may be shown.
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === "undefined") return false
+  if (Notification.permission === "granted") return true
+  if (Notification.permission === "denied") return false
+  return (await Notification.requestPermission()) === "granted"
+}
+
+/**
+ * Plays a short two-tone chime using the Web Audio API (no asset needed).
+ */
+export function playChime() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext
+  if (!AudioCtx) return
+  const ctx = new AudioCtx()
+  ;[880, 1320].forEach((freq, i) => {
+    const osc = ctx.createOscillator()
+    const gain = ctx.createGain()
+    const start = ctx.currentTime + i * 0.18
+    osc.frequency.value = freq
+    gain.gain.setValueAtTime(0.2, start)
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3)
+    osc.connect(gain).connect(ctx.destination)
+    osc.start(start)
+    osc.stop(start + 0.3)
+  })
+  setTimeout(() => ctx.close(), 1000)
+}
+
+/**
+ * Shows a browser notification for newly received orders.
+ * @param {Array<object>} orders - New orders.
+ * @param {Function} [onClick] - Called with the order id when the notification is clicked.
+ */
+export function notifyNewOrders(orders, onClick) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted" || !orders.length) return
+  const [first] = orders
+  const notification = new Notification(orders.length === 1 ? "New order" : `${orders.length} new orders`, {
+    body:
+      orders.length === 1
+        ? `${customerName(first)} · ${currency(first.totalPrice || 0)}`
+        : orders.map((o) => currency(o.totalPrice || 0)).join(", "),
+    tag: "new-orders",
+  })
+  notification.onclick = () => {
+    window.focus()
+    if (onClick) onClick(first._id)
+    notification.close()
+  }
+}
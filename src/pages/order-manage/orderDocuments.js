@@ -0,0 +1,182 @@
+/**
+ * @file orderDocuments.js
+ * @description Kitchen tickets and customer receipts for orders.
+ * Each document is described once as a list of blocks, which are then
+ * rendered either to print-optimized HTML (this file) or to PDF (orderPdf.js),
+ * for 80mm thermal printers or A4 paper.
+ */
+
+import { currency, formatDate, getLineItem, formatLineOptions, customerName } from "./orderUtils"
+import { statusLabel } from "./orderStatus"
+
+export const DOCUMENT_TYPES = {
+  kitchen: "Kitchen ticket",
+  receipt: "Customer receipt",
+}
+
+export const PAPER_SIZES = {
+  thermal: { label: "80mm thermal", widthMm: 80, marginMm: 4 },
+  a4: { label: "A4", widthMm: 210, heightMm: 297, marginMm: 15 },
+}
+
+const BRAND = "Foodie-Frenzy"
+
+// Short, readable order reference for tickets
+export const orderRef = (order) => `#${String(order._id || "").slice(-6).toUpperCase()}`
+
+/**
+ * Describes a kitchen ticket: items, quantities, notes and order time. No prices.
+ * @param {object} order - Order.
+ * @returns {Array<object>} Blocks.
+ */
+export function buildKitchenTicket(order) {
+  const lines = (order.items || []).map(getLineItem)
+  return [
+    { type: "title", text: `KITCHEN ${orderRef(order)}` },
+    { type: "text", text: formatDate(order.createdAt), align: "center" },
+    { type: "divider" },
+    ...lines.flatMap((l) => [
+      { type: "row", left: `${l.quantity} x ${l.name}`, right: "", strong: true },
+      ...l.options.map((o) => ({ type: "text", text: `  + ${o.group ? `${o.group}: ` : ""}${o.name}` })),
+    ]),
+    { type: "divider" },
+    { type: "text", text: `Items: ${lines.reduce((n, l) => n + l.quantity, 0)}` },
+    ...(order.notes ? [{ type: "note", text: `NOTES: ${order.notes}` }] : []),
+    { type: "small", text: `Status: ${statusLabel(order.status)}` },
+  ]
+}
+
+/**
+ * Describes a customer receipt: line items, totals, payment method and address.
+ * @param {object} order - Order.
+ * @returns {Array<object>} Blocks.
+ */
+export function buildReceipt(order) {
+  const lines = (order.items || []).map(getLineItem)
+  const subtotal = lines.reduce((sum, l) => sum + l.lineTotal, 0)
+  const total = Number(order.totalPrice) || subtotal
+  const fees = total - subtotal
+
+  return [
+    { type: "title", text: BRAND },
+    { type: "text", text: `Receipt ${orderRef(order)}`, align: "center" },
+    { type: "text", text: formatDate(order.createdAt), align: "center" },
+    { type: "divider" },
+    ...lines.flatMap((l) => [
+      { type: "row", left: l.name, right: currency(l.lineTotal) },
+      ...(l.options.length ? [{ type: "small", text: `  ${formatLineOptions(l)}` }] : []),
+      { type: "small", text: `  ${l.quantity} x ${currency(l.unitPrice)}` },
+    ]),
+    { type: "divider" },
+    { type: "row", left: "Subtotal", right: currency(subtotal) },
+    ...(Math.abs(fees) > 0.005 ? [{ type: "row", left: "Delivery & fees", right: currency(fees) }] : []),
+    { type: "row", left: "TOTAL", right: currency(total), strong: true },
+    { type: "text", text: `Payment: ${order.paymentMethod || "—"}` },
+    { type: "divider" },
+    { type: "text", text: customerName(order) },
+    { type: "text", text: order.address || "" },
+    { type: "text", text: [order.city, order.zipCode].filter(Boolean).join(" ") },
+    ...(order.phone ? [{ type: "text", text: order.phone }] : []),
+    { type: "divider" },
+    { type: "text", text: "Thank you for your order!", align: "center" },
+  ]
+}
+
+/**
+ * Builds the blocks for a document type.
+ * @param {"kitchen"|"receipt"} type - Document type.
+ * @param {object} order - Order.
+ */
+export const buildDocument = (type, order) => (type === "kitchen" ? buildKitchenTicket(order) : buildReceipt(order))
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c])
+
+/**
+ * Renders one block to HTML.
+ * @param {object} block - Block from buildDocument.
+ */
+const renderBlock = (block) => {
+  switch (block.type) {
+    case "title":
+      return `<h1>${escapeHtml(block.text)}</h1>`
+    case "divider":
+      return `<hr />`
+    case "row":
+      return `<div class="row${block.strong ? " strong" : ""}"><span>${escapeHtml(block.left)}</span><span>${escapeHtml(block.right)}</span></div>`
+    case "note":
+      return `<p class="note">${escapeHtml(block.text)}</p>`
+    case "small":
+      return `<p class="small">${escapeHtml(block.text)}</p>`
+    default:
+      return `<p${block.align === "center" ? ' class="center"' : ""}>${escapeHtml(block.text)}</p>`
+  }
+}
+
+/**
+ * Renders documents for several orders into one printable HTML page,
+ * one order per printed page.
+ * @param {Array<object>} orders - Orders to print.
+ * @param {object} options
+ * @param {"kitchen"|"receipt"} options.type - Document type.
+ * @param {"thermal"|"a4"} options.paper - Paper size.
+ * @returns {string} Full HTML document.
+ */
+export function renderDocumentsHtml(orders, { type, paper }) {
+  const size = PAPER_SIZES[paper]
+  const thermal = paper === "thermal"
+  const pageRule = thermal ? `size: ${size.widthMm}mm auto;` : "size: A4;"
+  const bodyWidth = thermal ? `${size.widthMm - size.marginMm * 2}mm` : "100%"
+
+  const pages = orders
+    .map((order) => `<section class="doc">${buildDocument(type, order).map(renderBlock).join("")}</section>`)
+    .join("")
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(DOCUMENT_TYPES[type])}</title>
+<style>
+  @page { ${pageRule} margin: ${size.marginMm}mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; width: ${bodyWidth}; font-family: ${thermal ? "'Courier New', monospace" : "Arial, sans-serif"}; font-size: ${thermal ? "12px" : "13px"}; color: #000; }
+  .doc { page-break-after: always; break-after: page; ${thermal ? "" : "max-width: 120mm; margin: 0 auto;"} }
+  .doc:last-child { page-break-after: auto; break-after: auto; }
+  h1 { font-size: ${thermal ? "16px" : "22px"}; text-align: center; margin: 0 0 4px; }
+  p { margin: 2px 0; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 6px 0; }
+  .row { display: flex; justify-content: space-between; gap: 8px; margin: 2px 0; }
+  .strong { font-weight: bold; font-size: ${thermal ? "13px" : "15px"}; }
+  .small { font-size: ${thermal ? "11px" : "12px"}; color: #333; }
+  .center { text-align: center; }
+  .note { font-weight: bold; border: 1px solid #000; padding: 4px; margin: 6px 0; }
+</style>
+</head>
+<body>${pages}</body>
+</html>`
+}
+
+/**
+ * Opens the browser print dialog for the given orders.
+ * Uses a hidden iframe so no popup permission is needed.
+ * @param {Array<object>} orders - Orders to print.
+ * @param {object} options - See renderDocumentsHtml.
+ */
+export function printDocuments(orders, options) {
+  const iframe = document.createElement("iframe")
+  iframe.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0"
+  document.body.appendChild(iframe)
+
+  const doc = iframe.contentWindow.document
+  doc.open()
+  doc.write(renderDocumentsHtml(orders, options))
+  doc.close()
+
+  const win = iframe.contentWindow
+  const cleanup = () => iframe.remove()
+  win.addEventListener("afterprint", cleanup, { once: true })
+  setTimeout(cleanup, 60000)
+  win.focus()
+  win.print()
+}
@@ -0,0 +1,100 @@
+/**
+ * @file orderExport.js
+ * @description Order export dataset: an Orders sheet, an Order Items sheet
+ * with one row per line item, and a Summary sheet with totals by status and
+ * payment method. Written through the shared exporter (xlsx, CSV or JSON).
+ */
+
+import { exportSheets } from "../../utils/exporter"
+import { totalQty, getLineItem, formatLineOptions, customerName, PAYMENT_BUCKETS, getPaymentBucket } from "./orderUtils"
+import { statusLabel, normalizeStatus, ORDER_STATUSES } from "./orderStatus"
+
+const ORDER_COLUMNS = [
+  { header: "Order ID", value: (o) => o._id, width: 26 },
+  { header: "Created", value: (o) => o.createdAt, type: "date", width: 18 },
+  { header: "Customer", value: customerName, width: 22 },
+  { header: "Email", value: (o) => o.email, width: 26 },
+  { header: "Phone", value: (o) => o.phone, width: 16 },
+  { header: "Address", value: (o) => o.address, width: 30 },
+  { header: "City", value: (o) => o.city },
+  { header: "Zip Code", value: (o) => o.zipCode },
+  { header: "Payment", value: (o) => o.paymentMethod },
+  { header: "Status", value: (o) => statusLabel(o.status), width: 16 },
+  { header: "Items", value: (o) => totalQty(o.items), type: "number" },
+  { header: "Total", value: (o) => o.totalPrice, type: "currency" },
+  { header: "Notes", value: (o) => o.notes, width: 30 },
+]
+
+const ITEM_COLUMNS = [
+  { header: "Order ID", value: (r) => r.order._id, width: 26 },
+  { header: "Created", value: (r) => r.order.createdAt, type: "date", width: 18 },
+  { header: "Customer", value: (r) => customerName(r.order), width: 22 },
+  { header: "Status", value: (r) => statusLabel(r.order.status), width: 16 },
+  { header: "Dish", value: (r) => r.line.name, width: 26 },
+  { header: "Options", value: (r) => formatLineOptions(r.line), width: 30 },
+  { header: "Quantity", value: (r) => r.line.quantity, type: "number" },
+  { header: "Unit Price", value: (r) => r.line.unitPrice, type: "currency" },
+  { header: "Line Total", value: (r) => r.line.lineTotal, type: "currency" },
+]
+
+const SUMMARY_COLUMNS = [
+  { header: "Group", value: (r) => r.group, width: 16 },
+  { header: "Value", value: (r) => r.label, width: 20 },
+  { header: "Orders", value: (r) => r.count, type: "number" },
+  { header: "Items", value: (r) => r.items, type: "number" },
+  { header: "Total", value: (r) => r.total, type: "currency" },
+]
+
+// ✅ One row per line item
+const lineRows = (orders) => orders.flatMap((order) => (order.items || []).map((item) => ({ order, line: getLineItem(item) })))
+
+/**
+ * Totals per status and per payment method, plus a grand total.
+ * @param {Array<object>} orders
+ * @returns {Array<{ group: string, label: string, count: number, items: number, total: number }>}
+ */
+export function summarizeOrders(orders) {
+  const tally = (group, keys, keyOf, labelOf) =>
+    keys
+      .map((key) => {
+        const matching = orders.filter((o) => keyOf(o) === key)
+        return {
+          group,
+          label: labelOf(key),
+          count: matching.length,
+          items: matching.reduce((n, o) => n + totalQty(o.items), 0),
+          total: matching.reduce((sum, o) => sum + (Number(o.totalPrice) || 0), 0),
+        }
+      })
+      .filter((row) => row.count)
+
+  return [
+    ...tally("Status", Object.keys(ORDER_STATUSES), (o) => normalizeStatus(o.status), statusLabel),
+    ...tally("Payment", Object.keys(PAYMENT_BUCKETS), (o) => getPaymentBucket(o.paymentMethod), (k) => PAYMENT_BUCKETS[k]),
+    {
+      group: "All orders",
+      label: "Total",
+      count: orders.length,
+      items: orders.reduce((n, o) => n + totalQty(o.items), 0),
+      total: orders.reduce((sum, o) => sum + (Number(o.totalPrice) || 0), 0),
+    },
+  ]
+}
+
+/**
+ * Downloads orders in the requested format.
+ * @param {Array<object>} orders - Orders to export.
+ * @param {object} [options]
+ * @param {"xlsx"|"csv"|"json"} [options.format]
+ * @param {string} [options.filename] - Base name without extension.
+ */
+export function exportOrders(orders, { format = "xlsx", filename = "Orders_Report" } = {}) {
+  exportSheets(
+    [
+      { name: "Orders", columns: ORDER_COLUMNS, rows: orders },
+      { name: "Order Items", columns: ITEM_COLUMNS, rows: lineRows(orders) },
+      { name: "Summary", columns: SUMMARY_COLUMNS, rows: summarizeOrders(orders) },
+    ],
+    { format, filename }
+  )
+}
@@ -0,0 +1,80 @@
+/**
+ * @file orderFilters.js
+ * @description Pure helpers for the OrderManagement toolbar: reading filter
+ * state from the URL query string, and filtering and sorting orders on the client.
+ */
+
+import { getPaymentBucket, totalQty } from "./orderUtils"
+import { normalizeStatus } from "./orderStatus"
+
+// Sortable columns (key -> value accessor)
+export const SORT_FIELDS = {
+  price: (o) => Number(o.totalPrice) || 0,
+  items: (o) => totalQty(o.items),
+  createdAt: (o) => (o.createdAt ? new Date(o.createdAt).getTime() : 0),
+}
+
+/**
+ * Reads the toolbar state from URL search params.
+ * `sort` has the form `<field>_<asc|desc>`.
+ * @param {URLSearchParams} params - Current query string.
+ * @returns {object} Filter state.
+ */
+export function readOrderFilters(params) {
+  const [sortField, sortDir] = (params.get("sort") || "createdAt_desc").split("_")
+  return {
+    q: params.get("q") || "",
+    status: params.get("status") || "",
+    payment: params.get("payment") || "",
+    city: params.get("city") || "",
+    from: params.get("from") || "",
+    to: params.get("to") || "",
+    sortField: Object.hasOwn(SORT_FIELDS, sortField) ? sortField : "createdAt",
+    sortDir: sortDir === "asc" ? "asc" : "desc",
+  }
+}
+
+/**
+ * Applies status, payment, city, date range and text filters.
+ * Dates are `YYYY-MM-DD` strings and both ends are inclusive (local time).
+ * @param {Array<object>} orders - Orders from the API.
+ * @param {object} filters - State from readOrderFilters.
+ * @returns {Array<object>}
+ */
+export function filterOrders(orders, filters) {
+  const q = filters.q.trim().toLowerCase()
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null
+
+  return orders.filter((o) => {
+    if (filters.status && normalizeStatus(o.status) !== filters.status) return false
+    if (filters.payment && getPaymentBucket(o.paymentMethod) !== filters.payment) return false
+    if (filters.city && (o.city || "").toLowerCase() !== filters.city.toLowerCase()) return false
+
+    if (from !== null || to !== null) {
+      const created = o.createdAt ? new Date(o.createdAt).getTime() : NaN
+      if (Number.isNaN(created)) return false
+      if (from !== null && created < from) return false
+      if (to !== null && created > to) return false
+    }
+
+    if (q) {
+      const haystack = [o.email, o.phone, o.address, o.city, o.zipCode].filter(Boolean).join(" ").toLowerCase()
+      if (!haystack.includes(q)) return false
+    }
+    return true
+  })
+}
+
+/**
+ * Returns a sorted copy of the orders.
+ * @param {Array<object>} orders - Orders.
+ * @param {string} field - Key of SORT_FIELDS.
+ * @param {"asc"|"desc"} dir - Sort direction.
+ * @returns {Array<object>}
+ */
+export function sortOrders(orders, field, dir) {
+  const accessor = SORT_FIELDS[field]
+  const factor = dir === "asc" ? 1 : -1
+  return [...orders].sort((a, b) => factor * (accessor(a) - accessor(b)))
+}
@@ -0,0 +1,119 @@
+/**
+ * @file orderPdf.js
+ * @description Renders kitchen tickets and receipts (see orderDocuments.js)
+ * to a downloadable PDF. Loaded on demand so jsPDF stays out of the main bundle.
+ */
+
+import { jsPDF } from "jspdf"
+import { buildDocument, PAPER_SIZES, DOCUMENT_TYPES } from "./orderDocuments"
+
+const PT_TO_MM = 0.3528
+
+// Font sizes in points per paper size
+const FONT_SIZES = {
+  thermal: { title: 14, text: 9, small: 8, strong: 10 },
+  a4: { title: 20, text: 11, small: 9, strong: 13 },
+}
+
+// Column width used on A4 so receipts keep a narrow, readable layout
+const A4_CONTENT_WIDTH_MM = 120
+
+// Standard PDF fonts only cover WinAnsi; normalize the characters Intl and our data produce
+const pdfSafe = (text) =>
+  String(text ?? "")
+    .replace(/[\u00a0\u202f]/g, " ")
+    .replace(/[\u2013\u2014]/g, "-")
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+
+/**
+ * Lays out blocks on the current page, or only measures them.
+ * @param {jsPDF} doc - Target document.
+ * @param {Array<object>} blocks - Blocks from buildDocument.
+ * @param {object} frame - `{ x, width, y, paper }`.
+ * @param {boolean} draw - False to only measure.
+ * @returns {number} Y position after the last block (mm).
+ */
+function layout(doc, blocks, { x, width, y, paper }, draw) {
+  const sizes = FONT_SIZES[paper]
+  const font = paper === "thermal" ? "courier" : "helvetica"
+  let cursor = y
+
+  const write = (text, size, style, align = "left", right = null) => {
+    doc.setFont(font, style)
+    doc.setFontSize(size)
+    const lineHeight = size * PT_TO_MM * 1.3
+    const rightWidth = right ? doc.getTextWidth(right) + 2 : 0
+    const wrapped = doc.splitTextToSize(pdfSafe(text), width - rightWidth)
+    wrapped.forEach((line, idx) => {
+      cursor += lineHeight
+      if (!draw) return
+      if (align === "center") doc.text(line, x + width / 2, cursor, { align: "center" })
+      else doc.text(line, x, cursor)
+      if (right && idx === 0) doc.text(right, x + width, cursor, { align: "right" })
+    })
+  }
+
+  blocks.forEach((block) => {
+    switch (block.type) {
+      case "title":
+        write(block.text, sizes.title, "bold", "center")
+        cursor += 1
+        break
+      case "divider":
+        cursor += 2
+        if (draw) {
+          doc.setLineDashPattern([1, 1], 0)
+          doc.line(x, cursor, x + width, cursor)
+        }
+        cursor += 1
+        break
+      case "row":
+        write(block.left, block.strong ? sizes.strong : sizes.text, block.strong ? "bold" : "normal", "left", pdfSafe(block.right))
+        break
+      case "note":
+        write(block.text, sizes.strong, "bold")
+        break
+      case "small":
+        write(block.text, sizes.small, "normal")
+        break
+      default:
+        write(block.text, sizes.text, "normal", block.align)
+    }
+  })
+  return cursor
+}
+
+/**
+ * Builds a PDF with one page per order and downloads it.
+ * @param {Array<object>} orders - Orders.
+ * @param {object} options
+ * @param {"kitchen"|"receipt"} options.type - Document type.
+ * @param {"thermal"|"a4"} options.paper - Paper size.
+ */
+export function downloadDocumentsPdf(orders, { type, paper }) {
+  const size = PAPER_SIZES[paper]
+  const width = paper === "thermal" ? size.widthMm - size.marginMm * 2 : A4_CONTENT_WIDTH_MM
+  const x = (size.widthMm - width) / 2
+  const documents = orders.map((order) => buildDocument(type, order))
+
+  // Thermal pages are as long as their content
+  const measure = new jsPDF({ unit: "mm", format: "a4" })
+  const pageFormat = (blocks) =>
+    paper === "thermal"
+      ? [size.widthMm, layout(measure, blocks, { x, width, y: size.marginMm, paper }, false) + size.marginMm]
+      : "a4"
+  // ✅ jsPDF swaps the sides of a portrait page shorter than it is wide,
+  // so short tickets need a landscape orientation to keep their width
+  const orientation = (format) => (Array.isArray(format) && format[1] < format[0] ? "landscape" : "portrait")
+
+  let doc = null
+  documents.forEach((blocks) => {
+    const format = pageFormat(blocks)
+    if (doc) doc.addPage(format, orientation(format))
+    else doc = new jsPDF({ unit: "mm", format, orientation: orientation(format) })
+    layout(doc, blocks, { x, width, y: size.marginMm, paper }, true)
+  })
+
+  const suffix = orders.length === 1 ? orders[0]._id : `${orders.length}-orders`
+  doc.save(`${DOCUMENT_TYPES[type].replace(/\s+/g, "_")}_${suffix}.pdf`)
+}
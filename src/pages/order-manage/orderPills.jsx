@@ -0,0 +1,48 @@
+/**
+ * @file orderPills.jsx
+ * @description Maps order status and payment method to StatusPill props.
+ */
+
+import {
+  Truck,
+  CreditCard,
+  Wallet,
+  DollarSign,
+  ClipboardList,
+  ChefHat,
+  PackageCheck,
+  CircleCheck,
+  CircleX,
+  RotateCcw,
+} from "lucide-react"
+import { getPaymentBucket } from "./orderUtils"
+import { ORDER_STATUSES, normalizeStatus } from "./orderStatus"
+
+// Icon per lifecycle status
+const STATUS_ICONS = {
+  received: ClipboardList,
+  preparing: ChefHat,
+  ready: PackageCheck,
+  out_for_delivery: Truck,
+  delivered: CircleCheck,
+  cancelled: CircleX,
+  refunded: RotateCcw,
+}
+
+export const getDeliveryPill = (status) => {
+  const key = normalizeStatus(status)
+  const { label, tone } = ORDER_STATUSES[key]
+  const Icon = STATUS_ICONS[key]
+  return { label, tone, icon: <Icon className="h-3.5 w-3.5" /> }
+}
+
+export const getPaymentPill = (method) => {
+  switch (getPaymentBucket(method)) {
+    case "cod":
+      return { label: "COD", tone: "amber", icon: <Wallet className="h-3.5 w-3.5" /> }
+    case "online":
+      return { label: "Online", tone: "blue", icon: <CreditCard className="h-3.5 w-3.5" /> }
+    default:
+      return { label: method || "Pending", tone: "slate", icon: <DollarSign className="h-3.5 w-3.5" /> }
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * @file orderStatus.js
+ * @description Order lifecycle state machine. Single source of truth for the
+ * order statuses, their labels and pill tones, and which transitions are allowed:
+ *
+ *   received → preparing → ready → out_for_delivery → delivered
+ *   any open status → cancelled
+ *   delivered / cancelled → refunded
+ *
+ * Delivered, cancelled and refunded orders are closed and moving into them is
+ * confirmed first; only refunded is terminal (nothing follows it).
+ */
+
+// Lifecycle statuses in display order
+export const ORDER_STATUSES = {
+  received: { label: "Received", tone: "slate", next: ["preparing", "cancelled"] },
+  preparing: { label: "Preparing", tone: "amber", next: ["ready", "cancelled"] },
+  ready: { label: "Ready", tone: "amber", next: ["out_for_delivery", "cancelled"] },
+  out_for_delivery: { label: "Out for Delivery", tone: "blue", next: ["delivered", "cancelled"] },
+  delivered: { label: "Delivered", tone: "green", next: ["refunded"], closed: true },
+  cancelled: { label: "Cancelled", tone: "red", next: ["refunded"], closed: true },
+  refunded: { label: "Refunded", tone: "slate", next: [], closed: true },
+}
+
+// Status given to orders that have not been touched yet
+export const INITIAL_STATUS = "received"
+
+// Values written by older builds or the storefront, mapped onto the lifecycle
+const LEGACY_STATUSES = {
+  pending: "received",
+  processing: "preparing",
+  "out for delivery": "out_for_delivery",
+  outfordelivery: "out_for_delivery",
+  canceled: "cancelled",
+}
+
+/**
+ * Maps any stored status value onto a lifecycle status.
+ * Unknown or missing values are treated as freshly received orders.
+ * @param {string} status - Raw status from the API.
+ * @returns {string} Key of ORDER_STATUSES.
+ */
+export function normalizeStatus(status) {
+  const s = String(status || "").trim().toLowerCase()
+  if (Object.hasOwn(ORDER_STATUSES, s)) return s
+  return Object.hasOwn(LEGACY_STATUSES, s) ? LEGACY_STATUSES[s] : INITIAL_STATUS
+}
+
+/**
+ * Human readable label for a status.
+ * @param {string} status - Raw or normalized status.
+ */
+export const statusLabel = (status) => ORDER_STATUSES[normalizeStatus(status)].label
+
+/**
+ * Statuses an order may move to from its current status.
+ * @param {string} status - Current status.
+ * @returns {Array<string>}
+ */
+export const getNextStatuses = (status) => ORDER_STATUSES[normalizeStatus(status)].next
+
+/**
+ * Whether a transition is allowed.
+ * @param {string} from - Current status.
+ * @param {string} to - Target status.
+ */
+export const canTransition = (from, to) => getNextStatuses(from).includes(to)
+
+/**
+ * Whether moving into a status should be confirmed first (closed states).
+ * @param {string} status - Target status.
+ */
+export const requiresConfirmation = (status) => Boolean(ORDER_STATUSES[status]?.closed)
+
+/**
+ * Whether no further transition is possible, i.e. the change cannot be undone.
+ * @param {string} status - Raw or normalized status.
+ */
+export const isTerminal = (status) => getNextStatuses(status).length === 0
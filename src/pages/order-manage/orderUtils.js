@@ -0,0 +1,150 @@
+/**
+ * @file orderUtils.js
+ * @description Formatting and classification helpers shared by the order views.
+ */
+
+// Payment buckets used by pills, filters and reports
+export const PAYMENT_BUCKETS = {
+  cod: "COD",
+  online: "Online",
+  other: "Other",
+}
+
+/**
+ * Classifies a free-form payment method into a bucket.
+ * @param {string} method - Payment method as stored on the order.
+ * @returns {"cod"|"online"|"other"}
+ */
+export const getPaymentBucket = (method) => {
+  const m = (method || "").toLowerCase()
+  if (m.includes("cod") || m.includes("cash")) return "cod"
+  if (m.includes("online") || m.includes("card") || m.includes("upi")) return "online"
+  return "other"
+}
+
+export const currency = (v) =>
+  new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 2 }).format(v)
+
+export const totalQty = (items = []) => items.reduce((n, i) => n + (i.quantity || 0), 0)
+
+export const formatDate = (d) => (d ? new Date(d).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "—")
+
+/**
+ * Normalizes the chosen variant/modifiers of a line item. Accepts a single
+ * option, an array, a `{ group: choice }` map or plain strings.
+ * @returns {Array<{ group: string, name: string, price: number }>}
+ */
+const toOptionList = (value, fallbackGroup = "") => {
+  if (!value) return []
+  if (typeof value === "string") return [{ group: fallbackGroup, name: value, price: 0 }]
+  if (Array.isArray(value)) return value.flatMap((v) => toOptionList(v, fallbackGroup))
+  if (typeof value !== "object") return []
+  if (value.name || value.option || value.label) {
+    return [{
+      group: value.group || value.groupName || fallbackGroup,
+      name: value.name || value.option || value.label,
+      price: Number(value.price) || 0,
+    }]
+  }
+  return Object.entries(value).flatMap(([group, choice]) => toOptionList(choice, group))
+}
+
+/**
+ * Normalizes an order line item. Items may carry their own name/price or
+ * reference a populated menu item under `item`/`menuItem`. The chosen
+ * variant and modifiers are read from `variant`/`variants` and
+ * `modifiers`/`selectedOptions`.
+ * @param {object} line - Raw entry from `order.items`.
+ * @returns {{ id: string, name: string, image: string, quantity: number, unitPrice: number, lineTotal: number,
+ *   options: Array<{ group: string, name: string, price: number }> }}
+ */
+export const getLineItem = (line = {}) => {
+  const ref = line.item || line.menuItem || {}
+  const quantity = Number(line.quantity) || 0
+  const unitPrice = Number(line.price ?? ref.price) || 0
+  return {
+    id: line._id || ref._id || line.name || ref.name,
+    name: line.name || ref.name || "Unknown item",
+    image: line.image || ref.image || "",
+    quantity,
+    unitPrice,
+    lineTotal: quantity * unitPrice,
+    options: [
+      ...toOptionList(line.variant, "Variant"),
+      ...toOptionList(line.variants, "Variant"),
+      ...toOptionList(line.modifiers),
+      ...toOptionList(line.selectedOptions),
+    ],
+  }
+}
+
+/**
+ * One-line summary of a line item's options, e.g. "Size: Large · Extra cheese (+$1.00)".
+ * @param {{ options: Array<object> }} line - Normalized line item.
+ */
+export const formatLineOptions = (line) =>
+  line.options
+    .map((o) => `${o.group ? `${o.group}: ` : ""}${o.name}${o.price ? ` (+${currency(o.price)})` : ""}`)
+    .join(" · ")
+
+/**
+ * Customer display name for an order.
+ * @param {object} order - Order.
+ */
+export const customerName = (order) => `${order.firstName || ""} ${order.lastName || ""}`.trim() || "—"
+
+/**
+ * Status history for an order, oldest first. Uses `order.statusHistory` when
+ * the backend provides it, otherwise falls back to the creation time and the
+ * current status.
+ * @param {object} order - Order.
+ * @returns {Array<{ status: string, changedAt: string, changedBy?: string }>}
+ */
+export const getStatusHistory = (order) => {
+  if (Array.isArray(order.statusHistory) && order.statusHistory.length) {
+    return [...order.statusHistory].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt))
+  }
+  const history = [{ status: "placed", changedAt: order.createdAt }]
+  if (order.status) history.push({ status: order.status, changedAt: order.updatedAt || order.createdAt })
+  return history
+}
+
+/**
+ * Whether a live feed entry is a deleted order, either flagged
+ * `deleted: true` or moved to the trash (`deletedAt`).
+ * @param {object} [order]
+ * @returns {boolean}
+ */
+export const isDeleted = (order) => Boolean(order?.deleted || order?.deletedAt)
+
+/**
+ * Merges new and changed orders into the current list without a refetch.
+ * Unknown orders are prepended; known ones are updated in place; deleted
+ * entries (see isDeleted) are removed.
+ * @param {Array<object>} current - Orders currently shown.
+ * @param {Array<object>} incoming - Orders received from the live feed.
+ * @returns {Array<object>}
+ */
+export const mergeOrders = (current, incoming) => {
+  const updates = new Map(incoming.map((o) => [o._id, o]))
+  const known = new Set(current.map((o) => o._id))
+  const added = incoming.filter((o) => !known.has(o._id) && !isDeleted(o))
+  const merged = current
+    .filter((o) => !isDeleted(updates.get(o._id)))
+    .map((o) => (updates.has(o._id) ? { ...o, ...updates.get(o._id) } : o))
+  return [...added, ...merged]
+}
+
+/**
+ * Timestamp of the most recently created or updated order, used as the
+ * `since` cursor for incremental fetches.
+ * @param {Array<object>} orders - Known orders.
+ * @returns {string|undefined} ISO timestamp.
+ */
+export const latestOrderTimestamp = (orders) => {
+  const latest = orders.reduce((max, o) => {
+    const t = new Date(o.updatedAt || o.createdAt || 0).getTime()
+    return Number.isNaN(t) ? max : Math.max(max, t)
+  }, 0)
+  return latest ? new Date(latest).toISOString() : undefined
+}
@@ -0,0 +1,42 @@
+/**
+ * @file useLiveOrders.js
+ * @description Hook that keeps the orders table up to date through the live
+ * order feed, and reports which transport is active.
+ */
+
+import { useState, useEffect, useRef } from "react"
+import { subscribeToOrders } from "../../api/orderFeed"
+
+/**
+ * Subscribes to live order changes while `enabled` is true.
+ *
+ * @param {object} options
+ * @param {boolean} options.enabled - Start the feed (e.g. once the first load succeeded).
+ * @param {Function} options.getCursor - Returns the newest known order timestamp.
+ * @param {Function} options.onOrders - Called with new or changed orders.
+ * @returns {"idle"|"connecting"|"stream"|"polling"|"offline"} Current feed mode.
+ */
+export default function useLiveOrders({ enabled, getCursor, onOrders }) {
+  const [mode, setMode] = useState("idle")
+
+  // Keep the latest callbacks without resubscribing on every render
+  const callbacks = useRef({ getCursor, onOrders })
+  useEffect(() => {
+    callbacks.current = { getCursor, onOrders }
+  })
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    const unsubscribe = subscribeToOrders({
+      onOrders: (orders) => callbacks.current.onOrders(orders),
+      getCursor: () => callbacks.current.getCursor(),
+      onModeChange: setMode,
+    })
+    return () => {
+      unsubscribe()
+      setMode("idle")
+    }
+  }, [enabled])
+
+  return mode
+}
@@ -0,0 +1,185 @@
+/**
+ * @file Trash.jsx
+ * @description Deleted orders, contact messages and menu items. Each record
+ * can be restored to its page or deleted permanently; purging asks for
+ * confirmation because it cannot be undone.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import { ArchiveRestore, Trash2, RefreshCw } from "lucide-react";
+import { useAuth } from "../../context/auth/useAuth";
+import { useContacts } from "../../context/contacts/useContacts";
+import { runBatch } from "../../utils/runBatch";
+import { TRASH_SOURCES, restoreFromTrash, purgeFromTrash } from "./trashSources";
+
+const formatDate = (d) =>
+  d ? new Date(d).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "—";
+
+const byRecentlyDeleted = (a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0);
+
+export default function TrashPage() {
+  const { can } = useAuth();
+  const { reload: reloadContacts } = useContacts();
+  const tabs = Object.keys(TRASH_SOURCES).filter((key) => can(TRASH_SOURCES[key].permission));
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = tabs.includes(searchParams.get("tab")) ? searchParams.get("tab") : tabs[0];
+  const source = TRASH_SOURCES[tab];
+
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(null); // record id, or "all" while emptying
+
+  const loadTrash = useCallback(async () => {
+    if (!tab) return;
+    try {
+      setLoading(true);
+      setRecords([...(await TRASH_SOURCES[tab].fetch())].sort(byRecentlyDeleted));
+      setError("");
+    } catch (err) {
+      console.error("Error fetching trash:", err);
+      setError(err.message || "Failed to load the trash");
+    } finally {
+      setLoading(false);
+    }
+  }, [tab]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const removeRecords = (ids) => setRecords((prev) => prev.filter((r) => !ids.has(r._id)));
+
+  /**
+   * Restores a record; restored contact messages also reappear in the inbox.
+   * @param {object} record - Deleted record.
+   */
+  const handleRestore = async (record) => {
+    setBusy(record._id);
+    try {
+      await restoreFromTrash(tab, record);
+      removeRecords(new Set([record._id]));
+      if (tab === "contacts") reloadContacts({ silent: true });
+    } catch (err) {
+      console.error("Restore error:", err);
+      alert("Error restoring: " + err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  /**
+   * Deletes a record permanently after confirmation.
+   * @param {object} record - Deleted record.
+   */
+  const handlePurge = async (record) => {
+    if (!window.confirm(`Delete "${source.title(record)}" permanently? This cannot be undone.`)) return;
+    setBusy(record._id);
+    try {
+      await purgeFromTrash(tab, record);
+      removeRecords(new Set([record._id]));
+    } catch (err) {
+      console.error("Purge error:", err);
+      alert("Error deleting: " + err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Purges every record in the current tab; failures stay listed
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete all ${records.length} ${source.label.toLowerCase()} in the trash? This cannot be undone.`))
+      return;
+    setBusy("all");
+    const results = await runBatch(records, (record) => purgeFromTrash(tab, record));
+    removeRecords(new Set(results.filter((r) => r.ok).map((r) => r.item._id)));
+    const failed = results.filter((r) => !r.ok);
+    if (failed.length) alert(`${failed.length} of ${results.length} could not be deleted: ${failed[0].error}`);
+    setBusy(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-gray-800/90 backdrop-blur-sm border border-gray-700 p-8 rounded-xl shadow-lg">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h1 className="text-2xl font-bold text-amber-400">Trash</h1>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={loadTrash}
+                disabled={loading}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} /> Refresh
+              </button>
+              <button
+                onClick={handleEmpty}
+                disabled={!records.length || Boolean(busy)}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs bg-red-900 hover:bg-red-800 text-white disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <Trash2 className="w-4 h-4" /> {busy === "all" ? "Emptying…" : "Empty trash"}
+              </button>
+            </div>
+          </div>
+
+          {/* Tabs */}
+          <div className="flex flex-wrap gap-2 mb-6" role="tablist">
+            {tabs.map((key) => (
+              <button
+                key={key}
+                role="tab"
+                aria-selected={key === tab}
+                onClick={() => setSearchParams({ tab: key }, { replace: true })}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition ${
+                  key === tab ? "bg-orange-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                }`}
+              >
+                {TRASH_SOURCES[key].label}
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className="text-center text-white py-12">Loading...</div>
+          ) : error ? (
+            <div className="text-center text-red-300 py-12">{error}</div>
+          ) : records.length === 0 ? (
+            <div className="text-center text-gray-400 py-12">Nothing in the trash</div>
+          ) : (
+            <ul className="divide-y divide-gray-700">
+              {records.map((record) => (
+                <li key={record._id} className="py-3 flex flex-wrap items-center gap-3">
+                  <div className="flex-1 min-w-[200px]">
+                    <div className="text-white font-medium">{source.title(record)}</div>
+                    <div className="text-gray-400 text-sm truncate">{source.detail(record) || "—"}</div>
+                  </div>
+                  <span className="text-xs text-gray-400">Deleted {formatDate(record.deletedAt)}</span>
+                  <button
+                    onClick={() => handleRestore(record)}
+                    disabled={Boolean(busy)}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs text-white bg-green-700 hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    <ArchiveRestore className="w-4 h-4" /> Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(record)}
+                    disabled={Boolean(busy)}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs text-white bg-red-900 hover:bg-red-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    <Trash2 className="w-4 h-4" /> Delete forever
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * @file trashSources.js
+ * @description The kinds of records that go to the trash when deleted:
+ * orders, contact messages and menu items. Each source knows how to list,
+ * restore and purge its records; restores and purges are audited here so
+ * the undo toasts and the Trash page record them the same way.
+ */
+
+import { fetchDeletedOrders, restoreOrder, purgeOrder } from "../../api/orders";
+import { fetchDeletedContacts, restoreContact, purgeContact } from "../../api/contacts";
+import { fetchDeletedMenuItems, restoreMenuItem, purgeMenuItem } from "../../api/menu";
+import { recordAudit } from "../../utils/auditLog";
+import { orderRef } from "../order-manage/orderDocuments";
+import { currency } from "../order-manage/orderUtils";
+
+export const TRASH_SOURCES = {
+  orders: {
+    label: "Orders",
+    entityType: "order",
+    permission: "orders.delete",
+    fetch: fetchDeletedOrders,
+    restore: restoreOrder,
+    purge: purgeOrder,
+    title: (order) => `Order ${orderRef(order)}`,
+    detail: (order) => [order.email || order.phone, currency(order.totalPrice || 0), order.status].filter(Boolean).join(" · "),
+  },
+  contacts: {
+    label: "Contact messages",
+    entityType: "contact",
+    permission: "contacts.delete",
+    fetch: fetchDeletedContacts,
+    restore: restoreContact,
+    purge: purgeContact,
+    title: (contact) => contact.fullName || contact.emailAddress || "Contact message",
+    detail: (contact) => contact.query || "",
+  },
+  menuItems: {
+    label: "Menu items",
+    entityType: "menuItem",
+    permission: "menu.edit",
+    fetch: fetchDeletedMenuItems,
+    restore: restoreMenuItem,
+    purge: purgeMenuItem,
+    title: (item) => item.name || "Menu item",
+    detail: (item) => [item.category, item.price !== undefined && `$${item.price}`].filter(Boolean).join(" · "),
+  },
+};
+
+/**
+ * Brings a record back from the trash.
+ * @param {keyof TRASH_SOURCES} key - Source of the record.
+ * @param {object} record - Deleted record.
+ */
+export async function restoreFromTrash(key, record) {
+  const source = TRASH_SOURCES[key];
+  await source.restore(record._id);
+  recordAudit({
+    action: `${source.entityType}.restore`,
+    entityType: source.entityType,
+    entityId: record._id,
+    label: source.title(record),
+    before: { deletedAt: record.deletedAt || null },
+    after: { deletedAt: null },
+  });
+}
+
+/**
+ * Deletes a record from the trash for good.
+ * @param {keyof TRASH_SOURCES} key - Source of the record.
+ * @param {object} record - Deleted record.
+ */
+export async function purgeFromTrash(key, record) {
+  const source = TRASH_SOURCES[key];
+  await source.purge(record._id);
+  recordAudit({
+    action: `${source.entityType}.purge`,
+    entityType: source.entityType,
+    entityId: record._id,
+    label: source.title(record),
+    before: { deletedAt: record.deletedAt || null },
+  });
+}
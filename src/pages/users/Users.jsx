@@ -0,0 +1,256 @@
+/**
+ * @file Users.jsx
+ * @description Owner screen for staff accounts: invite people by email with
+ * a role, change roles, and disable or re-enable accounts. The signed-in
+ * owner cannot lock themselves out, and the last active owner is kept.
+ *
+ * @version 1.0.0
+ * @since 2025-10-20
+ * @author
+ * Muzamil Ahmad
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { UserPlus, UserX, UserCheck } from "lucide-react";
+import { fetchUsers, inviteUser, updateUser } from "../../api/users";
+import { useAuth } from "../../context/auth/useAuth";
+import { ROLES, getStaffRole } from "../../context/auth/permissions";
+import useFormValidation from "../../hooks/useFormValidation";
+import FieldError from "../../components/fieldError/FieldError";
+import { recordAudit, diffFields } from "../../utils/auditLog";
+import { USER_STATUSES, inviteSchema, getInviteContext, getUserStatus, removesLastOwner } from "./staffUsers";
+
+const inputClass =
+  "w-full p-2 rounded-lg bg-gray-700 border text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-500 transition";
+
+const roleSelectClass =
+  "w-36 p-2 rounded-lg bg-gray-700 border border-gray-600 text-white text-sm focus:outline-none focus:ring-2 focus:ring-amber-500 disabled:opacity-50";
+
+const EMPTY_INVITE = { name: "", email: "", role: "support" };
+
+export default function UsersPage() {
+  const { user: me } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [invite, setInvite] = useState(EMPTY_INVITE);
+  const [busy, setBusy] = useState(""); // id of the account being saved, or "invite"
+
+  const inviteContext = useMemo(() => getInviteContext(users), [users]);
+  const { errors, handleBlur, revalidate, validateAll, applyServerErrors, reset } = useFormValidation(
+    inviteSchema,
+    invite,
+    inviteContext
+  );
+
+  const loadUsers = async () => {
+    try {
+      setLoading(true);
+      setUsers(await fetchUsers());
+      setError("");
+    } catch (err) {
+      console.error("Error fetching users:", err);
+      setError(err.message || "Failed to load staff accounts");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const handleInviteChange = (e) => {
+    const next = { ...invite, [e.target.name]: e.target.value };
+    setInvite(next);
+    revalidate(e.target.name, next);
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!validateAll()) return;
+    try {
+      setBusy("invite");
+      const details = { name: invite.name.trim(), email: invite.email.trim(), role: invite.role };
+      const created = await inviteUser(details);
+      recordAudit({ action: "user.invite", entityType: "user", entityId: created?._id, label: details.email, after: details });
+      setUsers((prev) => [...prev, created || { ...details, _id: `invite-${Date.now()}`, invited: true }]);
+      setInvite(EMPTY_INVITE);
+      reset();
+    } catch (err) {
+      console.error("Invite error:", err);
+      if (!applyServerErrors(err)) alert("Could not send the invite: " + err.message);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  /**
+   * Saves a role or disabled flag; the row updates immediately and is rolled
+   * back if the request fails.
+   * @param {object} account - Staff account.
+   * @param {object} changes - `{ role }` or `{ disabled }`.
+   */
+  const saveUser = async (account, changes) => {
+    if (removesLastOwner(users, account, changes)) {
+      alert("The team needs at least one active owner. Make someone else an owner first.");
+      return;
+    }
+    if (changes.disabled && !window.confirm(`Disable ${account.name || account.email}? They will no longer be able to log in.`))
+      return;
+
+    const patch = (fields) => setUsers((prev) => prev.map((u) => (u._id === account._id ? { ...u, ...fields } : u)));
+    patch(changes);
+    try {
+      setBusy(account._id);
+      const saved = await updateUser(account._id, changes);
+      recordAudit({
+        action: "user.update",
+        entityType: "user",
+        entityId: account._id,
+        label: account.email,
+        ...diffFields(account, { ...account, ...changes }, Object.keys(changes)),
+      });
+      if (saved?._id) patch(saved);
+    } catch (err) {
+      console.error("Update user error:", err);
+      patch(Object.fromEntries(Object.keys(changes).map((key) => [key, account[key]])));
+      alert("Could not update the account: " + err.message);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const isMe = (account) => account._id === me?._id || account.email === me?.email;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-900 via-orange-900 to-red-900 p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-gray-800/90 backdrop-blur-sm border border-gray-700 p-8 rounded-xl shadow-lg">
+          <h1 className="text-2xl font-bold text-amber-400 text-center mb-8">Staff &amp; Roles</h1>
+
+          {/* Invite */}
+          <form onSubmit={handleInvite} noValidate className="grid gap-2 sm:grid-cols-[1fr_1.3fr_140px_auto] items-start mb-6">
+            <div>
+              <input
+                name="name"
+                placeholder="Full name"
+                value={invite.name}
+                onChange={handleInviteChange}
+                onBlur={() => handleBlur("name")}
+                aria-invalid={Boolean(errors.name)}
+                aria-describedby="invite-name-error"
+                className={`${inputClass} ${errors.name ? "border-red-500" : "border-gray-600"}`}
+              />
+              <FieldError id="invite-name-error" message={errors.name} />
+            </div>
+            <div>
+              <input
+                name="email"
+                type="email"
+                placeholder="Email address"
+                value={invite.email}
+                onChange={handleInviteChange}
+                onBlur={() => handleBlur("email")}
+                aria-invalid={Boolean(errors.email)}
+                aria-describedby="invite-email-error"
+                className={`${inputClass} ${errors.email ? "border-red-500" : "border-gray-600"}`}
+              />
+              <FieldError id="invite-email-error" message={errors.email} />
+            </div>
+            <div>
+              <select
+                name="role"
+                value={invite.role}
+                onChange={handleInviteChange}
+                aria-describedby="invite-role-error"
+                className={`${inputClass} ${errors.role ? "border-red-500" : "border-gray-600"}`}
+              >
+                {Object.entries(ROLES).map(([key, r]) => (
+                  <option key={key} value={key}>
+                    {r.label}
+                  </option>
+                ))}
+              </select>
+              <FieldError id="invite-role-error" message={errors.role} />
+            </div>
+            <button
+              type="submit"
+              disabled={busy === "invite"}
+              className="flex items-center justify-center gap-1 px-4 py-2 rounded-lg text-sm font-semibold bg-orange-600 hover:bg-orange-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <UserPlus className="w-4 h-4" /> {busy === "invite" ? "Inviting…" : "Invite"}
+            </button>
+          </form>
+
+          {/* Role reference */}
+          <dl className="grid gap-2 sm:grid-cols-2 mb-8 text-sm">
+            {Object.entries(ROLES).map(([key, r]) => (
+              <div key={key} className="rounded-lg border border-gray-700 px-3 py-2">
+                <dt className="text-amber-300 font-medium">{r.label}</dt>
+                <dd className="text-gray-400">{r.description}</dd>
+              </div>
+            ))}
+          </dl>
+
+          {loading ? (
+            <div className="text-center text-white py-12">Loading...</div>
+          ) : error ? (
+            <div className="text-center text-red-300 py-12">{error}</div>
+          ) : users.length === 0 ? (
+            <div className="text-center text-gray-400 py-12">No staff accounts yet</div>
+          ) : (
+            <ul className="divide-y divide-gray-700">
+              {users.map((account) => {
+                const status = getUserStatus(account);
+                const self = isMe(account);
+                return (
+                  <li key={account._id} className="py-3 flex flex-wrap items-center gap-3">
+                    <div className="flex-1 min-w-[200px]">
+                      <div className="text-white font-medium">
+                        {account.name || "—"}
+                        {self && <span className="ml-2 text-xs text-gray-400">You</span>}
+                      </div>
+                      <div className="text-gray-400 text-sm">{account.email}</div>
+                    </div>
+
+                    <span className={`px-2 py-0.5 rounded-full border text-xs ${USER_STATUSES[status].className}`}>
+                      {USER_STATUSES[status].label}
+                    </span>
+
+                    <select
+                      value={getStaffRole(account) || ""}
+                      onChange={(e) => saveUser(account, { role: e.target.value })}
+                      disabled={self || busy === account._id}
+                      title={self ? "You cannot change your own role" : "Change role"}
+                      className={roleSelectClass}
+                    >
+                      {!getStaffRole(account) && <option value="">No role</option>}
+                      {Object.entries(ROLES).map(([key, r]) => (
+                        <option key={key} value={key}>
+                          {r.label}
+                        </option>
+                      ))}
+                    </select>
+
+                    <button
+                      onClick={() => saveUser(account, { disabled: !account.disabled })}
+                      disabled={self || busy === account._id}
+                      title={self ? "You cannot disable your own account" : undefined}
+                      className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs text-white w-24 justify-center disabled:opacity-40 disabled:cursor-not-allowed ${
+                        account.disabled ? "bg-green-700 hover:bg-green-600" : "bg-gray-700 hover:bg-gray-600"
+                      }`}
+                    >
+                      {account.disabled ? <UserCheck className="w-4 h-4" /> : <UserX className="w-4 h-4" />}
+                      {account.disabled ? "Enable" : "Disable"}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+/**
+ * @file staffUsers.js
+ * @description Helpers for the staff accounts page: invite validation,
+ * account status and the guard that keeps at least one active owner.
+ */
+
+import { required, email, maxLength, oneOf } from "../../utils/validation";
+import { ROLES, getStaffRole } from "../../context/auth/permissions";
+
+export const USER_STATUSES = {
+  active: { label: "Active", className: "bg-green-900/40 text-green-300 border-green-700/60" },
+  invited: { label: "Invited", className: "bg-blue-900/40 text-blue-300 border-blue-700/60" },
+  disabled: { label: "Disabled", className: "bg-gray-700/60 text-gray-300 border-gray-600" },
+};
+
+const normalizeEmail = (value) => String(value || "").trim().toLowerCase();
+
+export const inviteSchema = {
+  name: [required("Name is required"), maxLength(60, "Name must be at most 60 characters")],
+  email: [
+    required("Email is required"),
+    email(),
+    (value, values, ctx) =>
+      ctx.emails.includes(normalizeEmail(value)) ? "This email already has a staff account" : "",
+  ],
+  role: [required("Choose a role"), oneOf(Object.keys(ROLES), "Choose a valid role")],
+};
+
+/**
+ * Validation context for the invite form.
+ * @param {Array<object>} users - Current staff accounts.
+ */
+export const getInviteContext = (users) => ({ emails: users.map((u) => normalizeEmail(u.email)) });
+
+/**
+ * Account status; accounts that never signed in after an invite are "invited".
+ * @param {object} user - Staff account.
+ * @returns {"active"|"invited"|"disabled"}
+ */
+export function getUserStatus(user) {
+  if (user.disabled) return "disabled";
+  if (user.invited || user.status === "invited") return "invited";
+  return "active";
+}
+
+/**
+ * Whether a change would leave the team without an active owner.
+ * @param {Array<object>} users - Current staff accounts.
+ * @param {object} user - Account being changed.
+ * @param {object} changes - e.g. `{ role: "manager" }` or `{ disabled: true }`.
+ */
+export function removesLastOwner(users, user, changes) {
+  const isActiveOwner = (u) => getStaffRole(u) === "owner" && getUserStatus(u) === "active";
+  if (!isActiveOwner(user) || isActiveOwner({ ...user, ...changes })) return false;
+  return !users.some((u) => u._id !== user._id && isActiveOwner(u));
+}
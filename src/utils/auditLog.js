@@ -0,0 +1,140 @@
+/**
+ * @file auditLog.js
+ * @description Records who changed what in the admin panel. Every mutating
+ * action calls `recordAudit` after it succeeds; events are queued in
+ * localStorage and sent to `/api/audit` in batches, so nothing is lost
+ * while the panel is offline or the session has expired.
+ */
+
+import { sendAuditEvents } from "../api/audit";
+import { NetworkError, UnauthorizedError } from "../api/client";
+
+export const AUDIT_ENTITIES = {
+  order: "Order",
+  menuItem: "Menu item",
+  category: "Category",
+  contact: "Contact message",
+  user: "Staff account",
+};
+
+const QUEUE_KEY = "auditQueue";
+
+// Oldest events are dropped beyond this, so a long outage cannot fill localStorage
+const MAX_QUEUED_EVENTS = 1000;
+
+// Returns the signed-in actor; replaced by the auth session via setAuditActorGetter
+let getActor = () => null;
+
+/**
+ * Registers the function that describes the signed-in user on each event.
+ * @param {Function} getter - Returns `{ id, name, email, role }` or null.
+ */
+export function setAuditActorGetter(getter) {
+  getActor = getter;
+}
+
+/** Events recorded in this browser that the backend has not stored yet. */
+export function getPendingAuditEvents() {
+  try {
+    const list = JSON.parse(localStorage.getItem(QUEUE_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+const saveQueue = (events) => {
+  if (events.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(events.slice(-MAX_QUEUED_EVENTS)));
+  else localStorage.removeItem(QUEUE_KEY);
+};
+
+/**
+ * Keeps only the fields that differ between two snapshots, so events stay
+ * small and show exactly what changed.
+ * @param {object|null} before - Previous values.
+ * @param {object|null} after - New values.
+ * @param {Array<string>} [fields] - Fields to compare; defaults to every field of either side.
+ * @returns {{ before: object, after: object }}
+ */
+export function diffFields(before, after, fields) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changed = keys.filter((key) => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]));
+  return {
+    before: Object.fromEntries(changed.map((key) => [key, before?.[key] ?? null])),
+    after: Object.fromEntries(changed.map((key) => [key, after?.[key] ?? null])),
+  };
+}
+
+/**
+ * Copies the listed fields of a record, for the before/after of creates and deletes.
+ * @param {object} record
+ * @param {Array<string>} fields
+ */
+export const pickFields = (record, fields) =>
+  Object.fromEntries(fields.filter((key) => record?.[key] !== undefined).map((key) => [key, record[key]]));
+
+let flushing = null;
+
+/**
+ * Sends the queued events. Network failures, server errors and expired
+ * sessions keep the events queued for the next attempt; events the backend
+ * rejects as invalid are dropped so they cannot block the queue.
+ * @returns {Promise<void>}
+ */
+export function flushAuditQueue() {
+  if (flushing) return flushing;
+  const batch = getPendingAuditEvents();
+  if (!batch.length || !getActor()) return Promise.resolve();
+
+  const sentIds = new Set(batch.map((event) => event.id));
+  const removeSent = () => saveQueue(getPendingAuditEvents().filter((event) => !sentIds.has(event.id)));
+
+  flushing = sendAuditEvents(batch)
+    .then(() => {
+      removeSent();
+      return true;
+    })
+    .catch((err) => {
+      const retryable = err instanceof NetworkError || err instanceof UnauthorizedError || !err.status || err.status >= 500;
+      if (retryable) return false;
+      console.error("Audit events rejected:", err);
+      removeSent();
+      return true;
+    })
+    .then((sent) => {
+      flushing = null;
+      // Events recorded while this batch was in flight go out next
+      if (sent && getPendingAuditEvents().length) return flushAuditQueue();
+    });
+  return flushing;
+}
+
+/**
+ * Records an admin action. Call it once the change has been saved.
+ * @param {object} event
+ * @param {string} event.action - e.g. "order.delete" or "menuItem.update".
+ * @param {keyof AUDIT_ENTITIES} event.entityType
+ * @param {string|null} event.entityId
+ * @param {string} [event.label] - Human-readable name of the entity.
+ * @param {object|null} [event.before] - Values before the change.
+ * @param {object|null} [event.after] - Values after the change.
+ */
+export function recordAudit({ action, entityType, entityId, label = "", before = null, after = null }) {
+  const event = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    action,
+    entityType,
+    entityId: entityId || null,
+    label,
+    actor: getActor(),
+    before,
+    after,
+    createdAt: new Date().toISOString(),
+  };
+  saveQueue([...getPendingAuditEvents(), event]);
+  flushAuditQueue();
+  return event;
+}
+
+// Send whatever was recorded offline as soon as the connection is back
+window.addEventListener("online", () => flushAuditQueue());
@@ -0,0 +1,151 @@
+/**
+ * @file exporter.js
+ * @description Shared data export for admin pages. A dataset is one or more
+ * sheets, each with typed column definitions, and can be written as an Excel
+ * workbook (real dates and numeric currency cells), CSV (one file per sheet)
+ * or JSON (one file, keyed by sheet when there are several).
+ *
+ * Column definition:
+ * `{ header: string, value: (row) => any, type?: "string"|"number"|"currency"|"date", width?: number }`
+ */
+
+import * as XLSX from "xlsx";
+import { saveAs } from "file-saver";
+
+export const EXPORT_FORMATS = {
+  xlsx: "Excel (.xlsx)",
+  csv: "CSV",
+  json: "JSON",
+};
+
+const NUMBER_FORMATS = {
+  number: "#,##0.##",
+  currency: '"$"#,##0.00',
+  date: "yyyy-mm-dd hh:mm",
+};
+
+/**
+ * Converts a raw value to its typed form.
+ * Dates become Date objects (or null), numbers become numbers (or null).
+ */
+const toTyped = (value, type) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (type === "date") {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  if (type === "number" || type === "currency") {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+  return String(value);
+};
+
+/**
+ * Evaluates the columns for every row.
+ * @returns {Array<Array<any>>} Typed cell values, one array per row.
+ */
+const typedRows = ({ columns, rows }) =>
+  rows.map((row) => columns.map((col) => toTyped(col.value(row), col.type)));
+
+/** Strips characters Excel does not allow in sheet names. */
+const sheetName = (name) => String(name).replace(/[\\/?*[\]:]/g, " ").slice(0, 31);
+
+/** File-name friendly version of a sheet name. */
+const slug = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/**
+ * Builds an Excel workbook.
+ * @param {Array<object>} sheets - `{ name, columns, rows }`.
+ * @returns {ArrayBuffer}
+ */
+export function toWorkbook(sheets) {
+  const wb = XLSX.utils.book_new();
+  sheets.forEach((sheet) => {
+    const data = typedRows(sheet);
+    const ws = XLSX.utils.aoa_to_sheet([sheet.columns.map((c) => c.header), ...data], {
+      dateNF: NUMBER_FORMATS.date,
+    });
+
+    // Number formats for typed columns
+    sheet.columns.forEach((col, c) => {
+      const format = NUMBER_FORMATS[col.type];
+      if (!format) return;
+      data.forEach((_, r) => {
+        const cell = ws[XLSX.utils.encode_cell({ r: r + 1, c })];
+        if (cell) cell.z = format;
+      });
+    });
+
+    ws["!cols"] = sheet.columns.map((col) => ({ wch: col.width || Math.max(10, col.header.length + 2) }));
+    XLSX.utils.book_append_sheet(wb, ws, sheetName(sheet.name));
+  });
+  return XLSX.write(wb, { bookType: "xlsx", type: "array" });
+}
+
+/** Plain (JSON/CSV) representation of a typed value. */
+const plainValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Text starting with these runs as a formula when the CSV is opened in a
+// spreadsheet (e.g. a customer typing "=HYPERLINK(...)" in a note)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null) return "";
+  let text = String(plainValue(value));
+  // Numbers stay as they are; only free text is neutralised
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes one sheet as CSV.
+ * @param {object} sheet - `{ columns, rows }`.
+ * @returns {string}
+ */
+export const toCsv = (sheet) =>
+  [sheet.columns.map((c) => c.header), ...typedRows(sheet)].map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+/**
+ * Converts a sheet to an array of plain objects keyed by column header.
+ * @param {object} sheet - `{ columns, rows }`.
+ * @returns {Array<object>}
+ */
+export const toRecords = (sheet) =>
+  typedRows(sheet).map((row) =>
+    Object.fromEntries(sheet.columns.map((col, i) => [col.header, plainValue(row[i])]))
+  );
+
+/**
+ * Downloads a dataset in the requested format.
+ * @param {Array<object>} sheets - `{ name, columns, rows }`; the first sheet is the primary one.
+ * @param {object} options
+ * @param {"xlsx"|"csv"|"json"} [options.format]
+ * @param {string} options.filename - Base name without extension.
+ */
+export function exportSheets(sheets, { format = "xlsx", filename }) {
+  if (format === "xlsx") {
+    saveAs(new Blob([toWorkbook(sheets)], { type: "application/octet-stream" }), `${filename}.xlsx`);
+    return;
+  }
+
+  if (format === "csv") {
+    sheets.forEach((sheet, idx) => {
+      const name = idx === 0 ? filename : `${filename}-${slug(sheet.name)}`;
+      // BOM so Excel opens UTF-8 correctly
+      saveAs(new Blob(["\ufeff", toCsv(sheet)], { type: "text/csv;charset=utf-8" }), `${name}.csv`);
+    });
+    return;
+  }
+
+  if (format === "json") {
+    const payload =
+      sheets.length === 1
+        ? toRecords(sheets[0])
+        : Object.fromEntries(sheets.map((sheet) => [sheet.name, toRecords(sheet)]));
+    saveAs(new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" }), `${filename}.json`);
+    return;
+  }
+
+  throw new Error(`Unsupported export format: ${format}`);
+}
@@ -0,0 +1,80 @@
+/**
+ * @file imageProcessing.js
+ * @description Browser-side image checks, cropping, resizing and compression
+ * (canvas based), so uploads arrive at a predictable size and format.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Decodes an image file. The image's `src` is an object URL; release it with
+ * `URL.revokeObjectURL(image.src)` once the image is no longer displayed.
+ * @param {File|Blob} file - Image file.
+ * @returns {Promise<HTMLImageElement>}
+ * @throws {Error} When the file cannot be decoded.
+ */
+export const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name || "The file"} is not a readable image`));
+    };
+    image.src = url;
+  });
+
+/**
+ * Checks an image file against size, type and dimension limits.
+ * @param {File} file - Picked or dropped file.
+ * @param {object} rules
+ * @param {Array<string>} rules.types - Accepted MIME types.
+ * @param {number} rules.maxBytes - Largest accepted file.
+ * @param {number} rules.minWidth - Smallest accepted width in pixels.
+ * @param {number} rules.minHeight - Smallest accepted height in pixels.
+ * @returns {Promise<HTMLImageElement>} The decoded image, see loadImage.
+ * @throws {Error} With a message suitable for the user.
+ */
+export async function validateImage(file, { types, maxBytes, minWidth, minHeight }) {
+  if (!types.includes(file.type))
+    throw new Error(`${file.name}: use a ${types.map((t) => t.split("/")[1].toUpperCase()).join(", ")} image`);
+  if (file.size > maxBytes)
+    throw new Error(`${file.name}: ${(file.size / MB).toFixed(1)} MB is larger than ${maxBytes / MB} MB`);
+
+  const image = await loadImage(file);
+  if (image.naturalWidth < minWidth || image.naturalHeight < minHeight) {
+    URL.revokeObjectURL(image.src);
+    throw new Error(
+      `${file.name}: ${image.naturalWidth}×${image.naturalHeight}px is smaller than ${minWidth}×${minHeight}px`
+    );
+  }
+  return image;
+}
+
+/**
+ * Crops, downsizes and re-encodes an image.
+ * Falls back to the browser's default format when it cannot encode WebP.
+ * @param {HTMLImageElement} image - Decoded source image.
+ * @param {{ x: number, y: number, width: number, height: number }} crop - Area in source pixels.
+ * @param {object} [options]
+ * @param {number} [options.maxWidth=1200] - Output width cap; smaller crops are not upscaled.
+ * @param {number} [options.quality=0.82] - Encoder quality from 0 to 1.
+ * @param {string} [options.name="image"] - Output file name without extension.
+ * @returns {Promise<File>}
+ */
+export async function cropToFile(image, crop, { maxWidth = 1200, quality = 0.82, name = "image" } = {}) {
+  const scale = Math.min(1, maxWidth / crop.width);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(crop.width * scale);
+  canvas.height = Math.round(crop.height * scale);
+  canvas
+    .getContext("2d")
+    .drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Could not process the image"))), "image/webp", quality)
+  );
+  const extension = blob.type.split("/")[1] || "png";
+  return new File([blob], `${name}.${extension}`, { type: blob.type });
+}
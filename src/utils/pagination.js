@@ -0,0 +1,21 @@
+/**
+ * @file pagination.js
+ * @description Client-side pagination helpers shared by list pages.
+ */
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+export const DEFAULT_PAGE_SIZE = 25;
+
+/**
+ * Slices one page out of a list.
+ * @param {Array} items - Full list.
+ * @param {number} page - 1-based page number (clamped to the last page).
+ * @param {number} pageSize - Rows per page.
+ * @returns {{ rows: Array, page: number, pageCount: number }}
+ */
+export function paginate(items, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(page, pageCount);
+  const start = (current - 1) * pageSize;
+  return { rows: items.slice(start, start + pageSize), page: current, pageCount };
+}
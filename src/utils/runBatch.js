@@ -0,0 +1,47 @@
+/**
+ * @file runBatch.js
+ * @description Runs an async task for many items with limited concurrency,
+ * reporting progress and collecting a per-item result instead of failing fast.
+ */
+
+/**
+ * @typedef {object} BatchResult
+ * @property {*} item - Input item.
+ * @property {boolean} ok - Whether the task succeeded.
+ * @property {*} [value] - Resolved value on success.
+ * @property {string} [error] - Error message on failure.
+ */
+
+/**
+ * Runs `task` for every item.
+ * @param {Array} items - Items to process.
+ * @param {Function} task - `(item) => Promise<*>`; throw to mark the item failed.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=3] - Parallel tasks.
+ * @param {Function} [options.onProgress] - Called with `{ done, total, failed }` after each item.
+ * @returns {Promise<Array<BatchResult>>} Results in input order.
+ */
+export async function runBatch(items, task, { concurrency = 3, onProgress } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      try {
+        results[index] = { item, ok: true, value: await task(item) };
+      } catch (err) {
+        failed += 1;
+        results[index] = { item, ok: false, error: err?.message || String(err) };
+      }
+      done += 1;
+      if (onProgress) onProgress({ done, total: items.length, failed });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,125 @@
+/**
+ * @file validation.js
+ * @description Declarative form validation shared by the admin forms.
+ *
+ * A schema maps each field to a list of rules. A rule is
+ * `(value, values, context) => message` and returns "" when the value passes;
+ * the first failing rule wins. Apart from `required`, rules skip blank values,
+ * so optional fields are only checked when filled in.
+ *
+ * @example
+ * const schema = { email: [required("Email is required"), email()] };
+ * validate(schema, { email: "" }); // { email: "Email is required" }
+ */
+
+export const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+// Wraps a rule so it passes on blank values
+const optional = (rule) => (value, values, context) => (isBlank(value) ? "" : rule(value, values, context));
+
+/** Fails on blank values. */
+export const required = (message) => (value) => (isBlank(value) ? message : "");
+
+/** Limits the trimmed text length. */
+export const maxLength = (max, message = `Must be at most ${max} characters`) =>
+  optional((value) => (String(value).trim().length > max ? message : ""));
+
+/** Requires a minimum text length. */
+export const minLength = (min, message = `Must be at least ${min} characters`) =>
+  optional((value) => (String(value).length < min ? message : ""));
+
+/** Requires an email address. */
+export const email = (message = "Enter a valid email address") =>
+  optional((value) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim()) ? "" : message));
+
+/** Requires the value to match a regular expression. */
+export const pattern = (regex, message) => optional((value) => (regex.test(String(value).trim()) ? "" : message));
+
+/**
+ * Requires a number within limits.
+ * @param {object} limits
+ * @param {number} [limits.min] - Smallest allowed value.
+ * @param {number} [limits.max] - Largest allowed value.
+ * @param {number} [limits.greaterThan] - Exclusive lower bound.
+ * @param {boolean} [limits.integer] - Whole numbers only.
+ * @param {string} message
+ */
+export const number = ({ min, max, greaterThan, integer = false }, message) =>
+  optional((value) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || (integer && !Number.isInteger(n))) return message;
+    if (min !== undefined && n < min) return message;
+    if (max !== undefined && n > max) return message;
+    if (greaterThan !== undefined && n <= greaterThan) return message;
+    return "";
+  });
+
+/**
+ * Requires one of a list of values. The list may depend on the validation
+ * context, e.g. `oneOf((ctx) => ctx.categoryNames, …)`.
+ */
+export const oneOf = (options, message) =>
+  optional((value, values, context) => {
+    const list = typeof options === "function" ? options(context) : options;
+    return list.includes(value) ? "" : typeof message === "function" ? message(list) : message;
+  });
+
+/** Requires the value to equal another field, e.g. a password confirmation. */
+export const sameAs = (field, message) => (value, values) => (value === values[field] ? "" : message);
+
+/**
+ * Validates a single field.
+ * @param {object} schema - `{ field: Array<Function> }`.
+ * @param {string} field
+ * @param {object} values - All form values.
+ * @param {object} [context] - Extra data for rules (e.g. known categories).
+ * @returns {string} Error message, or "" when valid.
+ */
+export function validateField(schema, field, values, context = {}) {
+  for (const rule of schema[field] || []) {
+    const message = rule(values[field], values, context);
+    if (message) return message;
+  }
+  return "";
+}
+
+/**
+ * Validates every field in the schema.
+ * @param {object} schema - `{ field: Array<Function> }`.
+ * @param {object} values - Form values.
+ * @param {object} [context] - Extra data for rules.
+ * @returns {object} `{ field: message }` for every invalid field; empty when valid.
+ */
+export function validate(schema, values, context = {}) {
+  const errors = {};
+  Object.keys(schema).forEach((field) => {
+    const message = validateField(schema, field, values, context);
+    if (message) errors[field] = message;
+  });
+  return errors;
+}
+
+/**
+ * Reads field errors from a failed API call. Understands the common shapes:
+ * `{ errors: { field: "msg" } }`, Mongoose's `{ errors: { field: { message } } }`,
+ * express-validator's `{ errors: [{ path|param|field, msg|message }] }` and
+ * a single `{ field, message }`.
+ * @param {Error} error - Usually an ApiError with the parsed body in `data`.
+ * @param {Array<string>} fields - Form fields; errors for other fields are ignored.
+ * @returns {object} `{ field: message }`; empty when nothing matched.
+ */
+export function getServerFieldErrors(error, fields) {
+  const data = error?.data;
+  if (!data || typeof data !== "object") return {};
+
+  let entries = [];
+  if (Array.isArray(data.errors)) {
+    entries = data.errors.map((e) => [e.path || e.param || e.field, e.msg || e.message]);
+  } else if (data.errors && typeof data.errors === "object") {
+    entries = Object.entries(data.errors).map(([field, e]) => [field, typeof e === "string" ? e : e?.message]);
+  } else if (data.field) {
+    entries = [[data.field, data.message]];
+  }
+
+  return Object.fromEntries(entries.filter(([field, message]) => fields.includes(field) && message));
+}